@@ -0,0 +1,237 @@
+/**
+ * This module runs the optional admin API: a small HTTP server for monitoring the bot and editing rules from scripts,
+ * without going through Discord.
+ *
+ * It is enabled by the "adminApi" section of 'config.json':
+ *
+ *   "adminApi": { "enabled": true, "port": 8787 }
+ *
+ * The server only listens on 127.0.0.1, so it can not be reached from other machines unless put behind a proxy. Every
+ * request must carry the token from the ADMIN_API_TOKEN environment variable as "Authorization: Bearer <token>"; the
+ * server does not start without one.
+ *
+ * Endpoints:
+ * - GET /health: The gateway status, and the guilds with their rule counts, load errors and whether their role updates
+ *   are paused (see roleQueue.js). Answers 503 while the bot is not connected to Discord.
+ * - GET /metrics: Counters and gauges in the Prometheus text format (see metrics.js).
+ * - GET /guilds/<guildId>/rules: The guild's stored rule entries, and the error from loading them, if any.
+ * - PUT /guilds/<guildId>/rules: Replaces the guild's rule entries with the JSON array in the request body. The rules
+ *   are validated like rules edited with the slash commands and nothing is saved when any problem is found. The saved
+ *   rules are applied like any other change to the storage backend.
+ *
+ * - DEFAULT_PORT (number): The port used when the configuration does not set one.
+ * - MAX_BODY_SIZE (number): The largest request body accepted, in bytes.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { Status } = require('discord.js');
+const { config } = require('./config');
+const { storage } = require('./storage');
+const { getRules, getLoadError, getLoadedGuildIds } = require('./ruleRegistry');
+const { normalizeRuleSet } = require('./ruleSchema');
+const { validateRuleSetForGuild } = require('./roleValidation');
+const { getQueueLength, getPauseState } = require('./roleQueue');
+const { getPendingUpdateCount } = require('./memberUpdateCoalescer');
+const { renderMetrics } = require('./metrics');
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+const RULES_PATH_PATTERN = /^\/guilds\/(\d{17,20})\/rules$/;
+
+/**
+ * An error answered with its status code and message instead of a generic internal error.
+ */
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Compares the request's bearer token with the configured one in constant time.
+ */
+function isAuthorized(request, token) {
+    const match = (request.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Reads and parses the JSON body of a request, refusing bodies larger than MAX_BODY_SIZE.
+ */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HttpError(413, `The request body is larger than ${MAX_BODY_SIZE} bytes.`));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'The request body is not valid JSON.'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Returns the guild with the given ID, or throws a 404 when the bot is not in it.
+ */
+function getGuild(client, guildId) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) throw new HttpError(404, `The bot is not in guild ${guildId}.`);
+    return guild;
+}
+
+function describeHealth(client) {
+    const guilds = [...client.guilds.cache.values()].map(guild => {
+        const loadError = getLoadError(guild.id);
+        return {
+            id: guild.id,
+            name: guild.name,
+            rules: getRules(guild.id).length,
+            loadError: loadError ? loadError.message : null,
+            paused: getPauseState(guild.id)
+        };
+    });
+    return {
+        ready: client.isReady(),
+        gateway: { status: Status[client.ws.status] || client.ws.status, ping: client.ws.ping },
+        queueLength: getQueueLength(),
+        guilds
+    };
+}
+
+function describeMetrics(client) {
+    const guildIds = [...new Set([...getLoadedGuildIds(), ...client.guilds.cache.keys()])];
+    return renderMetrics([
+        {
+            name: 'role_update_queue_depth',
+            help: 'Role updates waiting in the queue, by guild.',
+            values: guildIds.map(guildId => ({ labels: { guild_id: guildId }, value: getQueueLength(guildId) }))
+        },
+        {
+            name: 'pending_member_updates',
+            help: 'Member updates waiting for the member\'s roles to settle.',
+            values: [{ value: getPendingUpdateCount() }]
+        },
+        {
+            name: 'guilds_loaded',
+            help: 'Guilds whose rules are loaded.',
+            values: [{ value: getLoadedGuildIds().length }]
+        },
+        {
+            name: 'rules_loaded',
+            help: 'Rules loaded, by guild.',
+            values: getLoadedGuildIds().map(guildId => ({ labels: { guild_id: guildId }, value: getRules(guildId).length }))
+        },
+        {
+            name: 'gateway_ping_milliseconds',
+            help: 'The latency of the connection to Discord.',
+            values: [{ value: client.ws.ping }]
+        }
+    ]);
+}
+
+async function readGuildRules(client, guildId) {
+    getGuild(client, guildId);
+    const loadError = getLoadError(guildId);
+    return {
+        rules: normalizeRuleSet(await storage.readRules(guildId) || []),
+        loadError: loadError ? loadError.message : null
+    };
+}
+
+async function writeGuildRules(client, guildId, request) {
+    const guild = getGuild(client, guildId);
+    const body = await readJsonBody(request);
+    if (!Array.isArray(body)) throw new HttpError(400, 'The request body must be an array of rule entries.');
+
+    const entries = normalizeRuleSet(body);
+    const problems = validateRuleSetForGuild(guild, entries);
+    if (problems.length > 0) throw new HttpError(400, 'The rules are not valid.', problems);
+
+    await storage.updateRules(guildId, () => entries, { description: { key: 'versions.replacedByApi', params: {} } });
+    console.log(`Rules of guild ${guildId} were replaced through the admin API (${entries.length} rules).`);
+    return { rules: entries };
+}
+
+/**
+ * Routes a request to its endpoint and sends the answer.
+ */
+async function handleRequest(client, token, request, response) {
+    try {
+        if (!isAuthorized(request, token)) throw new HttpError(401, 'A valid bearer token is required.');
+
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const rulesMatch = pathname.match(RULES_PATH_PATTERN);
+
+        if (request.method === 'GET' && pathname === '/health') {
+            const health = describeHealth(client);
+            sendJson(response, health.ready ? 200 : 503, health);
+        } else if (request.method === 'GET' && pathname === '/metrics') {
+            response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            response.end(describeMetrics(client));
+        } else if (rulesMatch && request.method === 'GET') {
+            sendJson(response, 200, await readGuildRules(client, rulesMatch[1]));
+        } else if (rulesMatch && request.method === 'PUT') {
+            sendJson(response, 200, await writeGuildRules(client, rulesMatch[1], request));
+        } else if (rulesMatch || pathname === '/health' || pathname === '/metrics') {
+            throw new HttpError(405, `${request.method} is not supported on ${pathname}.`);
+        } else {
+            throw new HttpError(404, `There is no endpoint at ${pathname}.`);
+        }
+    } catch (error) {
+        if (response.headersSent) return;
+        if (error instanceof HttpError) {
+            sendJson(response, error.status, { error: error.message, ...(error.details && { problems: error.details }) });
+        } else {
+            console.error('Error in the admin API:', error);
+            sendJson(response, 500, { error: 'Internal error.' });
+        }
+    }
+}
+
+/**
+ * Starts the admin API when it is enabled in the configuration. Returns the HTTP server, or null when it was not
+ * started.
+ *
+ * Parameters:
+ * - client (Client): The Discord client, read for the gateway status and the guilds the bot is in.
+ */
+function startAdminApi(client) {
+    const apiConfig = config.adminApi || {};
+    if (!apiConfig.enabled) return null;
+
+    const token = process.env.ADMIN_API_TOKEN;
+    if (!token) {
+        console.error('The admin API is enabled but ADMIN_API_TOKEN is not set, so it was not started.');
+        return null;
+    }
+
+    const port = apiConfig.port || DEFAULT_PORT;
+    const server = http.createServer((request, response) => handleRequest(client, token, request, response));
+    server.on('error', error => console.error('The admin API stopped with an error:', error.message));
+    server.listen(port, '127.0.0.1', () => console.log(`The admin API is listening on http://127.0.0.1:${port}.`));
+    return server;
+}
+
+module.exports = { startAdminApi };
@@ -0,0 +1,251 @@
+/**
+ * This module records every automatic role change made by the bot, so moderators can answer "why did I lose my role?".
+ *
+ * Each change is:
+ * - Posted as an embed to the guild's audit channel, when `auditChannelId` is set for the guild in 'config.json'.
+ * - Appended as one JSON line to the guild's history file, 'history/history_{guildId}.jsonl'. When the file grows
+ *   past HISTORY_MAX_BYTES it is rotated to 'history_{guildId}.1.jsonl' (shifting older files up), keeping at most
+ *   HISTORY_ROTATED_FILES rotated files per guild.
+ *
+ * A history record looks like:
+ *   {
+ *     "time": "2024-04-12T10:00:00.000Z", "guildId": "...", "memberId": "...", "memberTag": "user#0",
+ *     "removed": [{ "roleId": "...", "roleName": "VIP", "reason": [{ "roleId": "...", "roleName": "Booster", "required": true }] }],
+ *     "granted": [{ "roleId": "...", "roleName": "Tier 3 Verified" }],
+ *     "dryRun": false
+ *   }
+ *
+ * Changes the bot gave up on, for example because it lacks the permission to manage a role, are recorded the same way
+ * with a "failed" field holding the reason as a message, e.g. { "key": "failures.forbidden", "params": {} }.
+ *
+ * Alerts that need an admin to act, such as a guild whose role updates were paused, are sent with sendAlert. They go
+ * to the guild's `alertChannelId`, or its audit channel, mentioning the roles and users granted the 'edit' or 'sweep'
+ * permission; without either channel, the guild owner gets them as a direct message.
+ *
+ * The embeds are written in the guild's "locale", or else its preferred locale set in Discord (see i18n.js). The history
+ * files keep the role names as they were recorded; the failure reasons are translated when they are shown.
+ */
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder } = require('discord.js');
+const { config, getGuildConfig, resolvePath } = require('./config');
+const { listGrants } = require('./permissions');
+const { defaultTranslator, getTranslator, translateMessage } = require('./i18n');
+
+const HISTORY_DIRECTORY = resolvePath(config.historyDirectory || 'history');
+const HISTORY_MAX_BYTES = 1024 * 1024; // 1 MB per file
+const HISTORY_ROTATED_FILES = 3;
+
+function historyFilePath(guildId, index = 0) {
+    const suffix = index === 0 ? '' : `.${index}`;
+    return path.join(HISTORY_DIRECTORY, `history_${guildId}${suffix}.jsonl`);
+}
+
+/**
+ * Rotates the guild's history file once it has grown past HISTORY_MAX_BYTES, dropping the oldest rotated file.
+ */
+function rotateHistory(guildId) {
+    const currentPath = historyFilePath(guildId);
+    if (!fs.existsSync(currentPath) || fs.statSync(currentPath).size < HISTORY_MAX_BYTES) return;
+
+    for (let index = HISTORY_ROTATED_FILES; index >= 1; index--) {
+        const source = historyFilePath(guildId, index - 1);
+        if (fs.existsSync(source)) {
+            fs.renameSync(source, historyFilePath(guildId, index));
+        }
+    }
+}
+
+/**
+ * Describes a failed requirement for humans, e.g. "missing Booster" or "has Member", or "expired" for temporary roles.
+ * Descriptions are in English unless a translator is given (see i18n.js).
+ */
+function describeRequirement({ roleId, roleName, required, expired }, t = defaultTranslator) {
+    if (expired) return t('requirements.expired');
+    return t(required ? 'requirements.missing' : 'requirements.has', { role: roleName || roleId });
+}
+
+/**
+ * Builds the history record for a change, resolving role names from the guild cache when the guild is available.
+ */
+function buildRecord(guildId, guild, memberId, memberTag, rolesToRemove, rolesToAdd, reasons, dryRun) {
+    const roleName = roleId => {
+        const role = guild && guild.roles.cache.get(roleId);
+        return role ? role.name : roleId;
+    };
+
+    return {
+        time: new Date().toISOString(),
+        guildId,
+        memberId,
+        memberTag,
+        removed: rolesToRemove.map(roleId => ({
+            roleId,
+            roleName: roleName(roleId),
+            reason: (reasons[roleId] || []).map(requirement => (requirement.roleId
+                ? { ...requirement, roleName: roleName(requirement.roleId) }
+                : requirement))
+        })),
+        granted: rolesToAdd.map(roleId => ({ roleId, roleName: roleName(roleId) })),
+        dryRun
+    };
+}
+
+function buildEmbed(record, t) {
+    let title = t(record.dryRun ? 'audit.titleDryRun' : 'audit.title');
+    if (record.failed) title = t('audit.titleFailed');
+
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setColor(record.failed ? 0xE74C3C : record.removed.length > 0 ? 0xE67E22 : 0x2ECC71)
+        .addFields({ name: t('audit.member'), value: record.memberTag ? `<@${record.memberId}> (${record.memberTag})` : `<@${record.memberId}>` })
+        .setTimestamp(new Date(record.time));
+
+    if (record.removed.length > 0) {
+        embed.addFields(
+            { name: t('audit.removed'), value: record.removed.map(role => `<@&${role.roleId}>`).join(', ') },
+            {
+                name: t('audit.triggeredBy'),
+                value: record.removed
+                    .map(role => `${role.roleName}: ${role.reason.map(requirement => describeRequirement(requirement, t)).join(', ') || t('requirements.notMet')}`)
+                    .join('\n')
+            }
+        );
+    }
+    if (record.granted.length > 0) {
+        embed.addFields({ name: t('audit.granted'), value: record.granted.map(role => `<@&${role.roleId}>`).join(', ') });
+    }
+    if (record.failed) {
+        embed.addFields({ name: t('audit.failure'), value: translateMessage(record.failed, t) });
+    }
+    return embed;
+}
+
+/**
+ * Appends a record to the guild's history file and posts it to the guild's audit channel, if one is set and the
+ * guild is available. Failures are logged and never thrown.
+ */
+async function writeRecord(guild, record) {
+    try {
+        fs.mkdirSync(HISTORY_DIRECTORY, { recursive: true });
+        rotateHistory(record.guildId);
+        fs.appendFileSync(historyFilePath(record.guildId), `${JSON.stringify(record)}\n`);
+    } catch (error) {
+        console.error(`Failed to write role history for guild ${record.guildId}:`, error);
+    }
+
+    const { auditChannelId } = getGuildConfig(record.guildId);
+    if (!auditChannelId || !guild) return;
+
+    try {
+        const channel = await guild.channels.fetch(auditChannelId);
+        await channel.send({ embeds: [buildEmbed(record, getTranslator(record.guildId, guild.preferredLocale))] });
+    } catch (error) {
+        console.error(`Failed to post to the audit channel of guild ${record.guildId}:`, error);
+    }
+}
+
+/**
+ * Records an automatic role change: appends it to the guild's history file and posts it to the audit channel.
+ * Failures are logged and never thrown, so auditing can not hold up the role update queue.
+ *
+ * Parameters:
+ * - member (GuildMember): The member whose roles were changed.
+ * - rolesToRemove (array): The role IDs removed from the member.
+ * - rolesToAdd (array): The role IDs granted to the member.
+ * - reasons (object): Maps removed role IDs to the requirements they failed.
+ * - dryRun (boolean): Whether the change was only logged instead of applied.
+ */
+async function recordRoleChange(member, rolesToRemove, rolesToAdd, reasons = {}, dryRun = false) {
+    const record = buildRecord(member.guild.id, member.guild, member.id, member.user.tag, rolesToRemove, rolesToAdd, reasons, dryRun);
+    await writeRecord(member.guild, record);
+}
+
+/**
+ * Records a role change the bot gave up on, in the same places as recordRoleChange.
+ *
+ * Parameters:
+ * - guildId (string): The guild the change was meant for.
+ * - guild (Guild|null): The guild, when the bot can still access it.
+ * - memberId (string): The member the change was meant for.
+ * - rolesToRemove, rolesToAdd, reasons: The change that could not be made, as for recordRoleChange.
+ * - failure (object): Why the change could not be made, as a message { key, params }.
+ */
+async function recordFailedRoleChange(guildId, guild, memberId, rolesToRemove, rolesToAdd, reasons, failure) {
+    const member = guild && guild.members.cache.get(memberId);
+    const record = buildRecord(guildId, guild, memberId, member ? member.user.tag : null, rolesToRemove, rolesToAdd, reasons, false);
+    record.failed = failure;
+    await writeRecord(guild, record);
+}
+
+/**
+ * Reads a guild's role history, newest first, across the current and rotated history files.
+ *
+ * Parameters:
+ * - guildId (string): The guild whose history is read.
+ * - filter (object): Optional `memberId` and `roleId` to match, and a `limit` on the number of records returned.
+ */
+function readHistory(guildId, { memberId, roleId, limit = 10 } = {}) {
+    const matches = [];
+
+    for (let index = 0; index <= HISTORY_ROTATED_FILES && matches.length < limit; index++) {
+        const filePath = historyFilePath(guildId, index);
+        if (!fs.existsSync(filePath)) continue;
+
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).reverse();
+        for (const line of lines) {
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                continue; // A partially written line, e.g. after a crash
+            }
+
+            if (memberId && record.memberId !== memberId) continue;
+            if (roleId && ![...record.removed, ...record.granted].some(role => role.roleId === roleId)) continue;
+
+            matches.push(record);
+            if (matches.length >= limit) break;
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Sends an alert about a guild to its admins. Failures are logged and never thrown.
+ *
+ * Parameters:
+ * - guild (Guild): The guild the alert is about.
+ * - title (string): A short title, e.g. "Role removals paused".
+ * - description (string): What happened and what the admins can do about it.
+ *
+ * The title and description are sent as given, so callers write them with the guild's translator (see i18n.js).
+ */
+async function sendAlert(guild, title, description) {
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setColor(0xE74C3C)
+        .setDescription(description)
+        .setTimestamp(new Date());
+
+    const { alertChannelId, auditChannelId } = getGuildConfig(guild.id);
+    try {
+        if (alertChannelId || auditChannelId) {
+            const grants = listGrants(guild.id);
+            const mentions = ['edit', 'sweep'].flatMap(scope => [
+                ...[...grants[scope].roles, ...grants[scope].configuredRoles].map(roleId => `<@&${roleId}>`),
+                ...[...grants[scope].users, ...grants[scope].configuredUsers].map(userId => `<@${userId}>`)
+            ]);
+            const channel = await guild.channels.fetch(alertChannelId || auditChannelId);
+            await channel.send({ content: [...new Set(mentions)].join(' ') || undefined, embeds: [embed] });
+        } else {
+            const owner = await guild.fetchOwner();
+            await owner.send({ content: getTranslator(guild.id, guild.preferredLocale)('alerts.from', { guild: guild.name }), embeds: [embed] });
+        }
+    } catch (error) {
+        console.error(`Failed to send an alert for guild ${guild.id}:`, error);
+    }
+}
+
+module.exports = { recordRoleChange, recordFailedRoleChange, readHistory, describeRequirement, sendAlert };
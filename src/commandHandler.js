@@ -11,10 +11,30 @@
  * - Exports a function that attaches to a Discord client instance.
  * - An event listener for 'interactionCreate' is added to the client, which triggers whenever
  *   a user interacts with the bot using slash commands or other interactive components.
+ * - Autocomplete interactions are routed to the 'autocomplete' function of the command being typed, when it has one.
+ *   Suggestions can reveal rules and their history, so users without the command's permission scope get none.
+ * - Clicks on role menu buttons and choices in role menu select menus are routed to the role menus module. These are
+ *   handled here rather than by collectors, so menus published before a restart keep working. Other components, such
+ *   as pagination and confirmation buttons, are left to the collectors of the command that sent them.
  * - Upon detecting a command interaction, the listener identifies which command was invoked
- *   by comparing the 'commandName' with registered commands.
+ *   by comparing the 'commandName' with registered commands. Before running it, the listener checks that the user
+ *   holds the permission scope the command requires (its 'permission' property, see permissions.js), and refuses
+ *   with an ephemeral message in the user's language otherwise (see i18n.js). Errors a handler does not catch itself
+ *   are logged and answered with an ephemeral error message, as a follow-up when the handler had already replied.
  *   - For 'addrole', the 'addRoleCommand' handler is executed, which processes role addition.
  *   - For 'removerole', the 'removeRoleCommand' handler is executed, which handles role removal.
+ *   - For 'editrole', the 'editRoleCommand' handler is executed, which changes an existing rule in place.
+ *   - For 'sweep', the 'sweepCommand' handler is executed, which checks every member against the rules.
+ *   - For 'simulate', the 'simulateCommand' handler is executed, which previews the changes the rules would make.
+ *   - For 'rolehistory', the 'roleHistoryCommand' handler is executed, which shows recent automatic role changes.
+ *   - For 'listroles', the 'listRolesCommand' handler is executed, which shows the loaded rules.
+ *   - For 'explain', the 'explainCommand' handler is executed, which shows how each rule applies to a member.
+ *   - For 'temprole', the 'tempRoleCommand' handler is executed, which grants a role for a limited time.
+ *   - For 'rolemenu', the 'roleMenuCommand' handler is executed, which creates, lists and deletes role menus.
+ *   - For 'rules', the 'rulesCommand' handler is executed, which exports and imports rules as portable templates,
+ *     and shows and rolls back the recorded versions of the rules.
+ *   - For 'queue', the 'queueCommand' handler is executed, which resumes or discards paused role updates.
+ *   - For 'permissions', the 'permissionsCommand' handler is executed, which manages who may use the commands.
  *
  * Advantages:
  * - This modular approach ensures a clean and scalable architecture, facilitating easy management
@@ -23,14 +43,54 @@
  *   extending the command identification logic.
  */
 const commands = require('./commands');
+const { isRoleMenuInteraction, handleRoleMenuInteraction } = require('./roleMenus');
+const { hasPermission } = require('./permissions');
+const { translatorFor } = require('./i18n');
+
+/**
+ * Returns the permission scope a command requires for an interaction.
+ */
+function requiredScope(command, interaction) {
+    return typeof command.permission === 'function' ? command.permission(interaction) : command.permission;
+}
 
 module.exports = (client) => {
     client.on('interactionCreate', async interaction => {
+        if (interaction.isAutocomplete()) {
+            const command = commands.find(c => c.data.name === interaction.commandName);
+            if (!command || !command.autocomplete) return;
+            const suggest = hasPermission(interaction, requiredScope(command, interaction))
+                ? command.autocomplete(interaction)
+                : interaction.respond([]);
+            await suggest.catch(error => console.error('Error in autocomplete:', error));
+            return;
+        }
+
+        if (isRoleMenuInteraction(interaction)) {
+            await handleRoleMenuInteraction(interaction).catch(error => console.error('Error in role menu:', error));
+            return;
+        }
+
         if (!interaction.isCommand()) return;
 
         const command = commands.find(c => c.data.name === interaction.commandName);
-        if (command) {
+        if (!command) return;
+
+        const scope = requiredScope(command, interaction);
+        if (!hasPermission(interaction, scope)) {
+            const t = translatorFor(interaction);
+            const content = scope === 'admin' ? t('permissions.adminOnly') : t('permissions.missingScope', { scope });
+            await interaction.reply({ content, ephemeral: true });
+            return;
+        }
+
+        try {
             await command.handle(interaction);
+        } catch (error) {
+            console.error(`Error in command ${interaction.commandName}:`, error);
+            const payload = { content: translatorFor(interaction)('errors.commandFailed'), ephemeral: true };
+            await (interaction.replied || interaction.deferred ? interaction.followUp(payload) : interaction.reply(payload))
+                .catch(replyError => console.error('Failed to report the error of a command:', replyError));
         }
     });
 };
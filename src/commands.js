@@ -6,70 +6,509 @@
  * Command Definitions:
  * - addRoleCommand: Configures the 'addrole' command to add new roles to the server.
  *   Options:
- *     - roleid: The unique identifier of the role to be added.
- *     - rolename: The display name of the role.
- *     - dependencies: A list of other role IDs that this role depends on, formatted as a space-separated string.
+ *     - role: The role to be managed, picked from the server's roles.
+ *     - dependencies: The roles this role depends on, as role IDs or mentions separated by spaces and/or commas.
+ *       Autocompletes role names from the server.
+ *     - mode (optional): Whether the role is removed when dependencies are lost ('remove', the default),
+ *       granted when they are met ('grant'), or both ('sync').
  *   Permissions:
- *     - Only administrators can execute this command.
+ *     - Requires the 'edit' permission (see permissions.js).
  *   Handler:
  *     - Linked to the 'handleAddRole' function which contains the logic to add roles based on the command interaction.
+ *     - Autocomplete for the dependencies option is handled by 'autocompleteRoleList'.
  *
  * - removeRoleCommand: Configures the 'removerole' command to remove existing roles from the server.
  *   Options:
- *     - roleid: The unique identifier of the role to be removed.
- *     - rolename: The display name of the role to be removed.
- *     - dependencies: A list of other role IDs that need to be verified before removal, formatted as a space-separated string.
+ *     - role: The role whose rules should be removed.
+ *     - dependencies (optional): The dependencies of the rule to remove, in any order. Autocompletes role names.
+ *     - all (optional): Remove every rule for the role.
  *   Permissions:
- *     - Only administrators can execute this command.
+ *     - Requires the 'edit' permission (see permissions.js).
  *   Handler:
  *     - Linked to the 'handleRemoveRole' function which contains the logic to remove roles based on the command interaction.
  *
+ * - editRoleCommand: Configures the 'editrole' command to change an existing rule in place.
+ *   Subcommands:
+ *     - adddependency / removedependency: Add or remove dependency roles (role, dependencies).
+ *     - rename: Change the name stored for the rule (role, name).
+ *     - toggle: Enable or disable the rule (role, enabled).
+ *   Permissions:
+ *     - Requires the 'edit' permission (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleEditRole' function which applies the edit to the guild's roles file.
+ *
+ * - sweepCommand: Configures the 'sweep' command to check every member of the server against the loaded rules.
+ *   Permissions:
+ *     - Requires the 'sweep' permission (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleSweep' function which runs a reconciliation sweep and reports its progress and summary.
+ *
+ * - simulateCommand: Configures the 'simulate' command to preview the role changes the current rules would make.
+ *   Options:
+ *     - member (optional): A single member to evaluate. When omitted, every member is evaluated.
+ *   Permissions:
+ *     - Requires the 'sweep' permission (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleSimulate' function which reports the would-be changes without applying them.
+ *
+ * - roleHistoryCommand: Configures the 'rolehistory' command to look up automatic role changes.
+ *   Options:
+ *     - member (optional): Only show changes made to this member.
+ *     - role (optional): Only show changes involving this role.
+ *     - limit (optional): How many changes to show.
+ *   Permissions:
+ *     - Requires the 'view' permission (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleRoleHistory' function which reads the guild's role history.
+ *
+ * - listRolesCommand: Configures the 'listroles' command to show the rules currently being enforced.
+ *   Permissions:
+ *     - Requires the 'view' permission (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleListRoles' function which shows the loaded rules with pagination buttons.
+ *
+ * - explainCommand: Configures the 'explain' command to show how each rule applies to one member.
+ *   Options:
+ *     - member: The member to explain the rules for.
+ *   Permissions:
+ *     - Requires the 'view' permission (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleExplain' function which shows each rule's status and outcome for the member.
+ *
+ * - tempRoleCommand: Configures the 'temprole' command to grant a role that is removed again after a while.
+ *   Options:
+ *     - member: The member to grant the role to.
+ *     - role: The role to grant.
+ *     - duration: How long the member keeps the role, e.g. '2h' or '7d'.
+ *   Permissions:
+ *     - Requires the 'edit' permission (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleTempRole' function which grants the role and schedules its removal.
+ *
+ * - roleMenuCommand: Configures the 'rolemenu' command to manage self-assignable role menus.
+ *   Subcommands:
+ *     - create: Publish a menu in the current channel (roles, title, style, exclusive, maxpicks).
+ *     - list: Show the server's menus.
+ *     - delete: Delete a menu and its message (id, autocompleted from the server's menus).
+ *   Permissions:
+ *     - 'list' requires the 'view' permission, 'create' and 'delete' the 'edit' permission (see permissions.js).
+ *       Members use the published menus without any permission.
+ *   Handler:
+ *     - Linked to the 'handleRoleMenu' function; clicks on the menus are handled by roleMenus.js.
+ *
+ * - rulesCommand: Configures the 'rules' command to copy rules between servers and manage their versions.
+ *   Subcommands:
+ *     - export: Download the server's rules as a template that refers to roles by name.
+ *     - import: Apply a template to this server (file, replace), after previewing the changes.
+ *     - history: Show the recorded versions of the rules (version, optional, to show one version in full).
+ *     - rollback: Put back the rules of an earlier version (version, autocompleted from the kept versions).
+ *   Permissions:
+ *     - 'export' and 'history' require the 'view' permission, 'import' and 'rollback' the 'edit' permission
+ *       (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleRules' function which converts rules to and from templates and restores versions.
+ *
+ * - queueCommand: Configures the 'queue' command to deal with paused role updates.
+ *   Subcommands:
+ *     - status: Show the pending role updates, the removal limit, and why role updates are paused, if they are.
+ *     - resume: Apply the held role updates and lift the pause, after confirming.
+ *     - discard: Drop the held role updates and lift the pause.
+ *   Permissions:
+ *     - 'status' requires the 'view' permission, 'resume' and 'discard' the 'sweep' permission (see permissions.js).
+ *   Handler:
+ *     - Linked to the 'handleQueue' function which resumes or discards the held updates (see roleQueue.js).
+ *
+ * - permissionsCommand: Configures the 'permissions' command to manage who may use the other commands.
+ *   Subcommands:
+ *     - grant / revoke: Give or take a permission scope (scope, target role or user).
+ *     - list: Show every grant of the server.
+ *   Permissions:
+ *     - Only administrators can execute this command.
+ *   Handler:
+ *     - Linked to the 'handlePermissions' function which updates the server's permissions.
+ *
+ * Each command names the permission scope it requires in its 'permission' property, either directly or as a function
+ * of the interaction for commands whose subcommands need different scopes. The command handler checks it before
+ * running the command. The commands are visible to every member by default, since members can be granted scopes
+ * without holding any Discord permission; the bot refuses members without the scope.
+ *
+ * Every command also carries translated names and descriptions for the languages the bot has a message catalog for,
+ * taken from the catalogs' "commands" section (see i18n.js). Discord shows them to users whose client is set to one of
+ * these languages; the handlers always see the English names.
+ *
  * This structure ensures that each command is clearly defined and properly secured with the appropriate permissions,
  * facilitating ease of command management and execution within Discord.
  */
 
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { autocompleteRoleList } = require('./roleAutocomplete');
+const { localizeCommand } = require('./i18n');
 const { handle: handleAddRole } = require('./commands/addRoleCommand');
 const { handle: handleRemoveRole } = require('./commands/removeRoleCommand');
+const { handle: handleEditRole } = require('./commands/editRoleCommand');
+const { handle: handleSweep } = require('./commands/sweepCommand');
+const { handle: handleSimulate } = require('./commands/simulateCommand');
+const { handle: handleRoleHistory } = require('./commands/roleHistoryCommand');
+const { handle: handleListRoles } = require('./commands/listRolesCommand');
+const { handle: handleExplain } = require('./commands/explainCommand');
+const { handle: handleTempRole } = require('./commands/tempRoleCommand');
+const { handle: handleRoleMenu, autocomplete: autocompleteRoleMenu } = require('./commands/roleMenuCommand');
+const { handle: handleRules, autocomplete: autocompleteRules } = require('./commands/rulesCommand');
+const { handle: handleQueue } = require('./commands/queueCommand');
+const { handle: handlePermissions } = require('./commands/permissionsCommand');
+
+function addScopeChoices(option) {
+    return option.setName('scope')
+        .setDescription('Which commands')
+        .setRequired(true)
+        .addChoices(
+            { name: 'View rules and history', value: 'view' },
+            { name: 'Edit rules and hand out roles', value: 'edit' },
+            { name: 'Run sweeps and simulations', value: 'sweep' }
+        );
+}
 
 const addRoleCommand = {
     data: new SlashCommandBuilder()
         .setName('addrole')
         .setDescription('Add a role to the server')
-        .addStringOption(option =>
-            option.setName('roleid')
-                .setDescription('The ID of the role')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('rolename')
-                .setDescription('The name of the role')
+        .addRoleOption(option =>
+            option.setName('role')
+                .setDescription('The role to manage')
                 .setRequired(true))
         .addStringOption(option =>
             option.setName('dependencies')
-                .setDescription('Space-separated list of dependency role IDs')
-                .setRequired(true))
-        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
-    handle: handleAddRole
+                .setDescription('Dependency roles, as IDs or mentions separated by spaces or commas')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('mode')
+                .setDescription('Whether the role is removed, granted, or both when dependencies change')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Remove only (default)', value: 'remove' },
+                    { name: 'Grant only', value: 'grant' },
+                    { name: 'Sync both ways', value: 'sync' }
+                )),
+    permission: 'edit',
+    handle: handleAddRole,
+    autocomplete: autocompleteRoleList
 };
 
 const removeRoleCommand = {
     data: new SlashCommandBuilder()
         .setName('removerole')
         .setDescription('Remove a role from the server')
-        .addStringOption(option =>
-            option.setName('roleid')
-                .setDescription('The ID of the role to remove')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('rolename')
-                .setDescription('The name of the role to remove')
+        .addRoleOption(option =>
+            option.setName('role')
+                .setDescription('The role whose rule should be removed')
                 .setRequired(true))
         .addStringOption(option =>
             option.setName('dependencies')
-                .setDescription('Space-separated list of dependency role IDs to verify')
+                .setDescription('Dependencies of the rule to remove, in any order')
+                .setRequired(false)
+                .setAutocomplete(true))
+        .addBooleanOption(option =>
+            option.setName('all')
+                .setDescription('Remove every rule for this role')
+                .setRequired(false)),
+    permission: 'edit',
+    handle: handleRemoveRole,
+    autocomplete: autocompleteRoleList
+};
+
+const editRoleCommand = {
+    data: new SlashCommandBuilder()
+        .setName('editrole')
+        .setDescription('Change an existing role rule')
+        .addSubcommand(subcommand =>
+            subcommand.setName('adddependency')
+                .setDescription('Add dependency roles to a rule')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The role whose rule to edit')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('dependencies')
+                        .setDescription('Roles to add, as IDs or mentions separated by spaces or commas')
+                        .setRequired(true)
+                        .setAutocomplete(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('removedependency')
+                .setDescription('Remove dependency roles from a rule')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The role whose rule to edit')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('dependencies')
+                        .setDescription('Roles to remove, as IDs or mentions separated by spaces or commas')
+                        .setRequired(true)
+                        .setAutocomplete(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('rename')
+                .setDescription('Change the name stored for a rule')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The role whose rule to edit')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The new name')
+                        .setMaxLength(100)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('toggle')
+                .setDescription('Enable or disable a rule')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The role whose rule to edit')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether the rule is enforced')
+                        .setRequired(true))),
+    permission: 'edit',
+    handle: handleEditRole,
+    autocomplete: autocompleteRoleList
+};
+
+const sweepCommand = {
+    data: new SlashCommandBuilder()
+        .setName('sweep')
+        .setDescription('Check every member against the role rules and fix their roles'),
+    permission: 'sweep',
+    handle: handleSweep
+};
+
+const simulateCommand = {
+    data: new SlashCommandBuilder()
+        .setName('simulate')
+        .setDescription('Preview which roles the current rules would remove or grant')
+        .addUserOption(option =>
+            option.setName('member')
+                .setDescription('Only evaluate this member')
+                .setRequired(false)),
+    permission: 'sweep',
+    handle: handleSimulate
+};
+
+const roleHistoryCommand = {
+    data: new SlashCommandBuilder()
+        .setName('rolehistory')
+        .setDescription('Show recent automatic role changes')
+        .addUserOption(option =>
+            option.setName('member')
+                .setDescription('Only show changes made to this member')
+                .setRequired(false))
+        .addRoleOption(option =>
+            option.setName('role')
+                .setDescription('Only show changes involving this role')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('limit')
+                .setDescription('How many changes to show (default 10)')
+                .setMinValue(1)
+                .setMaxValue(25)
+                .setRequired(false)),
+    permission: 'view',
+    handle: handleRoleHistory
+};
+
+const listRolesCommand = {
+    data: new SlashCommandBuilder()
+        .setName('listroles')
+        .setDescription('Show the role rules the bot is enforcing'),
+    permission: 'view',
+    handle: handleListRoles
+};
+
+const explainCommand = {
+    data: new SlashCommandBuilder()
+        .setName('explain')
+        .setDescription('Explain how each role rule applies to a member')
+        .addUserOption(option =>
+            option.setName('member')
+                .setDescription('The member to explain the rules for')
+                .setRequired(true)),
+    permission: 'view',
+    handle: handleExplain
+};
+
+const tempRoleCommand = {
+    data: new SlashCommandBuilder()
+        .setName('temprole')
+        .setDescription('Grant a role to a member for a limited time')
+        .addUserOption(option =>
+            option.setName('member')
+                .setDescription('The member to grant the role to')
                 .setRequired(true))
+        .addRoleOption(option =>
+            option.setName('role')
+                .setDescription('The role to grant')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('How long the member keeps the role, e.g. 2h, 7d or 1d12h')
+                .setRequired(true)),
+    permission: 'edit',
+    handle: handleTempRole
+};
+
+const roleMenuCommand = {
+    data: new SlashCommandBuilder()
+        .setName('rolemenu')
+        .setDescription('Manage menus members use to pick their own roles')
+        .addSubcommand(subcommand =>
+            subcommand.setName('create')
+                .setDescription('Publish a role menu in this channel')
+                .addStringOption(option =>
+                    option.setName('roles')
+                        .setDescription('Roles members can pick, as IDs or mentions separated by spaces or commas')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('The title of the menu')
+                        .setMaxLength(256)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('style')
+                        .setDescription('Show a button per role, or a select menu')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Buttons (default)', value: 'buttons' },
+                            { name: 'Select menu', value: 'select' }
+                        ))
+                .addBooleanOption(option =>
+                    option.setName('exclusive')
+                        .setDescription('Members may only hold one of the roles')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('maxpicks')
+                        .setDescription('The most roles of the menu a member may hold at once')
+                        .setMinValue(1)
+                        .setMaxValue(25)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show the role menus of this server'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('delete')
+                .setDescription('Delete a role menu and its message')
+                .addStringOption(option =>
+                    option.setName('id')
+                        .setDescription('The ID of the menu')
+                        .setRequired(true)
+                        .setAutocomplete(true))),
+    permission: interaction => (interaction.options.getSubcommand() === 'list' ? 'view' : 'edit'),
+    handle: handleRoleMenu,
+    autocomplete: autocompleteRoleMenu
+};
+
+const rulesCommand = {
+    data: new SlashCommandBuilder()
+        .setName('rules')
+        .setDescription('Export, import and roll back the role rules of this server')
+        .addSubcommand(subcommand =>
+            subcommand.setName('export')
+                .setDescription('Download the rules as a template that refers to roles by name'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('import')
+                .setDescription('Apply a rules template to this server')
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('A template made with /rules export')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('replace')
+                        .setDescription('Replace every existing rule instead of only the rules of the imported roles')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('history')
+                .setDescription('Show who changed the rules, when, and what changed')
+                .addIntegerOption(option =>
+                    option.setName('version')
+                        .setDescription('Show everything one version changed')
+                        .setMinValue(1)
+                        .setAutocomplete(true)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('rollback')
+                .setDescription('Put back the rules of an earlier version')
+                .addIntegerOption(option =>
+                    option.setName('version')
+                        .setDescription('The version to roll back to')
+                        .setMinValue(1)
+                        .setAutocomplete(true)
+                        .setRequired(true))),
+    permission: interaction => (['export', 'history'].includes(interaction.options.getSubcommand()) ? 'view' : 'edit'),
+    handle: handleRules,
+    autocomplete: autocompleteRules
+};
+
+const queueCommand = {
+    data: new SlashCommandBuilder()
+        .setName('queue')
+        .setDescription('Check the role update queue and resume it when paused')
+        .addSubcommand(subcommand =>
+            subcommand.setName('status')
+                .setDescription('Show pending role updates and whether they are paused'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('resume')
+                .setDescription('Apply the held role updates and lift the pause'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('discard')
+                .setDescription('Drop the held role updates and lift the pause')),
+    permission: interaction => (interaction.options.getSubcommand() === 'status' ? 'view' : 'sweep'),
+    handle: handleQueue
+};
+
+const permissionsCommand = {
+    data: new SlashCommandBuilder()
+        .setName('permissions')
+        .setDescription('Manage who may view and edit role rules')
+        .addSubcommand(subcommand =>
+            subcommand.setName('grant')
+                .setDescription('Allow a role or user to use commands of a scope')
+                .addStringOption(option => addScopeChoices(option))
+                .addMentionableOption(option =>
+                    option.setName('target')
+                        .setDescription('The role or user')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('revoke')
+                .setDescription('Take a scope away from a role or user')
+                .addStringOption(option => addScopeChoices(option))
+                .addMentionableOption(option =>
+                    option.setName('target')
+                        .setDescription('The role or user')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show who may use which commands'))
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
-    handle: handleRemoveRole
+    permission: 'admin',
+    handle: handlePermissions
 };
 
-module.exports = [addRoleCommand, removeRoleCommand];
+const commands = [
+    addRoleCommand,
+    removeRoleCommand,
+    editRoleCommand,
+    sweepCommand,
+    simulateCommand,
+    roleHistoryCommand,
+    listRolesCommand,
+    explainCommand,
+    tempRoleCommand,
+    roleMenuCommand,
+    rulesCommand,
+    queueCommand,
+    permissionsCommand
+];
+
+// Add the translated names and descriptions from the message catalogs (see i18n.js)
+commands.forEach(command => localizeCommand(command.data));
+
+module.exports = commands;
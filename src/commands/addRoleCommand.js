@@ -5,59 +5,153 @@
  *
  * Process:
  * 1. Extracts role-related details from the command interaction:
- *    - roleId: The unique identifier for the new role.
- *    - roleName: The name of the role as it appears to users.
- *    - dependencies: Comma-separated list of dependent role IDs, converted into an array.
+ *    - role: The Discord role the rule manages. Its current name is stored as the rule's roleName.
+ *    - dependencies: Role IDs or role mentions separated by spaces and/or commas, parsed into an array of IDs.
+ *    - mode: Whether the role is removed, granted, or synced both ways as dependencies change. Defaults to 'remove'.
  *    - guildId: The ID of the guild where the command was executed, used for role configuration.
  *
- * 2. Defines the path for the guild-specific roles configuration file (e.g., 'roles_guildId.json').
+ *    The role and its dependencies are validated against the guild before anything is saved. The managed role must
+ *    exist, must not be managed by an integration and must sit below the bot's highest role; every dependency must
+ *    exist. The managed role and every dependency must sit below the highest role of the user running the command. Problems are reported back to the user in an ephemeral message.
  *
- * 3. Checks if the roles configuration file exists for the guild, reads it if available, or initializes
- *    an empty roles array if the file does not exist.
+ * 2. Reads the guild's rules from the configured storage backend (by default the guild-specific file
+ *    'roles_guildId.json'), starting from an empty list when the guild has no rules yet.
  *
- * 4. Adds the new role with its details to the roles array.
+ * 3. Checks whether the role already has a rule.
  *
- * 5. Writes the updated roles configuration back to the guild-specific file using formatted JSON.
+ * 4. Adds the new role with its details to the roles array. When the role already has a rule, the user is asked
+ *    with buttons whether to merge the new dependencies into the existing rule, replace it, or cancel, instead of
+ *    adding a duplicate rule. Merging also folds any older duplicate rules for the role into one. The change is
+ *    applied to the latest stored rules after the user answers, so edits made in the meantime are not lost.
+ *    The updated rules are then checked for dependency cycles. If there is one, the user is told which roles form
+ *    the cycle and nothing is saved.
  *
- * 6. Responds to the command interaction with a confirmation message detailing the added role and its dependencies.
+ * 5. Simulates the change on the guild's members. When it would take roles from more members than the guild's
+ *    threshold, the user is shown the change and its impact and asked to confirm it (see ruleSafety.js).
  *
- * 7. Handles errors that might occur during the process, logging errors and sending an ephemeral message back
+ * 6. Saves the updated roles configuration through the storage backend, which writes it atomically, records it as a
+ *    new version with the user as its author, and makes sure concurrent edits of the same guild's rules do not
+ *    overwrite each other.
+ *
+ * 7. Responds to the command interaction with a confirmation message detailing the added role and its dependencies.
+ *
+ * 8. Handles errors that might occur during the process, logging errors and sending an ephemeral message back
  *    to the user indicating the failure.
  *
+ * Replies are taken from the message catalogs in the guild's language, or the user's (see i18n.js). The rule versions
+ * are described with a message key, so the history shows them in the language of whoever reads it.
+ *
  * This method ensures that roles are managed dynamically per guild, facilitating efficient server administration
  * directly through user interactions and allowing for scalable role management across different servers.
  */
-const fs = require('fs');
-const path = require('path');
+const { ButtonStyle } = require('discord.js');
+const { RoleManager } = require('../roleManager');
+const { sortByDependencies } = require('../dependencyGraph');
+const { parseRoleIds, validateManagedRole, validateDependencyRoles } = require('../roleValidation');
+const { mergeEntries } = require('../ruleEditing');
+const { promptChoice } = require('../prompts');
+const { storage } = require('../storage');
+const { checkRoleHierarchy } = require('../permissions');
+const { reviewRuleChange } = require('../ruleSafety');
+const { translatorFor } = require('../i18n');
 
 async function handle(interaction) {
+    const t = translatorFor(interaction);
     try {
         const guildId = interaction.guild.id;  // Get the guild ID from the interaction
-        const roleId = interaction.options.getString('roleid');
-        const roleName = interaction.options.getString('rolename');
-        const dependencies = interaction.options.getString('dependencies').split(',');
+        const role = interaction.options.getRole('role');
+        const roleId = role.id;
+        const roleName = role.name;
+        const modeOption = interaction.options.getString('mode');
 
-        const rolesFilePath = path.join(__dirname, '../../roles', `roles_${guildId}.json`); // Define the file path with guildId
+        let dependencies;
+        try {
+            dependencies = parseRoleIds(interaction.options.getString('dependencies'), t);
+        } catch (error) {
+            await interaction.reply({ content: error.message, ephemeral: true });
+            return;
+        }
+
+        // Make sure the bot can manage the role and that every dependency exists
+        const problem = validateManagedRole(interaction.guild, roleId, t)
+            || checkRoleHierarchy(interaction, [roleId, ...dependencies])
+            || validateDependencyRoles(interaction.guild, dependencies, t);
+        if (problem) {
+            await interaction.reply({ content: t('addrole.notAdded', { role: roleName, problem }), ephemeral: true });
+            return;
+        }
 
-        // Initialize roles data array
-        let rolesData = [];
+        const respond = payload => (interaction.replied || interaction.deferred ? interaction.editReply(payload) : interaction.reply(payload));
+        const newEntry = { roleId, roleName, dependencies, mode: modeOption || 'remove' };
 
-        // Check if the file exists and read from it if it does
-        if (fs.existsSync(rolesFilePath)) {
-            rolesData = JSON.parse(fs.readFileSync(rolesFilePath, 'utf8'));
+        // Ask whether to merge or replace when the role already has rules, instead of adding a duplicate
+        let action = 'add';
+        const storedRules = (await storage.readRules(guildId)) || [];
+        if (storedRules.some(entry => entry.roleId === roleId)) {
+            action = await promptChoice(interaction, t('addrole.alreadyHasRule', { role: roleName }), [
+                { id: 'merge', label: t('addrole.merge'), style: ButtonStyle.Primary },
+                { id: 'replace', label: t('addrole.replace'), style: ButtonStyle.Danger },
+                { id: 'cancel', label: t('prompts.cancel') }
+            ]);
+            if (action === null) return;
+            if (action === 'cancel') {
+                await respond({ content: t('addrole.unchanged', { role: roleName }), components: [] });
+                return;
+            }
         }
 
-        // Add the new role
-        rolesData.push({ roleId, roleName, dependencies });
+        // Builds the rules after the change, refusing rules that would make the managed roles depend on each other in a cycle
+        let savedEntry = newEntry;
+        let cycleError = null;
+        const applyChange = rolesData => {
+            const existingEntries = rolesData.filter(entry => entry.roleId === roleId);
+            const otherEntries = rolesData.filter(entry => entry.roleId !== roleId);
 
-        // Save the updated roles data back to the specific guild file
-        fs.writeFileSync(rolesFilePath, JSON.stringify(rolesData, null, 4));
+            savedEntry = newEntry;
+            if (action === 'merge' && existingEntries.length > 0) {
+                const lastExisting = existingEntries[existingEntries.length - 1];
+                savedEntry = mergeEntries([...existingEntries, { ...newEntry, mode: modeOption || lastExisting.mode || 'remove' }]);
+            }
+            const updatedRolesData = action === 'add' ? [...rolesData, savedEntry] : [...otherEntries, savedEntry];
+
+            try {
+                sortByDependencies(updatedRolesData.map(entry => RoleManager.fromConfig(entry)));
+            } catch (error) {
+                cycleError = error;
+                return null;
+            }
+            return updatedRolesData;
+        };
+
+        // Preview the change, asking for confirmation when it would take roles from many members
+        const proposed = applyChange(storedRules);
+        if (proposed) {
+            const summary = t({ add: 'addrole.summaryAdd', merge: 'addrole.summaryMerge', replace: 'addrole.summaryReplace' }[action], { role: roleName });
+            if (!(await reviewRuleChange(interaction, { before: storedRules, after: proposed, summary }))) return;
+
+            // Apply the change to the latest stored rules, since they may have changed in the meantime
+            await storage.updateRules(guildId, applyChange, {
+                author: interaction.user,
+                description: {
+                    key: { add: 'versions.addedRule', merge: 'versions.mergedRules', replace: 'versions.replacedRules' }[action],
+                    params: { role: roleName }
+                }
+            });
+        }
+
+        if (cycleError) {
+            await respond({ content: t('addrole.notAdded', { role: roleName, problem: cycleError.message }), ephemeral: true });
+            return;
+        }
 
         // Reply to the interaction
-        await interaction.reply(`Role ${roleName} added with ID ${roleId} and dependencies ${dependencies.join(', ')}`);
+        const savedDependencies = savedEntry.dependencies ? savedEntry.dependencies.join(', ') : t('addrole.customCondition');
+        await respond(t({ add: 'addrole.added', merge: 'addrole.merged', replace: 'addrole.replaced' }[action],
+            { role: roleName, roleId, dependencies: savedDependencies, mode: savedEntry.mode }));
     } catch (error) {
         console.error('Error in addRoleCommand:', error);
-        await interaction.reply({ content: 'Failed to add role due to an internal error.', ephemeral: true });
+        const payload = { content: t('addrole.failed'), ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.editReply(payload) : interaction.reply(payload));
     }
 }
 
@@ -0,0 +1,143 @@
+/**
+ * Handles the 'editrole' command interaction within a Discord bot.
+ * This function is triggered when a user executes one of the 'editrole' subcommands. It changes the existing rule for
+ * a role in place, instead of having to remove the rule and add it again.
+ *
+ * Subcommands:
+ * - adddependency: Adds one or more dependency roles to the rule.
+ * - removedependency: Removes one or more dependency roles from the rule. A rule can not be left without dependencies.
+ * - rename: Changes the name stored for the rule.
+ * - toggle: Enables or disables the rule. Disabled rules stay in the roles file but never change anyone's roles.
+ *   Enabling a rule the bot disabled because a role it refers to was deleted (see roleSync.js) clears the reason. A rule
+ *   whose managed role, or one of whose dependencies, no longer exists can not be enabled; the missing roles are listed.
+ *
+ * Process:
+ * 1. Extracts the role and the subcommand's options from the command interaction, parsing dependency lists the same
+ *    way '/addrole' does and checking that added dependencies exist in the guild. Only rules for roles below the
+ *    highest role of the user running the command can be edited, and only roles below it can be added as dependencies.
+ *
+ * 2. Reads the guild's rules from the configured storage backend and finds the rule for the role. If the role has no rule, or has several
+ *    (which '/addrole' can merge into one), the user is told so and nothing is changed.
+ *
+ * 3. Applies the edit and checks that the updated rules do not depend on each other in a cycle.
+ *
+ * 4. Simulates the edit on the guild's members. When it would take roles from more members than the guild's
+ *    threshold, the user is shown the edit and its impact and asked to confirm it (see ruleSafety.js).
+ *
+ * 5. Saves the updated roles configuration through the storage backend, recording it as a new version with the user
+ *    as its author, and confirms the change to the user.
+ *
+ * 6. Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ *
+ * Replies follow the guild's language, or the user's (see i18n.js). The recorded version describes the change as a
+ * message, translated when the history is shown.
+ */
+const { RoleManager } = require('../roleManager');
+const { sortByDependencies } = require('../dependencyGraph');
+const { parseRoleIds, validateDependencyRoles } = require('../roleValidation');
+const { addDependencies, removeDependencies } = require('../ruleEditing');
+const { storage } = require('../storage');
+const { checkRoleHierarchy } = require('../permissions');
+const { reviewRuleChange } = require('../ruleSafety');
+const { findMissingRoles } = require('../roleSync');
+const { translatorFor } = require('../i18n');
+
+/**
+ * Applies the subcommand to a rule entry, returning the updated entry and the change as a message key with its
+ * parameters, { entry, change: { key, params } }.
+ * Throws an Error with a message for the user, from the translator `t`, when the edit is not possible.
+ */
+function applyEdit(interaction, entry, t) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'adddependency' || subcommand === 'removedependency') {
+        const roleIds = parseRoleIds(interaction.options.getString('dependencies'), t);
+        const params = { roles: roleIds.join(', ') };
+        if (subcommand === 'adddependency') {
+            const problem = validateDependencyRoles(interaction.guild, roleIds, t) || checkRoleHierarchy(interaction, roleIds);
+            if (problem) throw new Error(problem);
+            return { entry: addDependencies(entry, roleIds), change: { key: 'editrole.addedDependencies', params } };
+        }
+        return { entry: removeDependencies(entry, roleIds, t), change: { key: 'editrole.removedDependencies', params } };
+    }
+
+    if (subcommand === 'rename') {
+        const roleName = interaction.options.getString('name').trim();
+        if (roleName === '') throw new Error(t('editrole.emptyName'));
+        return { entry: { ...entry, roleName }, change: { key: 'editrole.renamed', params: { name: roleName } } };
+    }
+
+    // Enabling a rule clears the reason the bot disabled it for, if it did
+    const enabled = interaction.options.getBoolean('enabled');
+    const missing = enabled ? findMissingRoles(interaction.guild, entry) : [];
+    if (missing.length > 0) throw new Error(t('editrole.missingRoles', { roles: missing.join(', ') }));
+    const { disabledReason, ...rest } = entry;
+    return { entry: { ...(enabled ? rest : entry), enabled }, change: { key: enabled ? 'editrole.enabled' : 'editrole.disabled', params: {} } };
+}
+
+async function handle(interaction) {
+    const respond = payload => (interaction.replied || interaction.deferred ? interaction.editReply(payload) : interaction.reply(payload));
+    const t = translatorFor(interaction);
+    try {
+        const guildId = interaction.guild.id;
+        const role = interaction.options.getRole('role');
+        const hierarchyProblem = checkRoleHierarchy(interaction, [role.id]);
+        if (hierarchyProblem) {
+            await interaction.reply({ content: hierarchyProblem, ephemeral: true });
+            return;
+        }
+
+        // Applies the edit to a rule set, collecting any problem to report instead of saving
+        let problem = null;
+        let edit = null;
+        const applyChange = rolesData => {
+            const matches = rolesData.filter(entry => entry.roleId === role.id);
+            if (matches.length === 0) {
+                problem = t('editrole.noRule', { role: role.name });
+                return null;
+            }
+            if (matches.length > 1) {
+                problem = t('editrole.multipleRules', { role: role.name, count: matches.length });
+                return null;
+            }
+
+            try {
+                edit = applyEdit(interaction, matches[0], t);
+                const updatedRolesData = rolesData.map(entry => (entry === matches[0] ? edit.entry : entry));
+
+                // Refuse edits that would make the managed roles depend on each other in a cycle
+                sortByDependencies(updatedRolesData.map(entry => RoleManager.fromConfig(entry)));
+                return updatedRolesData;
+            } catch (error) {
+                problem = t('editrole.notChanged', { role: role.name, problem: error.message });
+                return null;
+            }
+        };
+
+        // Preview the edit, asking for confirmation when it would take roles from many members
+        const storedRules = (await storage.readRules(guildId)) || [];
+        const proposed = applyChange(storedRules);
+        if (proposed) {
+            const summary = t('editrole.summary', { role: role.name });
+            if (!(await reviewRuleChange(interaction, { before: storedRules, after: proposed, summary }))) return;
+
+            // Apply the edit to the latest stored rules, since they may have changed in the meantime
+            await storage.updateRules(guildId, applyChange, {
+                author: interaction.user,
+                description: { key: 'versions.editedRule', params: { role: role.name, change: edit.change } }
+            });
+        }
+
+        if (problem) {
+            await respond({ content: problem, ephemeral: true, components: [] });
+            return;
+        }
+
+        await respond({ content: t('editrole.changed', { role: role.name, change: t(edit.change.key, edit.change.params) }), components: [] });
+    } catch (error) {
+        console.error('Error in editRoleCommand:', error);
+        await respond({ content: t('editrole.failed'), ephemeral: true, components: [] });
+    }
+}
+
+module.exports = { handle };
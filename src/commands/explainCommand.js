@@ -0,0 +1,92 @@
+/**
+ * Handles the 'explain' command interaction within a Discord bot.
+ * This function is triggered when a user executes the 'explain' command. It walks through every loaded rule for
+ * one member, showing whether the rule's dependencies are met and what the bot would do to that member.
+ *
+ * Process:
+ * 1. Extracts the member from the command interaction and fetches their current roles.
+ *
+ * 2. Resolves the changes the rules would make for the member, including cascades between managed roles, the same
+ *    way a reconciliation sweep does.
+ *
+ * 3. Describes each rule:
+ *    - Whether the member holds the managed role.
+ *    - Whether the rule's condition is met, and if not, which roles are missing or must be dropped.
+ *    - The outcome: the role would be removed, granted, or left as it is.
+ *
+ * 4. Replies with an ephemeral embed per page of rules, with buttons to move between pages.
+ *
+ * 5. Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ *
+ * The explanation is written in the language of the guild, or the user's (see i18n.js).
+ */
+const { EmbedBuilder } = require('discord.js');
+const { getRules } = require('../ruleRegistry');
+const { resolveRoleChanges } = require('../dependencyGraph');
+const { formatCondition } = require('../roleManager');
+const { replyWithPages, chunkLines } = require('../pagination');
+const { translatorFor } = require('../i18n');
+
+const RULES_PER_PAGE = 8;
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        const guild = interaction.guild;
+        const rules = getRules(guild.id);
+        if (rules.length === 0) {
+            await interaction.reply({ content: t('explain.noRules'), ephemeral: true });
+            return;
+        }
+
+        const user = interaction.options.getUser('member');
+        const member = await guild.members.fetch(user.id);
+        const memberRoles = member.roles.cache;
+        const { rolesToRemove, rolesToAdd } = resolveRoleChanges(rules, null, memberRoles);
+
+        const nameOf = roleId => {
+            const role = guild.roles.cache.get(roleId);
+            return role ? role.name : t('explain.unknownRole', { roleId });
+        };
+
+        const lines = rules.map(rule => {
+            const holds = memberRoles.has(rule.roleId);
+            const unmet = rule.unmetRequirements(memberRoles);
+            const status = unmet.length === 0
+                ? t('explain.met')
+                : t('explain.notMet', {
+                    requirements: unmet.map(({ roleId, required }) =>
+                        t(required ? 'requirements.missing' : 'requirements.has', { role: nameOf(roleId) })).join(', ')
+                });
+
+            let outcome = t(holds ? 'explain.keeps' : 'explain.lacks');
+            if (!rule.enabled) outcome = t('explain.disabled');
+            if (rolesToRemove.includes(rule.roleId)) outcome = t('explain.removed');
+            if (rolesToAdd.includes(rule.roleId)) outcome = t('explain.granted');
+
+            const condition = rule.removalDependencies.length > 0 ? formatCondition(rule.condition, nameOf) : t('explain.noDependencies');
+            return t('explain.rule', {
+                role: nameOf(rule.roleId),
+                mode: rule.mode,
+                held: t(holds ? 'explain.held' : 'explain.notHeld'),
+                condition,
+                icon: unmet.length === 0 ? '✅' : '❌',
+                status,
+                outcome
+            });
+        });
+
+        const embeds = chunkLines(lines, RULES_PER_PAGE).map(page => new EmbedBuilder()
+            .setTitle(t('explain.title', { member: member.displayName }))
+            .setDescription(page.join('\n\n'))
+            .setFooter({ text: t('explain.footer', { removed: rolesToRemove.length, granted: rolesToAdd.length }) }));
+
+        await replyWithPages(interaction, embeds);
+    } catch (error) {
+        console.error('Error in explainCommand:', error);
+        const payload = { content: t('explain.failed'), ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(payload) : interaction.reply(payload));
+    }
+}
+
+module.exports = { handle };
@@ -0,0 +1,69 @@
+/**
+ * Handles the 'listroles' command interaction within a Discord bot.
+ * This function is triggered when a user executes the 'listroles' command. It shows the rules the bot is currently
+ * enforcing in the guild, so administrators do not have to read the roles file on the host.
+ *
+ * Process:
+ * 1. Reads the loaded rules for the guild. If there are none, tells the user so. If the latest stored rules could not
+ *    be loaded, for example because the roles file is malformed, the error is shown above the rules still in effect.
+ *
+ * 2. Describes each rule with the managed role's current name from the guild cache, its mode, whether it is disabled (and why, when the bot disabled it), its maximum lifetime, and its condition
+ *    with every role ID resolved to a role name. Roles that no longer exist in the guild are shown by ID.
+ *
+ * 3. Replies with an ephemeral embed per page of rules, with buttons to move between pages.
+ *
+ * 4. Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ *
+ * The list is written in the language of the guild, or the user's (see i18n.js). Conditions keep their AND, OR and
+ * NOT operators, and modes their option values, so they read the same as in the rules file.
+ */
+const { EmbedBuilder } = require('discord.js');
+const { getRules, getLoadError } = require('../ruleRegistry');
+const { formatCondition } = require('../roleManager');
+const { replyWithPages, chunkLines } = require('../pagination');
+const { formatDuration } = require('../duration');
+const { translatorFor, translateMessage } = require('../i18n');
+
+const RULES_PER_PAGE = 8;
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        const guild = interaction.guild;
+        const rules = getRules(guild.id);
+        const loadError = getLoadError(guild.id);
+        const warning = loadError ? t('listroles.loadError', { error: loadError.message }) : null;
+        if (rules.length === 0) {
+            const content = t('listroles.noRules');
+            await interaction.reply({ content: warning ? `${content}\n${warning}` : content, ephemeral: true });
+            return;
+        }
+
+        const nameOf = roleId => {
+            const role = guild.roles.cache.get(roleId);
+            return role ? role.name : t('listroles.unknownRole', { roleId });
+        };
+
+        const lines = rules.map(rule => {
+            const condition = rule.removalDependencies.length > 0 ? formatCondition(rule.condition, nameOf) : t('listroles.noDependencies');
+            let state = rule.enabled ? rule.mode : `${rule.mode}, ${t('listroles.disabled')}`;
+            if (rule.disabledReason) state += `: ${translateMessage(rule.disabledReason, t)}`;
+            if (rule.maxLifetime) state += `, ${t('listroles.expires', { duration: formatDuration(rule.maxLifetime) })}`;
+            return t('listroles.rule', { role: nameOf(rule.roleId), roleId: rule.roleId, state, condition });
+        });
+
+        const pages = chunkLines(lines, RULES_PER_PAGE);
+        const embeds = pages.map(page => new EmbedBuilder()
+            .setTitle(t('listroles.title', { guild: guild.name }))
+            .setDescription([warning && `:warning: ${warning}`, ...page].filter(Boolean).join('\n\n'))
+            .setFooter({ text: t('listroles.footer', { count: rules.length }) }));
+
+        await replyWithPages(interaction, embeds);
+    } catch (error) {
+        console.error('Error in listRolesCommand:', error);
+        const payload = { content: t('listroles.failed'), ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(payload) : interaction.reply(payload));
+    }
+}
+
+module.exports = { handle };
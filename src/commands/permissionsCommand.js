@@ -0,0 +1,64 @@
+/**
+ * Handles the 'permissions' command interaction within a Discord bot.
+ * This function is triggered when an administrator executes the 'permissions' command. It manages which roles and
+ * users may use the bot's other commands (see permissions.js).
+ *
+ * Subcommands:
+ * - grant: Allows a role or user to use the commands of a scope ('view', 'edit' or 'sweep').
+ * - revoke: Takes a scope away from a role or user. Grants made in 'config.json' can only be removed there.
+ * - list: Shows every grant of the guild per scope, marking the ones that come from 'config.json'.
+ *
+ * Replies follow the language of the guild, or the user's (see i18n.js). Scopes are shown by their option value.
+ *
+ * Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ */
+const { PERMISSION_SCOPES, setGrant, listGrants } = require('../permissions');
+const { translatorFor } = require('../i18n');
+
+async function handleChange(interaction, t, granted) {
+    const scope = interaction.options.getString('scope');
+    const target = interaction.options.get('target');
+    const type = target.role ? 'roles' : 'users';
+    const mention = target.role ? `<@&${target.value}>` : `<@${target.value}>`;
+
+    const changed = setGrant(interaction.guild.id, scope, type, target.value, granted);
+    let key;
+    if (granted) {
+        key = changed ? 'permissions.granted' : 'permissions.alreadyGranted';
+    } else {
+        key = changed ? 'permissions.revoked' : 'permissions.notGranted';
+    }
+    const content = t(key, { target: mention, scope });
+    await interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+async function handleList(interaction, t) {
+    const grants = listGrants(interaction.guild.id);
+    const lines = PERMISSION_SCOPES.map(scope => {
+        const { roles, users, configuredRoles, configuredUsers } = grants[scope];
+        const holders = [
+            ...roles.map(id => `<@&${id}>`),
+            ...users.map(id => `<@${id}>`),
+            ...configuredRoles.map(id => t('permissions.configured', { target: `<@&${id}>` })),
+            ...configuredUsers.map(id => t('permissions.configured', { target: `<@${id}>` }))
+        ];
+        return `**${scope}**: ${holders.join(', ') || t('permissions.adminsOnly')}`;
+    });
+    await interaction.reply({ content: lines.join('\n'), ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'grant') await handleChange(interaction, t, true);
+        else if (subcommand === 'revoke') await handleChange(interaction, t, false);
+        else if (subcommand === 'list') await handleList(interaction, t);
+    } catch (error) {
+        console.error('Error in permissionsCommand:', error);
+        const payload = { content: t('permissions.failed'), ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(payload) : interaction.reply(payload));
+    }
+}
+
+module.exports = { handle };
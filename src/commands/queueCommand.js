@@ -0,0 +1,81 @@
+/**
+ * Handles the 'queue' command interaction within a Discord bot.
+ * This function is triggered when a user executes one of the 'queue' subcommands. It shows the state of the guild's
+ * role updates and lets admins deal with a guild whose updates were paused, either because too many members were
+ * about to lose the same role or because a role the rules depend on was deleted (see roleQueue.js).
+ *
+ * Subcommands:
+ * - status: Shows the number of pending role updates, the guild's removal limit, and why and since when the guild is
+ *   paused, if it is.
+ * - resume: Asks for confirmation with buttons, then lifts the pause and applies the held updates. The removals
+ *   counted so far are forgotten, so the held updates do not pause the guild again right away.
+ * - discard: Drops the held updates and lifts the pause. Members whose roles still need changing are picked up by
+ *   the next sweep, so the rules should be fixed first.
+ *
+ * Replies follow the language of the guild, or the user's (see i18n.js).
+ *
+ * Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ */
+const { getQueueLength, getPauseState, describePause, resumeGuild, discardHeldJobs } = require('../roleQueue');
+const { getRemovalLimit } = require('../removalLimit');
+const { confirmAction } = require('../prompts');
+const { translatorFor } = require('../i18n');
+
+async function handleStatus(interaction, t) {
+    const guildId = interaction.guild.id;
+    const pause = getPauseState(guildId);
+    const limit = getRemovalLimit(guildId);
+
+    const lines = [
+        t('queue.pending', { count: getQueueLength(guildId) }),
+        limit ? t('queue.limit', { removals: limit.removals, minutes: limit.minutes }) : t('queue.limitOff')
+    ];
+    if (pause) {
+        lines.unshift(t('queue.paused', { time: `<t:${Math.floor(Date.parse(pause.time) / 1000)}:R>`, reason: describePause(pause, t) }),
+            t('queue.pausedHelp'));
+    }
+    await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+async function handleResume(interaction, t) {
+    const guildId = interaction.guild.id;
+    const pause = getPauseState(guildId);
+    if (!pause) {
+        await interaction.reply({ content: t('queue.notPaused'), ephemeral: true });
+        return;
+    }
+
+    const question = t('queue.resumeQuestion', { reason: describePause(pause, t), count: getQueueLength(guildId) });
+    if (!(await confirmAction(interaction, question))) {
+        await interaction.editReply({ content: t('queue.stayPaused'), components: [] });
+        return;
+    }
+
+    const held = getQueueLength(guildId);
+    const content = resumeGuild(guildId) ? t('queue.resumed', { count: held }) : t('queue.notPausedAnymore');
+    await interaction.editReply({ content, components: [] });
+}
+
+async function handleDiscard(interaction, t) {
+    const count = discardHeldJobs(interaction.guild.id);
+    await interaction.reply({
+        content: count === null ? t('queue.nothingHeld') : t('queue.discarded', { count }),
+        ephemeral: true
+    });
+}
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'status') await handleStatus(interaction, t);
+        else if (subcommand === 'resume') await handleResume(interaction, t);
+        else if (subcommand === 'discard') await handleDiscard(interaction, t);
+    } catch (error) {
+        console.error('Error in queueCommand:', error);
+        const payload = { content: t('queue.failed'), components: [], ephemeral: true };
+        await (interaction.deferred || interaction.replied ? interaction.editReply(payload) : interaction.reply(payload));
+    }
+}
+
+module.exports = { handle };
@@ -1,89 +1,146 @@
 /**
  * Handles the 'removerole' command within the Discord bot. This function is invoked when a user executes
- * the 'removerole' command to delete a specific role from a guild's role configuration. It ensures
- * that the role to be removed matches exactly by both role ID and its listed dependencies.
+ * the 'removerole' command to delete rules for a specific role from a guild's role configuration.
  *
  * Process:
  * 1. Extracts role-related details from the command interaction:
  *    - guildId: The ID of the guild where the command was executed.
- *    - roleId: The unique identifier of the role to remove.
- *    - roleName: The visible name of the role.
- *    - dependencies: Comma-separated role IDs upon which the target role depends, parsed into an array.
+ *    - role: The Discord role whose rules should be removed.
+ *    - dependencies (optional): Role IDs or role mentions separated by spaces and/or commas, identifying one rule.
+ *    - all (optional): When true, every rule for the role is removed regardless of its dependencies.
  *
- * 2. Defines the path to the guild-specific roles file (e.g., 'roles_guildId.json') and checks its existence.
+ *    Rules can only be removed for roles below the highest role of the user running the command.
  *
- * 3. Reads the current role configuration from the guild-specific JSON file:
- *    - Parses the file into an array of role objects, where each object includes role ID, name, and dependencies.
+ * 2. Reads the current role configuration from the configured storage backend (by default the guild-specific
+ *    file 'roles_guildId.json'), telling the user when the guild has no rules at all.
  *
- * 4. Filters out the role to remove by checking for an exact match of roleId and dependencies:
- *    - Employs a helper function `arraysMatch` to confirm if dependency arrays are identical.
- *    - Removes the role entry if it matches the given criteria.
- *    - If no role matches the criteria, informs the user that no matching role was found.
+ * 3. Works with the guild's rules as an array of role objects, where each object includes role ID, name, and dependencies.
  *
- * 5. Writes the revised role configuration back to the guild-specific file:
- *    - Serializes the updated array to JSON and writes it back to the file.
+ * 4. Filters out the rules to remove:
+ *    - With 'all', every rule for the role is removed.
+ *    - With 'dependencies', only rules whose dependencies contain exactly the same roles are removed. The order in
+ *      which the dependencies are listed does not matter.
+ *    - With neither, nothing is removed and the user is shown the rules that exist for the role, so they can pick one.
+ *    - If no rule matches the criteria, informs the user that no matching rule was found.
  *
- * 6. Responds to the command interaction:
- *    - Sends a success message upon role removal, or an error message if the role could not be found.
- *    - On failure (e.g., file read/write errors, logic errors), logs the issue and sends an ephemeral message to the user.
+ * 5. Asks the user to confirm the removal with buttons, showing the rules that would be removed and how many members
+ *    would lose roles because of it (see ruleSafety.js). Nothing is removed when the user cancels.
+ *
+ * 6. Saves the revised role configuration through the storage backend:
+ *    - The matching rules are filtered out of the latest stored rules and the result is written atomically.
+ *    - The result is recorded as a new version of the rules with the user as its author, so it can be rolled back.
  *
- * This function ensures precise role management by strictly verifying both the role identifiers and their dependencies,
- * facilitating accurate updates directly via user commands in a guild-specific context.
+ * 7. Responds to the command interaction:
+ *    - Sends a success message upon rule removal, or an error message if no rule could be found.
+ *    - On failure (e.g., file read/write errors, logic errors), logs the issue and sends an ephemeral message to the user.
+ *    - Replies are in the guild's language, or the user's (see i18n.js).
  */
 
 
-const fs = require('fs');
-const path = require('path');
+const { parseRoleIds } = require('../roleValidation');
+const { storage } = require('../storage');
+const { checkRoleHierarchy } = require('../permissions');
+const { reviewRuleChange } = require('../ruleSafety');
+const { translatorFor } = require('../i18n');
 
 async function handle(interaction) {
+    const respond = payload => (interaction.replied || interaction.deferred ? interaction.editReply(payload) : interaction.reply(payload));
+    const t = translatorFor(interaction);
     try {
         const guildId = interaction.guild.id; // Get the guild ID from the interaction
-        const roleId = interaction.options.getString('roleid');
-        const roleName = interaction.options.getString('rolename');
-        const dependencies = interaction.options.getString('dependencies').split(',');
+        const role = interaction.options.getRole('role');
+        const roleId = role.id;
+        const removeAll = interaction.options.getBoolean('all') || false;
+        const dependenciesInput = interaction.options.getString('dependencies');
 
-        // Construct the path to the roles file for the specific guild
-        const rolesFilePath = path.join(__dirname, '../../roles', `roles_${guildId}.json`);
+        const hierarchyProblem = checkRoleHierarchy(interaction, [roleId]);
+        if (hierarchyProblem) {
+            await interaction.reply({ content: hierarchyProblem, ephemeral: true });
+            return;
+        }
 
-        // Ensure the roles file exists for the guild
-        if (!fs.existsSync(rolesFilePath)) {
-            await interaction.reply({ content: 'No roles file exists for this guild.', ephemeral: true });
+        let dependencies = null;
+        if (dependenciesInput) {
+            try {
+                dependencies = parseRoleIds(dependenciesInput, t);
+            } catch (error) {
+                await interaction.reply({ content: error.message, ephemeral: true });
+                return;
+            }
+        }
+
+        // Load the existing roles data for the guild
+        const rolesData = await storage.readRules(guildId);
+        if (!rolesData) {
+            await interaction.reply({ content: t('removerole.noRules'), ephemeral: true });
             return;
         }
 
-        // Load the existing roles data from the guild-specific file
-        const rolesData = JSON.parse(fs.readFileSync(rolesFilePath, 'utf8'));
-        const initialLength = rolesData.length;
+        if (!removeAll && !dependencies) {
+            // Show the rules that exist for the role so the user can choose which one to remove
+            const existing = rolesData
+                .filter(entry => entry.roleId === roleId)
+                .map(entry => `- ${(entry.dependencies || []).join(', ') || t('removerole.customCondition')}`);
+            await interaction.reply({
+                content: existing.length > 0
+                    ? t('removerole.existingRules', { role: role.name, rules: existing.join('\n') })
+                    : t('removerole.noRulesForRole', { role: role.name }),
+                ephemeral: true
+            });
+            return;
+        }
 
-        // Filter out the specific role entry with matching dependencies
-        const updatedRolesData = rolesData.filter(role => {
-            return !(role.roleId === roleId && arraysMatch(role.dependencies, dependencies));
-        });
+        // Filters out the matching rule entries, returning null when nothing matches
+        let removedCount = 0;
+        const removeMatching = currentRules => {
+            const updatedRolesData = currentRules.filter(entry => {
+                if (entry.roleId !== roleId) return true;
+                return !(removeAll || sameRoles(entry.dependencies || [], dependencies));
+            });
+            removedCount = currentRules.length - updatedRolesData.length;
+            return removedCount > 0 ? updatedRolesData : null;
+        };
 
-        if (updatedRolesData.length === initialLength) {
-            // No role was removed, indicate failure to find the specified role
-            await interaction.reply({ content: `No role with ID ${roleId} and the specified dependencies was found.`, ephemeral: true });
+        const proposed = removeMatching(rolesData);
+        if (!proposed) {
+            // No rule matches, indicate failure to find the specified rule
+            await interaction.reply({ content: t('removerole.notFound', { role: role.name }), ephemeral: true });
             return;
         }
 
-        // Save the updated roles data back to the specific guild file
-        fs.writeFileSync(rolesFilePath, JSON.stringify(updatedRolesData, null, 4));
+        // Removing rules is destructive, so the user always confirms after seeing what would change
+        const summary = t(removeAll ? 'removerole.summaryAll' : 'removerole.summaryOne', { role: role.name });
+        if (!(await reviewRuleChange(interaction, { before: rolesData, after: proposed, summary, destructive: true }))) return;
+
+        // Remove the matching rules from the latest stored rules, which may have changed in the meantime, and save the result
+        await storage.updateRules(guildId, removeMatching, {
+            author: interaction.user,
+            description: { key: removeAll ? 'versions.removedRules' : 'versions.removedRule', params: { role: role.name } }
+        });
+
+        if (removedCount === 0) {
+            await respond({ content: t('removerole.notFound', { role: role.name }), components: [] });
+            return;
+        }
 
-        // Notify the interaction of successful role removal
-        await interaction.reply(`Role ${roleName} with ID ${roleId} and dependencies ${dependencies.join(', ')} has been successfully removed.`);
+        // Notify the interaction of successful rule removal
+        await respond({
+            content: removeAll
+                ? t('removerole.removedAll', { count: removedCount, role: role.name, roleId })
+                : t('removerole.removed', { role: role.name, roleId, dependencies: dependencies.join(', ') }),
+            components: []
+        });
     } catch (error) {
         console.error('Error in removeRoleCommand:', error);
-        await interaction.reply({ content: 'Failed to remove role due to an internal error.', ephemeral: true });
+        await respond({ content: t('removerole.failed'), ephemeral: true, components: [] });
     }
 }
 
-// Helper function to compare two arrays for equality
-function arraysMatch(arr1, arr2) {
-    if (arr1.length !== arr2.length) return false;
-    for (let i = 0; i < arr1.length; i++) {
-        if (arr1[i] !== arr2[i]) return false;
-    }
-    return true;
+// Helper function to compare two lists of role IDs regardless of their order
+function sameRoles(roleIds1, roleIds2) {
+    const set1 = new Set(roleIds1);
+    const set2 = new Set(roleIds2);
+    return set1.size === set2.size && [...set1].every(roleId => set2.has(roleId));
 }
 
 module.exports = { handle };
@@ -0,0 +1,72 @@
+/**
+ * Handles the 'rolehistory' command interaction within a Discord bot.
+ * This function is triggered when a user executes the 'rolehistory' command. It looks up the automatic role changes
+ * recorded for the guild, optionally narrowed down to a member or a role, and shows the most recent ones.
+ *
+ * Process:
+ * 1. Extracts the query from the command interaction:
+ *    - member (optional): Only show changes made to this member.
+ *    - role (optional): Only show changes that removed or granted this role.
+ *    - limit (optional): How many changes to show, 10 by default.
+ *
+ * 2. Reads the matching records from the guild's history files, newest first.
+ *
+ * 3. Replies with one line per change, including the roles removed and the requirements that triggered each
+ *    removal and, for changes the bot gave up on, why they failed. Tells the user when no changes were found.
+ *
+ * 4. Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ *
+ * The changes, including why a change failed, are described in the language of the guild, or the user's (see i18n.js).
+ */
+const { readHistory, describeRequirement } = require('../auditLog');
+const { translatorFor, translateMessage } = require('../i18n');
+
+function formatRecord(record, t) {
+    const timestamp = `<t:${Math.floor(new Date(record.time).getTime() / 1000)}:f>`;
+    const parts = [
+        ...record.removed.map(role => t('rolehistory.removed', {
+            role: role.roleName,
+            reasons: role.reason.map(requirement => describeRequirement(requirement, t)).join(', ') || t('requirements.notMet')
+        })),
+        ...record.granted.map(role => t('rolehistory.granted', { role: role.roleName }))
+    ];
+    const flags = [
+        record.dryRun && t('rolehistory.dryRun'),
+        record.failed && t('rolehistory.failedChange', { reason: translateMessage(record.failed, t) })
+    ];
+    return [`${timestamp} <@${record.memberId}>: ${parts.join('; ')}`, ...flags].filter(Boolean).join(' ');
+}
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        const user = interaction.options.getUser('member');
+        const role = interaction.options.getRole('role');
+        const limit = interaction.options.getInteger('limit') || 10;
+
+        const records = readHistory(interaction.guild.id, {
+            memberId: user ? user.id : undefined,
+            roleId: role ? role.id : undefined,
+            limit
+        });
+
+        if (records.length === 0) {
+            await interaction.reply({ content: t('rolehistory.noRecords'), ephemeral: true });
+            return;
+        }
+
+        let content = '';
+        for (const line of records.map(record => formatRecord(record, t))) {
+            if (content.length + line.length + 1 > 2000) break;
+            content += `${line}\n`;
+        }
+
+        await interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
+    } catch (error) {
+        console.error('Error in roleHistoryCommand:', error);
+        const payload = { content: t('rolehistory.failed'), ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(payload) : interaction.reply(payload));
+    }
+}
+
+module.exports = { handle };
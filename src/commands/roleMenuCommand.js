@@ -0,0 +1,111 @@
+/**
+ * Handles the 'rolemenu' command interaction within a Discord bot.
+ * This function is triggered when a user executes the 'rolemenu' command. It manages the self-assignable role menus
+ * of the guild (see roleMenus.js).
+ *
+ * Subcommands:
+ * - create: Publishes a new menu in the current channel.
+ *    - roles: The roles members can pick, as IDs or mentions separated by spaces and/or commas (at most 25). Every
+ *      role must be one the bot can manage, and must sit below the highest role of the user running the command.
+ *    - title (optional): The title of the menu message.
+ *    - style (optional): Buttons (default), or a select menu.
+ *    - exclusive (optional): Members may only hold one of the roles; picking another swaps it in.
+ *    - maxpicks (optional): The most roles of the menu a member may hold at once.
+ * - list: Shows the guild's menus with their IDs and a link to each message.
+ * - delete: Deletes a menu, by ID, together with its message.
+ *
+ * Replies follow the language of the guild, or the user's (see i18n.js). A menu created without a title is titled in
+ * that language too.
+ *
+ * Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ */
+const { parseRoleIds, validateManagedRole } = require('../roleValidation');
+const { MAX_MENU_ROLES, createMenu, deleteMenu, listMenus } = require('../roleMenus');
+const { autocompleteRoleList } = require('../roleAutocomplete');
+const { checkRoleHierarchy } = require('../permissions');
+const { translatorFor } = require('../i18n');
+
+async function handleCreate(interaction, t) {
+    let roleIds;
+    try {
+        roleIds = parseRoleIds(interaction.options.getString('roles'), t);
+    } catch (error) {
+        await interaction.reply({ content: error.message, ephemeral: true });
+        return;
+    }
+
+    const problems = roleIds.map(roleId => validateManagedRole(interaction.guild, roleId, t)).filter(Boolean);
+    const hierarchyProblem = checkRoleHierarchy(interaction, roleIds);
+    if (hierarchyProblem) problems.push(hierarchyProblem);
+    if (roleIds.length === 0) problems.push(t('rolemenu.noRoles'));
+    if (roleIds.length > MAX_MENU_ROLES) problems.push(t('rolemenu.tooManyRoles', { max: MAX_MENU_ROLES }));
+    if (problems.length > 0) {
+        await interaction.reply({ content: t('rolemenu.notCreated', { problems: problems.join(' ') }), ephemeral: true });
+        return;
+    }
+
+    const menu = await createMenu(interaction.channel, {
+        title: interaction.options.getString('title') || t('rolemenu.defaultTitle'),
+        roleIds,
+        style: interaction.options.getString('style') || 'buttons',
+        exclusive: interaction.options.getBoolean('exclusive') || false,
+        maxPicks: interaction.options.getInteger('maxpicks'),
+        createdBy: interaction.user.id
+    }, t);
+    await interaction.reply({ content: t('rolemenu.created', { id: menu.id, count: roleIds.length }), ephemeral: true });
+}
+
+async function handleList(interaction, t) {
+    const menus = listMenus(interaction.guild.id);
+    const lines = menus.map(menu => {
+        const details = [
+            t('rolemenu.roleCount', { count: menu.roleIds.length }),
+            menu.style,
+            menu.exclusive ? t('rolemenu.pickOne') : menu.maxPicks && t('rolemenu.upTo', { max: menu.maxPicks })
+        ];
+        return `\`${menu.id}\` ${menu.title}: ${details.filter(Boolean).join(', ')}`
+            + ` (https://discord.com/channels/${menu.guildId}/${menu.channelId}/${menu.messageId})`;
+    });
+    await interaction.reply({ content: lines.join('\n') || t('rolemenu.noMenus'), ephemeral: true });
+}
+
+async function handleDelete(interaction, t) {
+    const menuId = interaction.options.getString('id');
+    const deleted = await deleteMenu(interaction.guild, menuId);
+    await interaction.reply({
+        content: deleted ? t('rolemenu.deleted', { id: menuId }) : t('rolemenu.notFound', { id: menuId }),
+        ephemeral: true
+    });
+}
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'create') await handleCreate(interaction, t);
+        else if (subcommand === 'list') await handleList(interaction, t);
+        else if (subcommand === 'delete') await handleDelete(interaction, t);
+    } catch (error) {
+        console.error('Error in roleMenuCommand:', error);
+        const payload = { content: t('rolemenu.failed'), ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(payload) : interaction.reply(payload));
+    }
+}
+
+/**
+ * Suggests the guild's menus for the 'id' option of 'delete', and roles for the 'roles' option of 'create'.
+ */
+async function autocomplete(interaction) {
+    if (interaction.options.getFocused(true).name === 'roles') {
+        await autocompleteRoleList(interaction);
+        return;
+    }
+    const input = interaction.options.getFocused().toLowerCase();
+    const choices = listMenus(interaction.guild.id)
+        .filter(menu => menu.id.startsWith(input) || menu.title.toLowerCase().includes(input))
+        .slice(0, 25)
+        .map(menu => ({ name: `${menu.id}: ${menu.title}`.slice(0, 100), value: menu.id }));
+    await interaction.respond(choices);
+}
+
+module.exports = { handle, autocomplete };
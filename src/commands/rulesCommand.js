@@ -0,0 +1,312 @@
+/**
+ * Handles the 'rules' command interaction within a Discord bot.
+ * This function is triggered when a user executes the 'rules' command. It moves a guild's rules in and out of the
+ * bot as portable templates that refer to roles by name (see ruleTemplates.js), so the same setup can be copied to
+ * another server, and shows and restores earlier versions of the rules (see storage/ruleVersions.js).
+ *
+ * Subcommands:
+ * - export: Replies with the guild's stored rules as a template file. Roles that no longer exist are exported by ID,
+ *   and the user is told which ones.
+ * - import: Applies a template file to the guild.
+ *    1. Downloads and parses the attached file, and resolves every role name to a role of this guild. Rules whose
+ *       roles can not all be resolved are left out and listed, with the reason for each role.
+ *    2. Builds the new rule set: the imported rules either replace every rule of the guild ('replace'), or only the
+ *       rules of the roles they manage (the default). The result is validated and checked for dependency cycles, the
+ *       bot must be able to manage every imported role, as with '/addrole', and every role whose rules would change,
+ *       and every role those rules depend on, must sit below the highest role of the user running the command;
+ *       problems are reported and nothing is changed.
+ *    3. Shows a preview of the changes, rule by rule, and how many members would lose roles because of them, with
+ *       Confirm and Cancel buttons.
+ *    4. Once confirmed, applies the import to the latest stored rules and reports the outcome.
+ * - history: Pages through the recorded versions of the guild's rules, newest first, with who made each one, when,
+ *   and what it changed compared to the version before it. With a version, shows everything that version changed.
+ * - rollback: Puts back the rules of an earlier version. The version is validated like an import, including the role
+ *   hierarchy check, and the user confirms after seeing the changes and how many members would lose roles. The
+ *   rollback is recorded as a new version itself, so it can be undone the same way.
+ *
+ * Replies, previews and history pages follow the language of the guild, or the user's (see i18n.js). The descriptions
+ * of versions are stored as messages and translated when they are shown, like those of the other commands that edit
+ * rules.
+ *
+ * Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ */
+const { AttachmentBuilder, EmbedBuilder } = require('discord.js');
+const { storage } = require('../storage');
+const { normalizeRuleSet, validateRuleSet } = require('../ruleSchema');
+const { buildRules } = require('../ruleLoader');
+const { RoleManager } = require('../roleManager');
+const { validateManagedRole } = require('../roleValidation');
+const { exportTemplate, importTemplate, diffRuleSets } = require('../ruleTemplates');
+const { confirmAction } = require('../prompts');
+const { checkRoleHierarchy } = require('../permissions');
+const { simulateRuleChange, describeImpact, reviewRuleChange } = require('../ruleSafety');
+const { translatorFor, translateMessage } = require('../i18n');
+const { replyWithPages, chunkLines, joinWithinLength } = require('../pagination');
+
+const MAX_TEMPLATE_BYTES = 1024 * 1024; // 1 MB
+const MAX_PREVIEW_LENGTH = 1700;
+const VERSIONS_PER_PAGE = 5;
+const MAX_VERSION_DIFF_LENGTH = 400;
+const MAX_VERSION_DETAIL_LENGTH = 3800;
+
+/**
+ * Returns the IDs of the roles whose rules differ between two rule sets.
+ */
+function changedRoleIds(before, after) {
+    const rulesOf = (entries, roleId) => JSON.stringify(entries.filter(entry => entry.roleId === roleId));
+    const roleIds = new Set([...before, ...after].map(entry => entry.roleId));
+    return [...roleIds].filter(roleId => rulesOf(before, roleId) !== rulesOf(after, roleId));
+}
+
+/**
+ * Returns the roles the user must sit above to change the rules from `before` to `after`: the roles whose rules change,
+ * and the roles their new rules depend on.
+ */
+function hierarchyRoleIds(before, after) {
+    const changed = changedRoleIds(before, after);
+    const dependencies = after.filter(entry => changed.includes(entry.roleId)).flatMap(entry => {
+        try {
+            return RoleManager.fromConfig(entry).removalDependencies;
+        } catch (error) {
+            return []; // Invalid rules are reported by the validation
+        }
+    });
+    return [...new Set([...changed, ...dependencies])];
+}
+
+/**
+ * Builds the rules a guild ends up with after importing entries.
+ */
+function applyImport(current, imported, replace) {
+    if (replace) return imported;
+    const importedRoleIds = new Set(imported.map(entry => entry.roleId));
+    return [...current.filter(entry => !importedRoleIds.has(entry.roleId)), ...imported];
+}
+
+async function handleExport(interaction, t) {
+    const guild = interaction.guild;
+    const entries = await storage.readRules(guild.id);
+    if (!entries || entries.length === 0) {
+        await interaction.reply({ content: t('rules.noRules'), ephemeral: true });
+        return;
+    }
+
+    const { template, missing } = exportTemplate(guild, normalizeRuleSet(entries));
+    const attachment = new AttachmentBuilder(Buffer.from(JSON.stringify(template, null, 4), 'utf8'), { name: `rules_${guild.id}.json` });
+    const content = [
+        t('rules.exported', { count: template.rules.length }),
+        missing.length > 0 && t('rules.exportedMissing', { roles: missing.join(', ') })
+    ].filter(Boolean).join(' ');
+    await interaction.reply({ content, files: [attachment], ephemeral: true });
+}
+
+async function handleImport(interaction, t) {
+    const guild = interaction.guild;
+    const file = interaction.options.getAttachment('file');
+    const replace = interaction.options.getBoolean('replace') || false;
+
+    if (file.size > MAX_TEMPLATE_BYTES) {
+        await interaction.reply({ content: t('rules.tooLarge'), ephemeral: true });
+        return;
+    }
+    await interaction.deferReply({ ephemeral: true });
+
+    let imported;
+    try {
+        const response = await fetch(file.url);
+        imported = importTemplate(guild, JSON.parse(await response.text()), t);
+    } catch (error) {
+        await interaction.editReply(t('rules.unreadable', { problem: error.message }));
+        return;
+    }
+    const { entries, skipped } = imported;
+
+    const current = normalizeRuleSet((await storage.readRules(guild.id)) || []);
+    const proposed = applyImport(current, entries, replace);
+    const problems = validateRuleSet(proposed);
+    problems.push(...new Set(entries.map(entry => validateManagedRole(guild, entry.roleId, t)).filter(Boolean)));
+    const hierarchyProblem = checkRoleHierarchy(interaction, hierarchyRoleIds(current, proposed));
+    if (hierarchyProblem) problems.push(hierarchyProblem);
+    if (problems.length === 0) {
+        try {
+            buildRules(proposed);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+    if (problems.length > 0) {
+        await interaction.editReply(t('rules.notImported', { problems: problems.join(' ') }).slice(0, 2000));
+        return;
+    }
+
+    const changes = diffRuleSets(guild, current, proposed, t);
+    const skippedLines = skipped.map(({ rule, unresolved }) =>
+        `${rule}: ${unresolved.map(({ reference, problem }) => `"${reference}" ${problem}`).join(', ')}`);
+
+    const sections = [];
+    if (skippedLines.length > 0) {
+        sections.push(`${t('rules.skipped')}\n${joinWithinLength(skippedLines, 500, t)}`);
+    }
+    if (changes.length === 0) {
+        await interaction.editReply([t('rules.noImportChanges'), ...sections].join('\n\n'));
+        return;
+    }
+
+    const impact = describeImpact(simulateRuleChange(guild, current, proposed), t);
+    const remaining = MAX_PREVIEW_LENGTH - sections.join('\n\n').length - impact.length;
+    const preview = [
+        t(replace ? 'rules.importPreviewReplace' : 'rules.importPreview', { count: entries.length, file: file.name }),
+        `\`\`\`diff\n${joinWithinLength(changes, Math.max(remaining, 200), t)}\n\`\`\``,
+        impact,
+        ...sections
+    ].join('\n');
+
+    if (!(await confirmAction(interaction, preview))) {
+        await interaction.editReply({ content: t('rules.importCancelled'), components: [] });
+        return;
+    }
+
+    await storage.updateRules(guild.id, latest => applyImport(normalizeRuleSet(latest), entries, replace), {
+        author: interaction.user,
+        description: {
+            key: replace ? 'versions.importedReplacing' : 'versions.imported',
+            params: { count: entries.length, file: file.name }
+        }
+    });
+    await interaction.editReply([
+        t('rules.imported', { count: entries.length, changed: changes.length }),
+        skipped.length > 0 && t('rules.importedSkipped', { count: skipped.length })
+    ].filter(Boolean).join(' '));
+}
+
+/**
+ * Describes who made a version and when, e.g. "**v3** · 2 hours ago · by admin#0001".
+ */
+function describeVersion(version, t) {
+    const time = `<t:${Math.floor(Date.parse(version.time) / 1000)}:R>`;
+    const author = version.author ? t('rules.versionBy', { author: version.author.tag }) : t('rules.versionWithoutCommand');
+    return `**v${version.version}** · ${time} · ${author}\n${translateMessage(version.description, t)}`;
+}
+
+/**
+ * Lists the changes a version made, compared to the version before it. Returns null when the version before it is
+ * no longer kept, unless it is the first version, which is compared to no rules at all.
+ */
+function versionChanges(guild, version, previous, t) {
+    if (!previous && version.version > 1) return null;
+    const changes = diffRuleSets(guild, previous ? previous.rules : [], version.rules, t);
+    return changes.length > 0 ? changes : [t('rules.noRuleChanges')];
+}
+
+async function handleHistory(interaction, t) {
+    const guild = interaction.guild;
+    const versions = await storage.listVersions(guild.id); // Newest first
+    if (versions.length === 0) {
+        await interaction.reply({ content: t('rules.noHistory'), ephemeral: true });
+        return;
+    }
+    const previousOf = version => versions.find(entry => entry.version < version.version);
+    const formatChanges = (version, maxLength) => {
+        const changes = versionChanges(guild, version, previousOf(version), t);
+        return changes ? `\`\`\`diff\n${joinWithinLength(changes, maxLength, t)}\n\`\`\`` : t('rules.previousNotKept');
+    };
+
+    // With a version, show everything that version changed
+    const number = interaction.options.getInteger('version');
+    if (number !== null) {
+        const version = versions.find(entry => entry.version === number);
+        if (!version) {
+            await interaction.reply({ content: t('rules.versionNotKept', { version: number }), ephemeral: true });
+            return;
+        }
+        const embed = new EmbedBuilder()
+            .setTitle(t('rules.versionTitle', { version: version.version, guild: guild.name }))
+            .setDescription(`${describeVersion(version, t)}\n${formatChanges(version, MAX_VERSION_DETAIL_LENGTH)}`)
+            .setFooter({ text: t('rules.versionFooter', { count: version.rules.length }) });
+        await replyWithPages(interaction, [embed]);
+        return;
+    }
+
+    const lines = versions.map(version => `${describeVersion(version, t)}\n${formatChanges(version, MAX_VERSION_DIFF_LENGTH)}`);
+    const embeds = chunkLines(lines, VERSIONS_PER_PAGE).map(page => new EmbedBuilder()
+        .setTitle(t('rules.historyTitle', { guild: guild.name }))
+        .setDescription(page.join('\n\n'))
+        .setFooter({ text: t('rules.historyFooter', { count: versions.length, version: versions[0].version }) }));
+    await replyWithPages(interaction, embeds);
+}
+
+async function handleRollback(interaction, t) {
+    const guild = interaction.guild;
+    const number = interaction.options.getInteger('version');
+    await interaction.deferReply({ ephemeral: true });
+
+    const version = await storage.readVersion(guild.id, number);
+    if (!version) {
+        await interaction.editReply(t('rules.rollbackNotKept', { version: number }));
+        return;
+    }
+
+    const current = (await storage.readRules(guild.id)) || [];
+    if (JSON.stringify(current) === JSON.stringify(version.rules)) {
+        await interaction.editReply(t('rules.alreadyMatches', { version: number }));
+        return;
+    }
+
+    // The roles may have changed since the version was saved, so it is checked like any other edit
+    const problems = validateRuleSet(version.rules);
+    const hierarchyProblem = checkRoleHierarchy(interaction, hierarchyRoleIds(current, version.rules));
+    if (hierarchyProblem) problems.push(hierarchyProblem);
+    if (problems.length === 0) {
+        try {
+            buildRules(version.rules);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+    if (problems.length > 0) {
+        await interaction.editReply(t('rules.notRolledBack', { problems: problems.join(' ') }).slice(0, 2000));
+        return;
+    }
+
+    const summary = t('rules.rollbackSummary', { version: number });
+    if (!(await reviewRuleChange(interaction, { before: current, after: version.rules, summary, destructive: true }))) return;
+
+    await storage.updateRules(guild.id, () => version.rules, {
+        author: interaction.user,
+        description: { key: 'versions.rolledBack', params: { version: number } }
+    });
+    await interaction.editReply({ content: t('rules.rolledBack', { version: number }), components: [] });
+}
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'export') await handleExport(interaction, t);
+        else if (subcommand === 'import') await handleImport(interaction, t);
+        else if (subcommand === 'history') await handleHistory(interaction, t);
+        else if (subcommand === 'rollback') await handleRollback(interaction, t);
+    } catch (error) {
+        console.error('Error in rulesCommand:', error);
+        const payload = { content: t('rules.failed'), components: [], ephemeral: true };
+        await (interaction.deferred || interaction.replied ? interaction.editReply(payload) : interaction.reply(payload));
+    }
+}
+
+/**
+ * Suggests the kept versions for the 'version' options, newest first.
+ */
+async function autocomplete(interaction) {
+    const t = translatorFor(interaction);
+    const input = String(interaction.options.getFocused());
+    const choices = (await storage.listVersions(interaction.guild.id))
+        .filter(version => String(version.version).startsWith(input))
+        .slice(0, 25)
+        .map(version => ({
+            name: `v${version.version}: ${translateMessage(version.description, t)}${version.author ? ` (${version.author.tag})` : ''}`.slice(0, 100),
+            value: version.version
+        }));
+    await interaction.respond(choices);
+}
+
+module.exports = { handle, autocomplete };
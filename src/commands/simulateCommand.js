@@ -0,0 +1,88 @@
+/**
+ * Handles the 'simulate' command interaction within a Discord bot.
+ * This function is triggered when a user executes the 'simulate' command. It evaluates the currently loaded rules
+ * against one member or every member of the guild and reports the role changes that would be made, without
+ * changing anyone's roles.
+ *
+ * Process:
+ * 1. Defers an ephemeral reply, since evaluating every member of a large guild can take a while.
+ *
+ * 2. Evaluates the rules:
+ *    - member (optional): When given, only that member is fetched and evaluated.
+ *    - Otherwise every member of the guild is fetched page by page and evaluated.
+ *
+ * 3. Builds a report listing each affected member with the roles that would be removed and granted, resolving
+ *    role IDs to names from the guild cache.
+ *
+ * 4. Replies with the report as an ephemeral message when it fits, or as an attached text file when it does not.
+ *
+ * 5. Handles errors that might occur during the process, logging them and telling the user that the simulation failed.
+ *
+ * The report is written in the language of the guild, or the user's (see i18n.js).
+ */
+const { AttachmentBuilder } = require('discord.js');
+const { getRules } = require('../ruleRegistry');
+const { resolveRoleChanges } = require('../dependencyGraph');
+const { forEachMemberPage } = require('../reconcile');
+const { isDryRun } = require('../config');
+const { translatorFor } = require('../i18n');
+
+const MAX_INLINE_REPORT_LENGTH = 1800;
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const guild = interaction.guild;
+        const rules = getRules(guild.id);
+        if (rules.length === 0) {
+            await interaction.editReply(t('simulate.noRules'));
+            return;
+        }
+
+        const user = interaction.options.getUser('member');
+        const changes = [];
+        let membersChecked = 0;
+        const evaluate = member => {
+            membersChecked++;
+            const { rolesToRemove, rolesToAdd } = resolveRoleChanges(rules, null, member.roles.cache);
+            if (rolesToRemove.length > 0 || rolesToAdd.length > 0) {
+                changes.push({ member, rolesToRemove, rolesToAdd });
+            }
+        };
+
+        if (user) {
+            evaluate(await guild.members.fetch(user.id));
+        } else {
+            await forEachMemberPage(guild, page => page.forEach(evaluate));
+        }
+
+        const roleName = roleId => (guild.roles.cache.get(roleId) || { name: roleId }).name;
+        const lines = changes.map(({ member, rolesToRemove, rolesToAdd }) => {
+            const parts = [];
+            if (rolesToRemove.length > 0) parts.push(t('simulate.remove', { roles: rolesToRemove.map(roleName).join(', ') }));
+            if (rolesToAdd.length > 0) parts.push(t('simulate.grant', { roles: rolesToAdd.map(roleName).join(', ') }));
+            return `${member.user.tag} (${member.id}): ${parts.join('; ')}`;
+        });
+
+        const header = [
+            t('simulate.summary', { checked: membersChecked, changed: changes.length }),
+            isDryRun(guild.id) && t('simulate.dryRun')
+        ].filter(Boolean).join(' ');
+        const report = lines.join('\n');
+
+        if (report.length <= MAX_INLINE_REPORT_LENGTH) {
+            await interaction.editReply(lines.length > 0 ? `${header}\n\`\`\`\n${report}\n\`\`\`` : header);
+            return;
+        }
+
+        const attachment = new AttachmentBuilder(Buffer.from(report, 'utf8'), { name: `simulation_${guild.id}.txt` });
+        await interaction.editReply({ content: `${header} ${t('simulate.attached')}`, files: [attachment] });
+    } catch (error) {
+        console.error('Error in simulateCommand:', error);
+        await interaction.editReply(t('simulate.failed'));
+    }
+}
+
+module.exports = { handle };
@@ -0,0 +1,50 @@
+/**
+ * Handles the 'sweep' command interaction within a Discord bot.
+ * This function is triggered when a user executes the 'sweep' command. It runs a reconciliation sweep that checks
+ * every member of the guild against the loaded rules and queues the needed role corrections.
+ *
+ * Process:
+ * 1. Defers the reply, since fetching every member of a large guild can take longer than Discord's reply window.
+ *
+ * 2. Starts the sweep for the guild. If a sweep is already running for the guild, it is marked to run again and
+ *    this command waits for it instead of starting a second one.
+ *
+ * 3. Edits the reply after each page of members with the number of members checked so far.
+ *
+ * 4. Edits the reply with a summary of the members checked and the removals and grants that were queued, or tells
+ *    the user that the guild has no rules to enforce.
+ *
+ * 5. Handles errors that might occur during the sweep, logging them and telling the user that the sweep failed.
+ *
+ * Replies follow the language of the guild, or the user's (see i18n.js).
+ */
+const { runReconciliation } = require('../reconcile');
+const { translatorFor } = require('../i18n');
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const summary = await runReconciliation(interaction.guild, progress => {
+            interaction.editReply(t('sweep.progress', { checked: progress.membersChecked })).catch(() => {});
+        });
+
+        if (!summary) {
+            await interaction.editReply(t('sweep.noRules'));
+            return;
+        }
+
+        await interaction.editReply(t('sweep.finished', {
+            checked: summary.membersChecked,
+            removed: summary.rolesRemoved,
+            granted: summary.rolesGranted,
+            corrected: summary.membersCorrected
+        }));
+    } catch (error) {
+        console.error('Error in sweepCommand:', error);
+        await interaction.editReply(t('sweep.failed'));
+    }
+}
+
+module.exports = { handle };
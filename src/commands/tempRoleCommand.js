@@ -0,0 +1,72 @@
+/**
+ * Handles the 'temprole' command interaction within a Discord bot.
+ * This function is triggered when a user executes the 'temprole' command. It grants a role to a member for a limited
+ * time, after which the bot removes it again, so event and trial roles do not have to be taken away by hand.
+ *
+ * Process:
+ * 1. Extracts the details from the command interaction:
+ *    - member: The member to grant the role to.
+ *    - role: The role to grant. It must exist, must not be managed by an integration and must sit below both the
+ *      bot's highest role and the highest role of the user running the command.
+ *    - duration: How long the member keeps the role, e.g. "2h", "7d" or "1d12h".
+ *
+ * 2. Records when the role expires. The expiry is saved, so the role is still removed after a restart. Using the
+ *    command again for the same member and role replaces the earlier expiry.
+ *
+ * 3. Queues the grant through the role update queue, unless the member already holds the role, in which case the role
+ *    is only given an expiry. When the queue gives the grant up, e.g. because the bot lacks the permission,
+ *    the expiry is forgotten again (see tempRoles.js).
+ *
+ * 4. Confirms the grant and the expiry time to the user.
+ *
+ * 5. Handles errors that might occur during the process, logging them and sending an ephemeral message back to the user.
+ *
+ * Replies follow the language of the guild, or the user's (see i18n.js).
+ */
+const { validateManagedRole } = require('../roleValidation');
+const { parseDuration, formatDuration } = require('../duration');
+const { scheduleExpiry } = require('../tempRoles');
+const { enqueueRoleUpdate } = require('../roleQueue');
+const { checkRoleHierarchy } = require('../permissions');
+const { translatorFor } = require('../i18n');
+
+async function handle(interaction) {
+    const t = translatorFor(interaction);
+    try {
+        const guild = interaction.guild;
+        const user = interaction.options.getUser('member');
+        const role = interaction.options.getRole('role');
+
+        let duration;
+        try {
+            duration = parseDuration(interaction.options.getString('duration'), t);
+        } catch (error) {
+            await interaction.reply({ content: error.message, ephemeral: true });
+            return;
+        }
+
+        const problem = validateManagedRole(guild, role.id, t) || checkRoleHierarchy(interaction, [role.id]);
+        if (problem) {
+            await interaction.reply({ content: t('temprole.notGranted', { role: role.name, problem }), ephemeral: true });
+            return;
+        }
+
+        const member = await guild.members.fetch(user.id);
+        const expiresAt = Date.now() + duration;
+        scheduleExpiry(guild.id, member.id, role.id, expiresAt, 'command', interaction.user.id);
+
+        const expiry = `<t:${Math.floor(expiresAt / 1000)}:f>`;
+        if (member.roles.cache.has(role.id)) {
+            await interaction.reply(t('temprole.extended', { member: member.displayName, role: role.name, expiry, duration: formatDuration(duration) }));
+            return;
+        }
+
+        enqueueRoleUpdate(member, [], [role.id]);
+        await interaction.reply(t('temprole.granted', { role: role.name, member: member.displayName, expiry, duration: formatDuration(duration) }));
+    } catch (error) {
+        console.error('Error in tempRoleCommand:', error);
+        await interaction.reply({ content: t('temprole.failed'), ephemeral: true });
+    }
+}
+
+module.exports = { handle };
@@ -0,0 +1,66 @@
+/**
+ * This module loads the bot configuration from 'config.json' and exposes the settings of each server.
+ *
+ * The optional "storage" object selects where rules are kept; see storage/index.js.
+ * The optional "adminApi" object enables the HTTP admin API; see adminApi.js.
+ * The optional "dataDirectory" and "historyDirectory" set where the bot keeps its own state (the role update queue,
+ * temporary roles, role menus and permissions) and the role history; they default to 'data' and 'history'.
+ *
+ * The configuration is read from 'config.json' in the project root, or from the file named by the CONFIG_FILE
+ * environment variable, e.g. to run the tests against a throwaway configuration.
+ *
+ * Each entry of the "servers" array describes one guild:
+ * - guildId (string): The guild the entry applies to.
+ * - clientId (string): The application ID of the bot.
+ * - dryRun (boolean, optional): When true, the bot only logs the role changes it would make in this guild.
+ * - auditChannelId (string, optional): A channel where the bot posts an embed for every automatic role change.
+ * - permissions (object, optional): Roles and users allowed to use the commands of each scope; see permissions.js.
+ * - confirmThreshold (number, optional): Rule edits that would remove roles from more members than this must be
+ *   confirmed; see ruleSafety.js.
+ * - removalLimit (object, optional): The most removals of one role allowed within a number of minutes before the
+ *   guild's role updates are paused, as { removals, minutes }. Without it there is no limit; see removalLimit.js.
+ * - alertChannelId (string, optional): A channel for alerts that need an admin, such as paused role updates. Defaults
+ *   to the audit channel; see sendAlert in auditLog.js.
+ * - locale (string, optional): The language of the bot's replies in this guild, e.g. "de". When unset, replies follow
+ *   the language of the user running the command; see i18n.js.
+ * - messages (object, optional): Replacements for single messages, keyed by their message key, e.g.
+ *   "notifications.roleRemovedDm"; see i18n.js.
+ * - notifyMembers (boolean, optional): When true, members are sent a direct message when the bot removes their roles;
+ *   see memberNotifications.js.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const CONFIG_FILE_PATH = process.env.CONFIG_FILE ? path.resolve(process.env.CONFIG_FILE) : path.join(PROJECT_ROOT, 'config.json');
+const config = JSON.parse(fs.readFileSync(CONFIG_FILE_PATH, 'utf8'));
+
+/**
+ * Resolves a path from the configuration against the project root. Absolute paths are kept as they are.
+ */
+function resolvePath(configuredPath) {
+    return path.resolve(PROJECT_ROOT, configuredPath);
+}
+
+/**
+ * Returns the path of a file in the data directory, e.g. dataFilePath('queue.json').
+ */
+function dataFilePath(fileName) {
+    return path.join(resolvePath(config.dataDirectory || 'data'), fileName);
+}
+
+/**
+ * Returns the configuration entry for a guild, or an empty object when the guild is not listed.
+ */
+function getGuildConfig(guildId) {
+    return config.servers.find(server => server.guildId === guildId) || {};
+}
+
+/**
+ * Returns true when the guild is configured to only log the role changes it would make.
+ */
+function isDryRun(guildId) {
+    return getGuildConfig(guildId).dryRun === true;
+}
+
+module.exports = { config, getGuildConfig, isDryRun, resolvePath, dataFilePath };
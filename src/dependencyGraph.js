@@ -0,0 +1,121 @@
+/**
+ * This module resolves how managed roles depend on each other within a guild.
+ *
+ * Roles in a roles file often depend on other managed roles (e.g. TestRole2 depends on Tier5, which in turn depends on
+ * another role). Instead of checking each RoleManager on its own and waiting for the next gateway event to notice the
+ * cascade, the rules are ordered so that every role comes after the managed roles it depends on, and a member's roles
+ * are resolved to a fixpoint in a single pass.
+ *
+ * Exports:
+ * - sortByDependencies(roleManagers): Returns the rules ordered by their dependencies. Throws an Error naming the roles
+ *   involved when the rules contain a dependency cycle.
+ * - resolveRoleChanges(roleManagers, heldBefore, current): Computes every role to remove and grant for a member,
+ *   following cascades until the member's roles no longer change.
+ */
+
+/**
+ * Orders the rules of a guild so that each rule comes after the rules managing the roles it depends on.
+ *
+ * Parameters:
+ * - roleManagers (array): The RoleManager instances loaded for a guild.
+ *
+ * Uses a depth-first search over the graph where each managed role points at the managed roles referenced by its
+ * condition. When the search reaches a role that is still on the current path, the path from that role onwards is
+ * a cycle and an Error is thrown listing the role names in order, e.g. "Tier5 -> TestRole2 -> Tier5".
+ */
+function sortByDependencies(roleManagers) {
+    const rulesByRole = new Map();
+    roleManagers.forEach(rule => {
+        if (!rulesByRole.has(rule.roleId)) rulesByRole.set(rule.roleId, []);
+        rulesByRole.get(rule.roleId).push(rule);
+    });
+
+    const nameOf = roleId => rulesByRole.get(roleId)[0].roleName || roleId;
+    const visited = new Set();
+    const path = [];
+    const sorted = [];
+
+    function visit(roleId) {
+        if (visited.has(roleId)) return;
+        const cycleStart = path.indexOf(roleId);
+        if (cycleStart !== -1) {
+            const cycle = [...path.slice(cycleStart), roleId].map(nameOf);
+            throw new Error(`Dependency cycle detected between roles: ${cycle.join(' -> ')}`);
+        }
+
+        path.push(roleId);
+        rulesByRole.get(roleId).forEach(rule => {
+            rule.removalDependencies.filter(id => rulesByRole.has(id)).forEach(visit);
+        });
+        path.pop();
+
+        visited.add(roleId);
+        sorted.push(...rulesByRole.get(roleId));
+    }
+
+    rulesByRole.forEach((rules, roleId) => visit(roleId));
+    return sorted;
+}
+
+/**
+ * Resolves all role changes needed for a member, including cascades between managed roles.
+ *
+ * Parameters:
+ * - roleManagers (array): The guild's rules, ordered by sortByDependencies.
+ * - heldBefore (Set|Collection|null): The member's roles before the change being handled. Only roles held here are
+ *   considered for removal, and grants only happen for conditions that were not already satisfied here. Pass null
+ *   when there is no earlier state to compare with, as in a reconciliation sweep: every held role is then considered
+ *   for removal and every satisfied rule is granted.
+ * - current (Set|Collection): The member's roles after the change.
+ *
+ * Process:
+ * 1. Copies the member's current role IDs into a working set.
+ * 2. Walks the ordered rules, skipping disabled ones, removing roles whose condition is no longer satisfied by the working set and granting
+ *   roles whose condition became satisfied, updating the working set as it goes so later rules see earlier changes.
+ * 3. Repeats the walk until nothing changes. Thanks to the ordering this normally settles after the first walk; the
+ *   number of walks is capped by the number of rules as a safeguard.
+ *
+ * Returns an object with the `rolesToRemove` and `rolesToAdd` arrays, and a `reasons` object mapping each removed
+ * role ID to the requirements it failed (see RoleManager.unmetRequirements) at the moment it was removed.
+ */
+function resolveRoleChanges(roleManagers, heldBefore, current) {
+    const working = new Set(current.keys());
+    const rolesToRemove = new Set();
+    const rolesToAdd = new Set();
+    const reasons = {};
+
+    for (let pass = 0; pass <= roleManagers.length; pass++) {
+        let changed = false;
+
+        for (const rule of roleManagers) {
+            if (!rule.enabled) continue;
+
+            const holdsRole = working.has(rule.roleId);
+            const satisfied = rule.isSatisfiedBy(working);
+
+            if (holdsRole && !satisfied && rule.mode !== 'grant' && (!heldBefore || heldBefore.has(rule.roleId))) {
+                reasons[rule.roleId] = rule.unmetRequirements(working);
+                working.delete(rule.roleId);
+                rolesToRemove.add(rule.roleId);
+                rolesToAdd.delete(rule.roleId);
+                changed = true;
+            } else if (!holdsRole && satisfied && rule.mode !== 'remove'
+                && rule.removalDependencies.length > 0 && (!heldBefore || !rule.isSatisfiedBy(heldBefore))) {
+                working.add(rule.roleId);
+                rolesToAdd.add(rule.roleId);
+                rolesToRemove.delete(rule.roleId);
+                changed = true;
+            }
+        }
+
+        if (!changed) break;
+    }
+
+    return {
+        rolesToRemove: [...rolesToRemove].filter(roleId => current.has(roleId)),
+        rolesToAdd: [...rolesToAdd].filter(roleId => !current.has(roleId)),
+        reasons
+    };
+}
+
+module.exports = { sortByDependencies, resolveRoleChanges };
@@ -0,0 +1,47 @@
+/**
+ * Helpers for durations written by people, such as "90m", "1h30m", "2d" or "1w".
+ *
+ * A duration is one or more numbers, each followed by a unit: s (seconds), m (minutes), h (hours), d (days) or
+ * w (weeks). Spaces between the parts are allowed.
+ */
+const { defaultTranslator } = require('./i18n');
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const DURATION_PATTERN = /^(\s*\d+\s*[smhdw])+\s*$/i;
+
+/**
+ * Parses a duration into milliseconds. Throws an Error with a readable message, written with the optional translator
+ * t, when the input is not a duration or adds up to zero.
+ */
+function parseDuration(input, t = defaultTranslator) {
+    if (typeof input !== 'string' || !DURATION_PATTERN.test(input)) {
+        throw new Error(t('duration.invalid', { input }));
+    }
+
+    let total = 0;
+    for (const [, amount, unit] of input.matchAll(/(\d+)\s*([smhdw])/gi)) {
+        total += Number(amount) * DURATION_UNITS[unit.toLowerCase()];
+    }
+    if (total === 0) {
+        throw new Error(t('duration.zero'));
+    }
+    return total;
+}
+
+/**
+ * Formats milliseconds as a short duration, e.g. "1d 12h" or "45m", leaving out parts that are zero.
+ */
+function formatDuration(milliseconds) {
+    const parts = [];
+    let remaining = Math.round(milliseconds / 1000) * 1000;
+    for (const unit of ['d', 'h', 'm', 's']) {
+        const amount = Math.floor(remaining / DURATION_UNITS[unit]);
+        if (amount > 0) {
+            parts.push(`${amount}${unit}`);
+            remaining -= amount * DURATION_UNITS[unit];
+        }
+    }
+    return parts.join(' ') || '0s';
+}
+
+module.exports = { parseDuration, formatDuration };
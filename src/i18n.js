@@ -0,0 +1,157 @@
+/**
+ * This module translates the bot's replies, so communities can use the bot in their own language.
+ *
+ * Messages live in one catalog per language in 'src/locales', named after the Discord locale they are for (e.g.
+ * 'de.json'); 'en.json' holds the default English messages and every key. A message is looked up by its dotted key,
+ * e.g. "addrole.notAdded", and may contain placeholders such as "{role}" that are filled in from the parameters.
+ * Keys missing from a catalog fall back to English.
+ *
+ * The language of a reply is, in order:
+ * 1. The guild's "locale" in 'config.json', when the bot has a catalog for it.
+ * 2. The locale of the user who ran the command (interaction.locale), e.g. "de" or "en-US", matched by its language
+ *    when there is no catalog for the exact locale.
+ * 3. English.
+ *
+ * Messages that do not answer an interaction, such as audit embeds, alerts and direct messages to members, are sent in
+ * the guild's "locale", or else the guild's preferred locale set in Discord (getTranslator(guild.id,
+ * guild.preferredLocale)).
+ *
+ * Text the bot stores to show later, such as why a role change failed, the descriptions of rule versions and the
+ * reasons kept with paused guilds and disabled rules, is stored as a message, { key, params }, and translated with
+ * translateMessage when it is shown, so it follows the language of whoever reads it.
+ *
+ * Admins can replace single messages for their guild with "messages" in 'config.json', mapping message keys to their
+ * own text, e.g. "messages": { "notifications.roleRemovedDm": "You lost {roles} in {guild}." }. Overrides apply
+ * whatever the language of the reply.
+ *
+ * The catalogs' "commands" section holds the translated names and descriptions of the slash commands, their options
+ * and choices; localizeCommand applies them to a command's builder.
+ *
+ * - DEFAULT_LOCALE (string): The language used when no other applies, and the fallback for missing keys.
+ */
+const { getGuildConfig } = require('./config');
+
+const DEFAULT_LOCALE = 'en';
+const CATALOGS = {
+    en: require('./locales/en.json'),
+    de: require('./locales/de.json')
+};
+
+/**
+ * Returns the catalog language for a Discord locale, e.g. "de" for "de" and "en" for "en-GB", or null when there is no
+ * catalog for it.
+ */
+function supportedLocale(locale) {
+    if (!locale) return null;
+    if (CATALOGS[locale]) return locale;
+    const language = locale.split('-')[0];
+    return CATALOGS[language] ? language : null;
+}
+
+/**
+ * Picks the language for a guild: its configured locale, otherwise the first of the preferred locales there is a
+ * catalog for, otherwise English.
+ */
+function resolveLocale(guildId, ...preferredLocales) {
+    const configured = guildId ? getGuildConfig(guildId).locale : null;
+    for (const locale of [configured, ...preferredLocales]) {
+        const supported = supportedLocale(locale);
+        if (supported) return supported;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+    const message = key.split('.').reduce((section, part) => (section && typeof section === 'object' ? section[part] : undefined), catalog);
+    return typeof message === 'string' ? message : undefined;
+}
+
+function fillPlaceholders(message, params) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+/**
+ * Returns a message in the given language, falling back to English, and to the key itself when no catalog has it.
+ *
+ * Parameters:
+ * - locale (string): A catalog language, e.g. "de".
+ * - key (string): The dotted key of the message.
+ * - params (object, optional): Values for the message's placeholders.
+ */
+function translate(locale, key, params = {}) {
+    const message = lookup(CATALOGS[locale] || {}, key) || lookup(CATALOGS[DEFAULT_LOCALE], key) || key;
+    return fillPlaceholders(message, params);
+}
+
+/**
+ * Returns a function translating message keys for a guild, as t(key, params), applying the guild's message overrides.
+ * The chosen language is available as t.locale.
+ *
+ * Parameters:
+ * - guildId (string|null): The guild the messages are for, or null for messages not tied to a guild.
+ * - preferredLocales (strings): Locales to try when the guild does not set one, e.g. the interaction's locale.
+ */
+function getTranslator(guildId, ...preferredLocales) {
+    const locale = resolveLocale(guildId, ...preferredLocales);
+    const overrides = (guildId && getGuildConfig(guildId).messages) || {};
+    const t = (key, params = {}) => (typeof overrides[key] === 'string'
+        ? fillPlaceholders(overrides[key], params)
+        : translate(locale, key, params));
+    t.locale = locale;
+    return t;
+}
+
+/**
+ * Returns the translator for replies to an interaction, following the guild's locale and then the user's.
+ */
+function translatorFor(interaction) {
+    return getTranslator(interaction.guildId || (interaction.guild && interaction.guild.id), interaction.locale);
+}
+
+/**
+ * The translator used where no guild or user is known, and by default wherever a translator is optional.
+ */
+const defaultTranslator = getTranslator(null);
+
+/**
+ * Translates a stored message, { key, params }, with the translator t. Parameters that are messages themselves are
+ * translated too, e.g. the reason of { key: 'failures.gaveUp', params: { attempts: 8, reason: { key: 'failures.rateLimited' } } }.
+ */
+function translateMessage(message, t = defaultTranslator) {
+    const params = Object.fromEntries(Object.entries(message.params || {}).map(([name, value]) =>
+        [name, value && typeof value === 'object' && typeof value.key === 'string' ? translateMessage(value, t) : value]));
+    return t(message.key, params);
+}
+
+/**
+ * Applies the translated names and descriptions from every catalog's "commands" section to a slash command builder,
+ * walking its subcommands, options and choices. Returns the builder.
+ */
+function localizeCommand(builder) {
+    const localized = Object.entries(CATALOGS)
+        .filter(([locale]) => locale !== DEFAULT_LOCALE)
+        .map(([locale, catalog]) => [locale, (catalog.commands || {})[builder.name]])
+        .filter(([, entry]) => entry);
+
+    (function apply(target, entries) {
+        const names = Object.fromEntries(entries.filter(([, entry]) => entry.name).map(([locale, entry]) => [locale, entry.name]));
+        const descriptions = Object.fromEntries(entries.filter(([, entry]) => entry.description)
+            .map(([locale, entry]) => [locale, entry.description]));
+        if (Object.keys(names).length > 0) target.setNameLocalizations(names);
+        if (Object.keys(descriptions).length > 0) target.setDescriptionLocalizations(descriptions);
+
+        (target.choices || []).forEach(choice => {
+            const choiceNames = entries.filter(([, entry]) => entry.choices && entry.choices[choice.value])
+                .map(([locale, entry]) => [locale, entry.choices[choice.value]]);
+            if (choiceNames.length > 0) choice.name_localizations = Object.fromEntries(choiceNames);
+        });
+        (target.options || []).forEach(option => apply(option, entries
+            .map(([locale, entry]) => [locale, (entry.options || {})[option.name]])
+            .filter(([, entry]) => entry)));
+    })(builder, localized);
+    return builder;
+}
+
+module.exports = {
+    DEFAULT_LOCALE, resolveLocale, translate, getTranslator, translatorFor, defaultTranslator, translateMessage, localizeCommand
+};
@@ -0,0 +1,50 @@
+/**
+ * This module tells members by direct message when the bot took roles away from them, so they know why a role
+ * disappeared and what they need to get it back.
+ *
+ * Messages are only sent in guilds with "notifyMembers": true in 'config.json', and only for real removals, not in dry
+ * run. They use the guild's "locale", or else the guild's preferred locale set in Discord (see i18n.js), and admins can
+ * replace the text with the "notifications.roleRemovedDm" key of the guild's "messages", where {guild}, {member} and
+ * {roles} are filled in.
+ *
+ * Members often do not accept direct messages from server members, so failing to send one is only logged.
+ */
+const { getGuildConfig } = require('./config');
+const { getTranslator } = require('./i18n');
+const { describeRequirement } = require('./auditLog');
+
+/**
+ * Sends a member a direct message listing the roles the bot removed and the requirements they no longer meet.
+ *
+ * Parameters:
+ * - member (GuildMember): The member whose roles were removed.
+ * - roleIds (array): The IDs of the removed roles.
+ * - reasons (object): Maps each removed role ID to the requirements that triggered its removal.
+ *
+ * Resolves to true when a message was sent.
+ */
+async function notifyRoleRemoval(member, roleIds, reasons = {}) {
+    const guild = member.guild;
+    if (roleIds.length === 0 || getGuildConfig(guild.id).notifyMembers !== true) return false;
+
+    const t = getTranslator(guild.id, guild.preferredLocale);
+    const nameOf = roleId => {
+        const role = guild.roles.cache.get(roleId);
+        return role ? role.name : roleId;
+    };
+    const roles = roleIds.map(roleId => {
+        const requirements = (reasons[roleId] || [])
+            .map(requirement => describeRequirement({ ...requirement, roleName: requirement.roleId ? nameOf(requirement.roleId) : undefined }, t));
+        return `- ${nameOf(roleId)}: ${requirements.join(', ') || t('requirements.notMet')}`;
+    });
+
+    try {
+        await member.send({ content: t('notifications.roleRemovedDm', { guild: guild.name, member: member.displayName, roles: roles.join('\n') }) });
+        return true;
+    } catch (error) {
+        console.warn(`Could not send a direct message to member ${member.id} of guild ${guild.id}: ${error.message}`);
+        return false;
+    }
+}
+
+module.exports = { notifyRoleRemoval };
@@ -0,0 +1,71 @@
+/**
+ * This module coalesces bursts of 'guildMemberUpdate' events, so a member whose roles change several times in quick
+ * succession (e.g. a moderator removing two roles one after the other) is evaluated once, against their latest roles,
+ * instead of having the later events dropped.
+ *
+ * The first event for a member opens an entry holding the roles the member had before it. Every further event for the
+ * same member in the same guild only pushes the evaluation back. Once no event arrived for QUIET_PERIOD, or MAX_WAIT
+ * after the first event at the latest, the entry is removed and the member is evaluated against the difference between
+ * the roles held before the burst and the roles held now.
+ *
+ * - QUIET_PERIOD (number): How long, in milliseconds (1500ms), a member's roles must stay unchanged before they are evaluated.
+ *
+ * - MAX_WAIT (number): The longest time, in milliseconds (10s), an evaluation is pushed back by a stream of events.
+ *
+ * - pendingUpdates (Map): The open entries, keyed by "guildId:memberId", each holding the roles held before the burst,
+ *   the time of the first event and the timer of the evaluation. Entries are removed as soon as they are evaluated,
+ *   and all entries of a guild are dropped when the bot leaves it.
+ */
+const QUIET_PERIOD = 1500; // 1.5 seconds
+const MAX_WAIT = 10000; // 10 seconds
+const pendingUpdates = new Map();
+
+/**
+ * Registers a member update, evaluating the member once their roles have settled.
+ *
+ * Parameters:
+ * - oldMember (GuildMember): The member before the update, as passed to 'guildMemberUpdate'.
+ * - newMember (GuildMember): The member after the update.
+ * - onSettled (function): Called with the roles held before the burst (a Set of role IDs) and the member, whose
+ *   roles are read from the guild's member cache at that time, so the latest state is evaluated.
+ */
+function coalesceMemberUpdate(oldMember, newMember, onSettled) {
+    const key = `${newMember.guild.id}:${newMember.id}`;
+    const now = Date.now();
+
+    let entry = pendingUpdates.get(key);
+    if (entry) {
+        clearTimeout(entry.timer);
+    } else {
+        entry = { heldBefore: new Set(oldMember.roles.cache.keys()), firstEventAt: now, timer: null };
+        pendingUpdates.set(key, entry);
+    }
+
+    const delay = Math.min(QUIET_PERIOD, entry.firstEventAt + MAX_WAIT - now);
+    entry.timer = setTimeout(() => {
+        pendingUpdates.delete(key);
+        const member = newMember.guild.members.cache.get(newMember.id) || newMember;
+        onSettled(entry.heldBefore, member);
+    }, Math.max(delay, 0));
+}
+
+/**
+ * Drops the pending evaluations of a guild, e.g. when the bot leaves it.
+ */
+function discardGuildUpdates(guildId) {
+    for (const [key, entry] of pendingUpdates) {
+        if (key.startsWith(`${guildId}:`)) {
+            clearTimeout(entry.timer);
+            pendingUpdates.delete(key);
+        }
+    }
+}
+
+/**
+ * Returns the number of members waiting to be evaluated.
+ */
+function getPendingUpdateCount() {
+    return pendingUpdates.size;
+}
+
+module.exports = { coalesceMemberUpdate, discardGuildUpdates, getPendingUpdateCount };
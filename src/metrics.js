@@ -0,0 +1,64 @@
+/**
+ * This module counts what the bot does, for the '/metrics' endpoint of the admin API (see adminApi.js).
+ *
+ * Counters only ever go up while the process runs, and are kept per set of labels, e.g.
+ * role_update_failures_total{reason="forbidden"}. Values that describe the current state, such as the depth of the
+ * role update queue, are not stored here; the admin API reads them when the metrics are requested.
+ *
+ * - COUNTERS (object): The help text of every counter, rendered as "# HELP" lines.
+ *
+ * - counters (Map): The value of each counter, keyed by the counter name and its labels.
+ */
+const COUNTERS = {
+    role_removals_total: 'Roles removed from members by the bot.',
+    role_grants_total: 'Roles granted to members by the bot.',
+    role_update_retries_total: 'Role updates that failed and were scheduled to be retried, by reason.',
+    role_update_failures_total: 'Role updates the bot gave up on, by reason.',
+    role_update_pauses_total: 'Times a guild\'s role updates were paused, by reason.',
+    rule_reload_errors_total: 'Stored rule sets that could not be loaded, by guild.'
+};
+
+const counters = new Map();
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Adds to a counter, 1 by default.
+ *
+ * Parameters:
+ * - name (string): One of the names in COUNTERS.
+ * - labels (object, optional): Label names and values, e.g. { reason: 'forbidden' }.
+ * - amount (number, optional): How much to add.
+ */
+function incrementCounter(name, labels = {}, amount = 1) {
+    const key = `${name}${formatLabels(labels)}`;
+    counters.set(key, (counters.get(key) || 0) + amount);
+}
+
+/**
+ * Renders the counters and the given gauges in the Prometheus text format.
+ *
+ * Parameters:
+ * - gauges (array): Objects with a `name`, a `help` text and `values`, a list of { labels, value }.
+ */
+function renderMetrics(gauges = []) {
+    const lines = [];
+    Object.entries(COUNTERS).forEach(([name, help]) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+        const series = [...counters].filter(([key]) => key === name || key.startsWith(`${name}{`));
+        if (series.length === 0) lines.push(`${name} 0`);
+        series.forEach(([key, value]) => lines.push(`${key} ${value}`));
+    });
+    gauges.forEach(({ name, help, values }) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+        values.forEach(({ labels = {}, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { incrementCounter, renderMetrics };
@@ -0,0 +1,105 @@
+/**
+ * This module replies to an interaction with a list of embeds the user can page through with buttons.
+ *
+ * The buttons are handled by a component collector on the reply, so they only work for the user who ran the
+ * command and stop working after PAGINATION_TIMEOUT, at which point they are removed from the message.
+ *
+ * It also helps fit long lists into a single message: chunkLines splits them into pages, and joinWithinLength cuts
+ * them short with a note on how much was left out.
+ *
+ * The buttons are labelled in the language of the interaction (see i18n.js).
+ */
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+const { defaultTranslator, translatorFor } = require('./i18n');
+
+const PAGINATION_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+function buildButtons(pageIndex, pageCount, t) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('pagination:previous')
+            .setLabel(t('pagination.previous'))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(pageIndex === 0),
+        new ButtonBuilder()
+            .setCustomId('pagination:page')
+            .setLabel(`${pageIndex + 1} / ${pageCount}`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(true),
+        new ButtonBuilder()
+            .setCustomId('pagination:next')
+            .setLabel(t('pagination.next'))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(pageIndex === pageCount - 1)
+    );
+}
+
+/**
+ * Splits a list of lines into pages of at most `pageSize` lines each.
+ */
+function chunkLines(lines, pageSize) {
+    const pages = [];
+    for (let index = 0; index < lines.length; index += pageSize) {
+        pages.push(lines.slice(index, index + pageSize));
+    }
+    return pages;
+}
+
+/**
+ * Joins lines until the text would grow past maxLength, ending with a note on how many lines were left out, written
+ * with the translator t.
+ */
+function joinWithinLength(lines, maxLength, t = defaultTranslator) {
+    const shown = [];
+    let length = 0;
+    for (const line of lines) {
+        if (length + line.length + 1 > maxLength) {
+            shown.push(t('pagination.more', { count: lines.length - shown.length }));
+            break;
+        }
+        shown.push(line);
+        length += line.length + 1;
+    }
+    return shown.join('\n');
+}
+
+/**
+ * Replies with the first embed and lets the user page through the rest.
+ *
+ * Parameters:
+ * - interaction (CommandInteraction): The interaction to reply to. It may already be deferred.
+ * - embeds (array): The EmbedBuilder pages to show.
+ * - ephemeral (boolean): Whether the reply is only visible to the user.
+ */
+async function replyWithPages(interaction, embeds, ephemeral = true) {
+    const t = translatorFor(interaction);
+    let pageIndex = 0;
+    const payload = () => ({
+        embeds: [embeds[pageIndex]],
+        components: embeds.length > 1 ? [buildButtons(pageIndex, embeds.length, t)] : []
+    });
+
+    const message = interaction.deferred || interaction.replied
+        ? await interaction.editReply(payload())
+        : await interaction.reply({ ...payload(), ephemeral, fetchReply: true });
+
+    if (embeds.length <= 1) return;
+
+    const collector = message.createMessageComponentCollector({
+        componentType: ComponentType.Button,
+        filter: button => button.user.id === interaction.user.id,
+        time: PAGINATION_TIMEOUT
+    });
+
+    collector.on('collect', async button => {
+        pageIndex += button.customId === 'pagination:next' ? 1 : -1;
+        pageIndex = Math.max(0, Math.min(pageIndex, embeds.length - 1));
+        await button.update(payload());
+    });
+
+    collector.on('end', () => {
+        interaction.editReply({ components: [] }).catch(() => {});
+    });
+}
+
+module.exports = { replyWithPages, chunkLines, joinWithinLength };
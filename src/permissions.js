@@ -0,0 +1,139 @@
+/**
+ * This module decides who may use the bot's commands in a guild, so role managers do not need full administrator
+ * rights to look at or edit the rules.
+ *
+ * Permissions are granted per guild to roles and users, for one of these scopes:
+ * - view: Look at the rules and their effects ('/listroles', '/explain', '/rolehistory', '/rules export' and
+ *   'history', '/rolemenu list', '/queue status').
+ * - edit: Change the rules and hand out roles ('/addrole', '/removerole', '/editrole', '/temprole', '/rules import'
+ *   and 'rollback', '/rolemenu create' and 'delete'). Includes view.
+ * - sweep: Run '/sweep' and '/simulate', and resume or discard paused role updates with '/queue'. Includes view.
+ *
+ * Members with the Administrator permission may always use every command. Only they may change the permissions,
+ * with '/permissions'.
+ *
+ * Grants come from two places, which are combined:
+ * - The optional "permissions" object of the guild's entry in 'config.json', e.g.
+ *   "permissions": { "edit": { "roles": ["123..."], "users": [] }, "view": { "roles": ["456..."] } }
+ * - Grants made with '/permissions', saved in 'data/permissions.json'.
+ *
+ * Members who may edit rules can still only edit rules that manage roles below their own highest role, the same
+ * limit Discord puts on assigning roles by hand, and can only make rules depend on roles below it. The guild owner is
+ * exempt.
+ */
+const { PermissionFlagsBits } = require('discord.js');
+const { readJsonFile, writeJsonFileAtomic } = require('./storage/jsonFile');
+const { getGuildConfig, dataFilePath } = require('./config');
+const { translatorFor } = require('./i18n');
+
+const PERMISSIONS_FILE = dataFilePath('permissions.json');
+const PERMISSION_SCOPES = ['view', 'edit', 'sweep'];
+const IMPLIED_BY = { view: ['view', 'edit', 'sweep'], edit: ['edit'], sweep: ['sweep'] };
+
+let storedPermissions = null;
+
+function loadPermissions() {
+    if (!storedPermissions) {
+        try {
+            storedPermissions = readJsonFile(PERMISSIONS_FILE, { guilds: {} }).guilds;
+        } catch (error) {
+            console.error('Failed to load the saved permissions:', error);
+            storedPermissions = {};
+        }
+    }
+    return storedPermissions;
+}
+
+/**
+ * Returns the grants saved with '/permissions' for a guild's scope, as { roles, users }.
+ */
+function getStoredGrants(guildId, scope) {
+    const grants = (loadPermissions()[guildId] || {})[scope] || {};
+    return { roles: grants.roles || [], users: grants.users || [] };
+}
+
+/**
+ * Returns the grants from 'config.json' for a guild's scope, as { roles, users }.
+ */
+function getConfiguredGrants(guildId, scope) {
+    const grants = (getGuildConfig(guildId).permissions || {})[scope] || {};
+    return { roles: grants.roles || [], users: grants.users || [] };
+}
+
+/**
+ * Returns true when the member who ran an interaction may use commands of the given scope. The scope "admin" is
+ * reserved for members with the Administrator permission.
+ */
+function hasPermission(interaction, scope) {
+    if (interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) return true;
+    if (scope === 'admin' || !interaction.member) return false;
+
+    const memberRoleIds = Array.isArray(interaction.member.roles)
+        ? interaction.member.roles
+        : [...interaction.member.roles.cache.keys()];
+
+    return IMPLIED_BY[scope].some(grantingScope => [getStoredGrants, getConfiguredGrants].some(source => {
+        const { roles, users } = source(interaction.guildId, grantingScope);
+        return users.includes(interaction.user.id) || roles.some(roleId => memberRoleIds.includes(roleId));
+    }));
+}
+
+/**
+ * Grants or revokes a scope for a role or user, saving the change. Returns false when nothing changed.
+ *
+ * Parameters:
+ * - guildId (string): The guild the grant applies to.
+ * - scope (string): One of PERMISSION_SCOPES.
+ * - type (string): "roles" or "users".
+ * - id (string): The ID of the role or user.
+ * - granted (boolean): True to grant, false to revoke.
+ */
+function setGrant(guildId, scope, type, id, granted) {
+    const guilds = loadPermissions();
+    const guildGrants = guilds[guildId] = guilds[guildId] || {};
+    const scopeGrants = guildGrants[scope] = { ...getStoredGrants(guildId, scope) };
+
+    const present = scopeGrants[type].includes(id);
+    if (present === granted) return false;
+    scopeGrants[type] = granted ? [...scopeGrants[type], id] : scopeGrants[type].filter(existing => existing !== id);
+
+    writeJsonFileAtomic(PERMISSIONS_FILE, { guilds });
+    return true;
+}
+
+/**
+ * Lists every grant of a guild per scope, as { scope: { roles, users, configuredRoles, configuredUsers } }.
+ */
+function listGrants(guildId) {
+    return Object.fromEntries(PERMISSION_SCOPES.map(scope => {
+        const stored = getStoredGrants(guildId, scope);
+        const configured = getConfiguredGrants(guildId, scope);
+        return [scope, { ...stored, configuredRoles: configured.roles, configuredUsers: configured.users }];
+    }));
+}
+
+/**
+ * Checks that the member who ran an interaction sits above every given role, as needed to edit rules managing them
+ * or depending on them.
+ * Returns a message in the language of the interaction describing the first role that is too high, or null when all
+ * of them are below the member.
+ */
+function checkRoleHierarchy(interaction, roleIds) {
+    const guild = interaction.guild;
+    if (guild.ownerId === interaction.user.id) return null;
+
+    const t = translatorFor(interaction);
+    const member = interaction.member;
+    const highest = member && member.roles && member.roles.highest;
+    if (!highest) return t('validation.rolesUnchecked');
+
+    for (const roleId of roleIds) {
+        const role = guild.roles.cache.get(roleId);
+        if (role && role.comparePositionTo(highest) >= 0) {
+            return t('validation.aboveUser', { role: role.name, highest: highest.name });
+        }
+    }
+    return null;
+}
+
+module.exports = { PERMISSION_SCOPES, hasPermission, setGrant, listGrants, checkRoleHierarchy };
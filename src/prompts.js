@@ -0,0 +1,63 @@
+/**
+ * This module asks the user who ran a command to pick one of several buttons before the command goes on, for
+ * example to merge or replace an existing rule.
+ *
+ * The question is sent as an ephemeral reply (or edits the deferred reply). Only the user who ran the command can
+ * answer, and the question expires after PROMPT_TIMEOUT. Once answered, the buttons are removed and the command
+ * reports its outcome by editing the same reply with `interaction.editReply`. The buttons and the notice of an expired
+ * question are in the language of the interaction (see i18n.js); the question and labels passed in should be too.
+ */
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+const { translatorFor } = require('./i18n');
+
+const PROMPT_TIMEOUT = 60 * 1000; // 1 minute
+
+/**
+ * Asks the user to choose between buttons.
+ *
+ * Parameters:
+ * - interaction (CommandInteraction): The interaction to reply to.
+ * - content (string): The question shown above the buttons.
+ * - choices (array): Objects with an `id`, a `label` and an optional ButtonStyle `style`.
+ *
+ * Returns the `id` of the chosen button, or null when the question expired. An expired question is edited to say so.
+ */
+async function promptChoice(interaction, content, choices) {
+    const row = new ActionRowBuilder().addComponents(choices.map(choice => new ButtonBuilder()
+        .setCustomId(`prompt:${choice.id}`)
+        .setLabel(choice.label)
+        .setStyle(choice.style || ButtonStyle.Secondary)));
+
+    const payload = { content, components: [row] };
+    const message = interaction.deferred || interaction.replied
+        ? await interaction.editReply(payload)
+        : await interaction.reply({ ...payload, ephemeral: true, fetchReply: true });
+
+    try {
+        const button = await message.awaitMessageComponent({
+            componentType: ComponentType.Button,
+            filter: component => component.user.id === interaction.user.id && component.customId.startsWith('prompt:'),
+            time: PROMPT_TIMEOUT
+        });
+        await button.deferUpdate();
+        await interaction.editReply({ components: [] });
+        return button.customId.slice('prompt:'.length);
+    } catch (error) {
+        await interaction.editReply({ content: `${content}\n\n${translatorFor(interaction)('prompts.expired')}`, components: [] });
+        return null;
+    }
+}
+
+/**
+ * Asks the user to confirm an action with Confirm and Cancel buttons. Returns true only when the user confirmed.
+ */
+async function confirmAction(interaction, content) {
+    const t = translatorFor(interaction);
+    const choice = await promptChoice(interaction, content, [
+        { id: 'confirm', label: t('prompts.confirm'), style: ButtonStyle.Danger },
+        { id: 'cancel', label: t('prompts.cancel'), style: ButtonStyle.Secondary }
+    ]);
+    return choice === 'confirm';
+}
+
+module.exports = { promptChoice, confirmAction };
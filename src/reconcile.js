@@ -0,0 +1,111 @@
+/**
+ * This module runs reconciliation sweeps, which check every member of a guild against the loaded rules.
+ *
+ * Rules are normally enforced when a 'guildMemberUpdate' event fires, so members who lost a dependency while the bot
+ * was offline, or before a rule was added, would otherwise keep their roles. A sweep fetches the guild's members page
+ * by page, resolves the changes each member needs, and feeds them into the rate-limited role update queue.
+ *
+ * - MEMBER_PAGE_SIZE (number): How many members are requested from Discord per page (1000 is the API maximum).
+ *
+ * - activeSweeps (Map): Tracks the sweep currently running for each guild. Requesting a sweep while one is running
+ *   marks it to be run again once it finishes, so a reload in the middle of a sweep is never missed and two sweeps
+ *   never queue the same corrections side by side.
+ */
+const { getRules } = require('./ruleRegistry');
+const { resolveRoleChanges } = require('./dependencyGraph');
+const { enqueueRoleUpdate } = require('./roleQueue');
+
+const MEMBER_PAGE_SIZE = 1000;
+const activeSweeps = new Map();
+
+/**
+ * Fetches a guild's members page by page, calling `onPage` with each page (a Collection of GuildMembers).
+ * Pages are requested in ascending member ID order, continuing after the last member of the previous page.
+ */
+async function forEachMemberPage(guild, onPage) {
+    let after = '0';
+    for (;;) {
+        const page = await guild.members.list({ limit: MEMBER_PAGE_SIZE, after });
+        if (page.size === 0) return;
+
+        await onPage(page);
+
+        if (page.size < MEMBER_PAGE_SIZE) return;
+        after = page.lastKey();
+    }
+}
+
+/**
+ * Checks every member of a guild against its rules and queues the corrections.
+ *
+ * Parameters:
+ * - guild (Guild): The guild to sweep.
+ * - onProgress (function, optional): Called with the running summary after each page of members.
+ *
+ * Returns a summary object with the number of members checked and corrected, and the number of roles queued for
+ * removal and granting.
+ */
+async function reconcileGuild(guild, onProgress) {
+    const summary = { membersChecked: 0, membersCorrected: 0, rolesRemoved: 0, rolesGranted: 0 };
+
+    await forEachMemberPage(guild, page => {
+        const rules = getRules(guild.id);
+        page.forEach(member => {
+            const { rolesToRemove, rolesToAdd, reasons } = resolveRoleChanges(rules, null, member.roles.cache);
+            summary.membersChecked++;
+            if (rolesToRemove.length > 0 || rolesToAdd.length > 0) {
+                summary.membersCorrected++;
+                summary.rolesRemoved += rolesToRemove.length;
+                summary.rolesGranted += rolesToAdd.length;
+                enqueueRoleUpdate(member, rolesToRemove, rolesToAdd, reasons);
+            }
+        });
+
+        console.log(`Reconciling ${guild.name}: checked ${summary.membersChecked} members, ${summary.membersCorrected} need corrections so far.`);
+        if (onProgress) onProgress(summary);
+    });
+
+    return summary;
+}
+
+/**
+ * Runs a reconciliation sweep for a guild, unless one is already running, in which case the running sweep is marked
+ * to be repeated once it finishes. Guilds without rules are skipped.
+ *
+ * Parameters:
+ * - guild (Guild): The guild to sweep.
+ * - onProgress (function, optional): Called with the running summary after each page of members.
+ *
+ * Returns a promise resolving to the summary of the last sweep run, or null when the guild has no rules.
+ */
+function runReconciliation(guild, onProgress) {
+    const active = activeSweeps.get(guild.id);
+    if (active) {
+        active.rerun = true;
+        return active.promise;
+    }
+
+    const sweep = { rerun: false, promise: null };
+    sweep.promise = (async () => {
+        let summary = null;
+        try {
+            do {
+                sweep.rerun = false;
+                if (getRules(guild.id).length === 0) return null;
+
+                console.log(`Starting reconciliation sweep for ${guild.name} with ID ${guild.id}.`);
+                summary = await reconcileGuild(guild, onProgress);
+                console.log(`Reconciliation of ${guild.name} finished: checked ${summary.membersChecked} members, `
+                    + `queued ${summary.rolesRemoved} removals and ${summary.rolesGranted} grants for ${summary.membersCorrected} members.`);
+            } while (sweep.rerun);
+            return summary;
+        } finally {
+            activeSweeps.delete(guild.id);
+        }
+    })();
+
+    activeSweeps.set(guild.id, sweep);
+    return sweep.promise;
+}
+
+module.exports = { forEachMemberPage, reconcileGuild, runReconciliation };
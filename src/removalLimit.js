@@ -0,0 +1,66 @@
+/**
+ * This module counts the roles the bot removes, so a misconfigured rule can not strip a role from most of a guild
+ * before anyone notices. The role update queue checks every job against the guild's limit before applying it, and
+ * pauses the guild when the job would go past it (see roleQueue.js).
+ *
+ * The limit is set per guild with "removalLimit" in 'config.json', e.g. "removalLimit": { "removals": 50, "minutes": 10 },
+ * allowing at most that many removals of any one role within that many minutes. Guilds without it have no limit.
+ *
+ * The counts are kept in memory only, so they start over when the bot restarts.
+ *
+ * - removalTimes (Map): For each guild, a Map from role ID to the times that role was removed, oldest first.
+ */
+const { getGuildConfig } = require('./config');
+
+const removalTimes = new Map();
+
+/**
+ * Returns the guild's limit as { removals, minutes }, or null when the guild has none.
+ */
+function getRemovalLimit(guildId) {
+    return getGuildConfig(guildId).removalLimit || null;
+}
+
+/**
+ * Returns the times a role was removed in the guild within the limit's window, dropping older ones.
+ */
+function recentRemovals(guildId, roleId, limit, now) {
+    const roles = removalTimes.get(guildId);
+    const times = roles && roles.get(roleId);
+    if (!times) return [];
+
+    const windowStart = now - limit.minutes * 60 * 1000;
+    while (times.length > 0 && times[0] <= windowStart) times.shift();
+    return times;
+}
+
+/**
+ * Checks whether removing roles from one more member would go past the guild's limit.
+ * Returns the ID of the first role that would, or null when every removal is within the limit.
+ */
+function findExceededRole(guildId, roleIds, now = Date.now()) {
+    const limit = getRemovalLimit(guildId);
+    if (!limit) return null;
+    return roleIds.find(roleId => recentRemovals(guildId, roleId, limit, now).length >= limit.removals) || null;
+}
+
+/**
+ * Counts roles removed from a member.
+ */
+function recordRemovals(guildId, roleIds, now = Date.now()) {
+    if (!removalTimes.has(guildId)) removalTimes.set(guildId, new Map());
+    const roles = removalTimes.get(guildId);
+    roleIds.forEach(roleId => {
+        if (!roles.has(roleId)) roles.set(roleId, []);
+        roles.get(roleId).push(now);
+    });
+}
+
+/**
+ * Forgets the removals counted for a guild, e.g. when an admin resumes it after it was paused.
+ */
+function resetRemovals(guildId) {
+    removalTimes.delete(guildId);
+}
+
+module.exports = { getRemovalLimit, findExceededRole, recordRemovals, resetRemovals };
@@ -0,0 +1,36 @@
+/**
+ * This module provides autocomplete for options that take a list of roles, such as the 'dependencies' option of
+ * '/addrole'. The user types role IDs or mentions separated by spaces or commas; the last, unfinished entry is
+ * matched against the names and IDs of the guild's roles, and each suggestion completes it with the role's ID.
+ */
+
+const MAX_CHOICES = 25; // Discord's limit for autocomplete suggestions
+const MAX_CHOICE_LENGTH = 100; // Discord's limit for the name and value of a suggestion
+
+async function autocompleteRoleList(interaction) {
+    const input = interaction.options.getFocused();
+    const tokens = input.split(/[\s,]+/);
+    const partial = /[\s,]$/.test(input) ? '' : tokens.pop();
+    const chosen = tokens.filter(Boolean);
+    const guild = interaction.guild;
+
+    const chosenNames = chosen.map(token => {
+        const role = guild.roles.cache.get(token.replace(/[<@&>]/g, ''));
+        return role ? role.name : token;
+    });
+
+    const choices = guild.roles.cache
+        .filter(role => role.id !== guild.id && !chosen.includes(role.id))
+        .filter(role => role.name.toLowerCase().includes(partial.toLowerCase()) || role.id.startsWith(partial))
+        .sort((a, b) => b.position - a.position)
+        .map(role => ({
+            name: [...chosenNames, role.name].join(', ').slice(0, MAX_CHOICE_LENGTH),
+            value: [...chosen, role.id].join(' ')
+        }))
+        .filter(choice => choice.value.length <= MAX_CHOICE_LENGTH)
+        .slice(0, MAX_CHOICES);
+
+    await interaction.respond(choices);
+}
+
+module.exports = { autocompleteRoleList };
@@ -0,0 +1,244 @@
+/**
+ * This module defines the RoleManager class along with the helpers used to evaluate dependency conditions.
+ *
+ * Condition format:
+ * A condition describes which roles a member must (or must not) hold to keep a managed role. It is either:
+ * - A role ID string: satisfied when the member has that role.
+ * - { "all": [condition, ...] }: satisfied when every nested condition is satisfied.
+ * - { "any": [condition, ...] }: satisfied when at least one nested condition is satisfied.
+ * - { "not": condition }: satisfied when the nested condition is not satisfied.
+ *
+ * A plain "dependencies" array in a roles file is treated as { "all": dependencies }, which keeps the
+ * original behaviour of removing the role as soon as any one of the listed roles is missing.
+ *
+ * Modes:
+ * Each entry may set a "mode" deciding which direction the bot enforces the condition in:
+ * - "remove" (default): the role is removed when the member stops satisfying the condition.
+ * - "grant": the role is granted when the member starts satisfying the condition, but never removed.
+ * - "sync": both of the above.
+ *
+ * Lifetime:
+ * An entry may set "maxLifetime" to a duration such as "30d" (see duration.js). Whenever the managed role is granted
+ * to a member, by anyone, it is scheduled to be removed again once that time has passed (see tempRoles.js).
+ */
+
+const { parseDuration } = require('./duration');
+
+const ROLE_MODES = ['remove', 'grant', 'sync'];
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+/**
+ * Checks that a condition tree is well formed and that every role it names is a role ID (a Discord snowflake), throwing
+ * an Error describing the first problem found.
+ *
+ * Parameters:
+ * - condition (string|object): The condition tree to validate.
+ * - location (string): A description of where the condition sits, used to build readable error messages.
+ */
+function validateCondition(condition, location = 'condition') {
+    if (typeof condition === 'string') {
+        if (!SNOWFLAKE_PATTERN.test(condition)) {
+            throw new Error(`${location} must be a role ID, not "${condition}".`);
+        }
+        return;
+    }
+
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        throw new Error(`${location} must be a role ID or an object with "all", "any" or "not".`);
+    }
+
+    const keys = Object.keys(condition);
+    if (keys.length !== 1 || !['all', 'any', 'not'].includes(keys[0])) {
+        throw new Error(`${location} must have exactly one of "all", "any" or "not".`);
+    }
+
+    const [operator] = keys;
+    if (operator === 'not') {
+        validateCondition(condition.not, `${location}.not`);
+        return;
+    }
+
+    if (!Array.isArray(condition[operator]) || condition[operator].length === 0) {
+        throw new Error(`${location}.${operator} must be a non-empty array.`);
+    }
+    condition[operator].forEach((child, index) => validateCondition(child, `${location}.${operator}[${index}]`));
+}
+
+/**
+ * Evaluates a condition tree against a collection of role IDs.
+ *
+ * Parameters:
+ * - condition (string|object): The condition tree to evaluate.
+ * - roleIds (Set|Collection): Anything with a `has(roleId)` method, such as `member.roles.cache` or a Set of IDs.
+ *
+ * Returns true when the condition is satisfied.
+ */
+function evaluateCondition(condition, roleIds) {
+    if (typeof condition === 'string') return roleIds.has(condition);
+    if (condition.all) return condition.all.every(child => evaluateCondition(child, roleIds));
+    if (condition.any) return condition.any.some(child => evaluateCondition(child, roleIds));
+    return !evaluateCondition(condition.not, roleIds);
+}
+
+/**
+ * Lists the parts of a condition tree that a collection of role IDs fails to satisfy, used to explain why a role
+ * was removed. Each entry is { roleId, required }, where `required` is true for a role the member is missing and
+ * false for a role the member holds but must not.
+ *
+ * Parameters:
+ * - condition (string|object): The condition tree, which should not be satisfied by `roleIds`.
+ * - roleIds (Set|Collection): Anything with a `has(roleId)` method.
+ * - negated (boolean): Used internally while descending through "not" nodes.
+ */
+function findUnmetRequirements(condition, roleIds, negated = false) {
+    if (typeof condition === 'string') {
+        return [{ roleId: condition, required: !negated }];
+    }
+    if (condition.not !== undefined) {
+        return findUnmetRequirements(condition.not, roleIds, !negated);
+    }
+
+    // Under a "not", an "all" fails like an "any" and the other way around
+    const children = condition.all || condition.any;
+    const requiresAll = Boolean(condition.all) !== negated;
+    const failing = children.filter(child => evaluateCondition(child, roleIds) === negated);
+    const explained = requiresAll ? failing : children;
+    return explained.flatMap(child => findUnmetRequirements(child, roleIds, negated));
+}
+
+/**
+ * Formats a condition tree for humans, e.g. "Booster OR Patron" or "Member AND NOT Muted".
+ *
+ * Parameters:
+ * - condition (string|object): The condition tree to format.
+ * - nameOf (function): Turns a role ID into the text shown for it, e.g. a role name or mention.
+ */
+function formatCondition(condition, nameOf = roleId => roleId) {
+    if (typeof condition === 'string') return nameOf(condition);
+    if (condition.not !== undefined) {
+        const inner = formatCondition(condition.not, nameOf);
+        return typeof condition.not === 'string' ? `NOT ${inner}` : `NOT (${inner})`;
+    }
+
+    const children = condition.all || condition.any;
+    const separator = condition.all ? ' AND ' : ' OR ';
+    return children
+        .map(child => (typeof child === 'string' || child.not !== undefined || children.length === 1)
+            ? formatCondition(child, nameOf)
+            : `(${formatCondition(child, nameOf)})`)
+        .join(separator);
+}
+
+/**
+ * Collects every role ID referenced anywhere in a condition tree, without duplicates.
+ */
+function collectRoleIds(condition, found = new Set()) {
+    if (typeof condition === 'string') {
+        found.add(condition);
+    } else if (condition.not !== undefined) {
+        collectRoleIds(condition.not, found);
+    } else {
+        (condition.all || condition.any).forEach(child => collectRoleIds(child, found));
+    }
+    return found;
+}
+
+/**
+ * Manages role dependencies and handles the logic for determining whether a role needs to be removed from a guild member.
+ * This class provides the foundation for role-based operations within the Discord bot, ensuring that roles are managed
+ * according to specific dependencies defined per role.
+ *
+ * Properties:
+ * - roleId (string): The unique identifier for the role.
+ * - roleName (string): The name of the role.
+ * - condition (string|object): The condition tree a member has to satisfy to keep this role. Built from the
+ *   "condition" entry of the roles file when present, otherwise from the plain dependency list.
+ * - removalDependencies (array): Every role ID referenced by the condition. If any of these roles change on a member,
+ *   then this role should be considered for removal.
+ * - mode (string): One of "remove", "grant" or "sync", deciding whether the role is removed, granted or both.
+ * - enabled (boolean): Whether the rule is enforced. Disabled rules stay in the roles file but never change any roles.
+ * - disabledReason (object|null): Why the bot disabled the rule, as a message (see i18n.js), when it did; set by
+ *   fromConfig.
+ * - maxLifetime (number|null): How long, in milliseconds, a member keeps the role after it was granted, or null
+ *   when the role does not expire.
+ *
+ * Methods:
+ * - isSatisfiedBy(roleIds): Returns true if the given role IDs satisfy this role's condition.
+ * - unmetRequirements(roleIds): Lists the roles that keep the given role IDs from satisfying the condition.
+ * - checkRemovalNeeded(oldMember, newMember): Determines if a role should be removed based on changes in a member's roles.
+ *   It checks if the role was present before and if the member's latest roles no longer satisfy the condition.
+ *   Always false for rules in "grant" mode and for disabled rules.
+ * - checkGrantNeeded(oldMember, newMember): Determines if a role should be granted. It checks that the member does not
+ *   hold the role yet and that the condition became satisfied with this update. Always false for rules in "remove" mode
+ *   for disabled rules, and for rules without any dependencies, which would otherwise grant the role to everyone.
+ */
+class RoleManager {
+    constructor(roleId, roleName, dependencies = [], condition = null, mode = 'remove', enabled = true, maxLifetime = null) {
+        if (!ROLE_MODES.includes(mode)) {
+            throw new Error(`Mode for role ${roleName || roleId} must be one of ${ROLE_MODES.join(', ')}.`);
+        }
+        this.roleId = roleId;
+        this.roleName = roleName;
+        this.mode = mode;
+        this.enabled = enabled;
+        this.maxLifetime = maxLifetime;
+        this.disabledReason = null;
+        this.condition = condition || { all: dependencies };
+        if (condition || dependencies.length > 0) {
+            validateCondition(this.condition, `Condition for role ${roleName || roleId}`);
+            this.removalDependencies = [...collectRoleIds(this.condition)];
+        } else {
+            this.removalDependencies = [];
+        }
+    }
+
+    /**
+     * Builds a RoleManager from an entry of a roles configuration file.
+     */
+    static fromConfig(entry) {
+        const rule = new RoleManager(
+            entry.roleId,
+            entry.roleName,
+            entry.dependencies || [],
+            entry.condition || null,
+            entry.mode || 'remove',
+            entry.enabled !== false,
+            entry.maxLifetime ? parseDuration(entry.maxLifetime) : null
+        );
+        rule.disabledReason = entry.disabledReason || null;
+        return rule;
+    }
+
+    isSatisfiedBy(roleIds) {
+        if (this.removalDependencies.length === 0) return true;
+        return evaluateCondition(this.condition, roleIds);
+    }
+
+    unmetRequirements(roleIds) {
+        if (this.isSatisfiedBy(roleIds)) return [];
+        return findUnmetRequirements(this.condition, roleIds);
+    }
+
+    checkRemovalNeeded(oldMember, newMember) {
+        if (!this.enabled || this.mode === 'grant') return false;
+        const hasRoleBefore = oldMember.roles.cache.has(this.roleId);
+        return hasRoleBefore && !this.isSatisfiedBy(newMember.roles.cache);
+    }
+
+    checkGrantNeeded(oldMember, newMember) {
+        if (!this.enabled || this.mode === 'remove' || this.removalDependencies.length === 0) return false;
+        if (newMember.roles.cache.has(this.roleId)) return false;
+        return this.isSatisfiedBy(newMember.roles.cache) && !this.isSatisfiedBy(oldMember.roles.cache);
+    }
+}
+
+module.exports = {
+    RoleManager,
+    ROLE_MODES,
+    SNOWFLAKE_PATTERN,
+    validateCondition,
+    evaluateCondition,
+    findUnmetRequirements,
+    formatCondition,
+    collectRoleIds
+};
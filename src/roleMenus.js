@@ -0,0 +1,267 @@
+/**
+ * This module runs self-assignable role menus: messages with buttons or a select menu that members use to pick
+ * their own roles.
+ *
+ * A menu is saved in 'data/rolemenus.json' as { id, guildId, channelId, messageId, title, roleIds, style, exclusive,
+ * maxPicks, createdBy }:
+ * - style: "buttons" shows a button per role that toggles it; "select" shows a select menu listing every role.
+ * - exclusive: The roles form a group members may only hold one role of. Picking another role swaps it in.
+ * - maxPicks: The most roles of the menu a member may hold at once, or null for no limit.
+ *
+ * The components carry the menu ID in their custom IDs ("rolemenu:<menuId>" for select menus and
+ * "rolemenu:<menuId>:<roleId>" for buttons). Clicks are routed here by the command handler rather than by a collector
+ * bound to the message, so menus keep working after the bot restarts.
+ *
+ * Prerequisites reuse the guild's role rules: a role can only be picked when the member's roles, after the pick,
+ * satisfy the rules for that role, so members can not pick a role the bot would take away again right after.
+ *
+ * A menu's message is written in the language of the command that created it, and the replies to a pick in the
+ * language of the guild, or of the member picking (see i18n.js).
+ */
+const crypto = require('crypto');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, EmbedBuilder } = require('discord.js');
+const { readJsonFile, writeJsonFileAtomic } = require('./storage/jsonFile');
+const { dataFilePath } = require('./config');
+const { getRules } = require('./ruleRegistry');
+const { resolveRoleChanges } = require('./dependencyGraph');
+const { formatCondition } = require('./roleManager');
+const { describeRequirement } = require('./auditLog');
+const { defaultTranslator, translatorFor } = require('./i18n');
+
+const ROLE_MENUS_FILE = dataFilePath('rolemenus.json');
+const CUSTOM_ID_PREFIX = 'rolemenu:';
+const MAX_MENU_ROLES = 25; // Discord allows 5 rows of 5 buttons, and 25 options in a select menu
+const BUTTONS_PER_ROW = 5;
+
+let menus = null;
+
+function loadMenus() {
+    if (!menus) {
+        try {
+            menus = readJsonFile(ROLE_MENUS_FILE, { menus: {} }).menus;
+        } catch (error) {
+            console.error('Failed to load the role menus:', error);
+            menus = {};
+        }
+    }
+    return menus;
+}
+
+function saveMenus() {
+    writeJsonFileAtomic(ROLE_MENUS_FILE, { menus: loadMenus() });
+}
+
+/**
+ * Describes what a member needs to pick a role, based on the guild's enabled rules for it, e.g. "requires Member".
+ */
+function describePrerequisites(guild, roleId, t) {
+    const nameOf = id => {
+        const role = guild.roles.cache.get(id);
+        return role ? role.name : id;
+    };
+    const conditions = getRules(guild.id)
+        .filter(rule => rule.roleId === roleId && rule.enabled && rule.mode !== 'grant' && rule.removalDependencies.length > 0)
+        .map(rule => formatCondition(rule.condition, nameOf));
+    return conditions.length > 0 ? t('rolemenu.requires', { conditions: conditions.join(` ${t('rolemenu.and')} `) }) : null;
+}
+
+/**
+ * Builds the embed and components of a menu's message, written with the translator t.
+ */
+function buildMenuMessage(menu, guild, t) {
+    const roles = menu.roleIds.map(roleId => guild.roles.cache.get(roleId)).filter(Boolean);
+
+    const lines = roles.map(role => {
+        const prerequisites = describePrerequisites(guild, role.id, t);
+        return `<@&${role.id}>${prerequisites ? ` (${prerequisites})` : ''}`;
+    });
+    let footer = t('rolemenu.anyRoles');
+    if (menu.exclusive) footer = t('rolemenu.oneRole');
+    else if (menu.maxPicks) footer = t('rolemenu.upToRoles', { max: menu.maxPicks });
+
+    const embed = new EmbedBuilder()
+        .setTitle(menu.title)
+        .setDescription(lines.join('\n') || t('rolemenu.noRolesLeft'))
+        .setFooter({ text: footer });
+
+    if (menu.style === 'select') {
+        const select = new StringSelectMenuBuilder()
+            .setCustomId(`${CUSTOM_ID_PREFIX}${menu.id}`)
+            .setPlaceholder(t('rolemenu.placeholder'))
+            .setMinValues(0)
+            .setMaxValues(menu.exclusive ? 1 : Math.min(menu.maxPicks || roles.length, roles.length))
+            .addOptions(roles.map(role => ({ label: role.name.slice(0, 100), value: role.id })));
+        return { embeds: [embed], components: roles.length > 0 ? [new ActionRowBuilder().addComponents(select)] : [] };
+    }
+
+    const rows = [];
+    for (let index = 0; index < roles.length; index += BUTTONS_PER_ROW) {
+        rows.push(new ActionRowBuilder().addComponents(roles.slice(index, index + BUTTONS_PER_ROW).map(role => new ButtonBuilder()
+            .setCustomId(`${CUSTOM_ID_PREFIX}${menu.id}:${role.id}`)
+            .setLabel(role.name.slice(0, 80))
+            .setStyle(ButtonStyle.Secondary))));
+    }
+    return { embeds: [embed], components: rows };
+}
+
+/**
+ * Creates a menu and publishes its message in the given channel.
+ *
+ * Parameters:
+ * - channel (TextChannel): Where the menu is posted.
+ * - options (object): { title, roleIds, style, exclusive, maxPicks, createdBy }.
+ * - t (function, optional): The translator the message is written with, e.g. the one for the creating command.
+ *
+ * Returns the saved menu.
+ */
+async function createMenu(channel, { title, roleIds, style, exclusive, maxPicks, createdBy }, t = defaultTranslator) {
+    if (roleIds.length > MAX_MENU_ROLES) {
+        throw new Error(t('rolemenu.tooManyRoles', { max: MAX_MENU_ROLES }));
+    }
+
+    const menu = {
+        id: crypto.randomBytes(4).toString('hex'),
+        guildId: channel.guild.id,
+        channelId: channel.id,
+        messageId: null,
+        title,
+        roleIds,
+        style,
+        exclusive,
+        maxPicks: exclusive ? 1 : maxPicks || null,
+        createdBy
+    };
+
+    const message = await channel.send(buildMenuMessage(menu, channel.guild, t));
+    menu.messageId = message.id;
+    loadMenus()[menu.id] = menu;
+    saveMenus();
+    return menu;
+}
+
+/**
+ * Deletes a menu and its message. Returns false when the guild has no menu with that ID.
+ */
+async function deleteMenu(guild, menuId) {
+    const menu = loadMenus()[menuId];
+    if (!menu || menu.guildId !== guild.id) return false;
+
+    delete menus[menuId];
+    saveMenus();
+
+    try {
+        const channel = await guild.channels.fetch(menu.channelId);
+        await channel.messages.delete(menu.messageId);
+    } catch (error) {
+        console.error(`Failed to delete the message of role menu ${menuId}:`, error.message);
+    }
+    return true;
+}
+
+/**
+ * Returns the menus of a guild.
+ */
+function listMenus(guildId) {
+    return Object.values(loadMenus()).filter(menu => menu.guildId === guildId);
+}
+
+/**
+ * Works out the roles to grant and remove for a member's pick, enforcing the menu's limits and the prerequisites.
+ *
+ * Parameters:
+ * - menu (object): The menu picked from.
+ * - member (GuildMember): The member picking.
+ * - wanted (array): The menu roles the member wants to hold after the pick.
+ * - t (function, optional): The translator the refusals are written with.
+ *
+ * Returns { rolesToAdd, rolesToRemove, refused }, where refused lists a message for every role that could not be picked.
+ */
+function planPick(menu, member, wanted, t = defaultTranslator) {
+    const guild = member.guild;
+    const held = menu.roleIds.filter(roleId => member.roles.cache.has(roleId));
+    const refused = [];
+
+    if (menu.maxPicks && wanted.length > menu.maxPicks) {
+        refused.push(t('rolemenu.tooManyPicks', { max: menu.maxPicks }));
+        return { rolesToAdd: [], rolesToRemove: [], refused };
+    }
+
+    const rolesToRemove = held.filter(roleId => !wanted.includes(roleId));
+    let rolesToAdd = wanted.filter(roleId => !held.includes(roleId) && guild.roles.cache.has(roleId));
+
+    // Only keep the roles the rules would let the member keep once the pick is applied
+    const rules = getRules(guild.id);
+    const projected = new Set(member.roles.cache.keys());
+    rolesToRemove.forEach(roleId => projected.delete(roleId));
+    rolesToAdd.forEach(roleId => projected.add(roleId));
+    const { rolesToRemove: wouldLose, reasons } = resolveRoleChanges(rules, null, projected);
+
+    rolesToAdd = rolesToAdd.filter(roleId => {
+        if (!wouldLose.includes(roleId)) return true;
+        const nameOf = id => (guild.roles.cache.get(id) || { name: id }).name;
+        const missing = (reasons[roleId] || []).map(requirement => describeRequirement({ ...requirement, roleName: nameOf(requirement.roleId) }, t));
+        refused.push(t('rolemenu.notYet', { role: nameOf(roleId), requirements: missing.join(', ') || t('rolemenu.requirementsNotMet') }));
+        return false;
+    });
+
+    // Swapping a role of an exclusive menu only happens when the new role can be picked
+    if (menu.exclusive && refused.length > 0) {
+        return { rolesToAdd: [], rolesToRemove: [], refused };
+    }
+    return { rolesToAdd, rolesToRemove, refused };
+}
+
+/**
+ * Handles a click on a role menu button or a choice in a role menu select menu.
+ * Replies ephemerally with the roles granted and removed, and with the reason for any role that could not be picked.
+ * Buttons for roles that are no longer part of the menu are answered like buttons of a deleted menu.
+ */
+async function handleRoleMenuInteraction(interaction) {
+    const t = translatorFor(interaction);
+    const [menuId, roleId] = interaction.customId.slice(CUSTOM_ID_PREFIX.length).split(':');
+    const menu = loadMenus()[menuId];
+    if (!menu || menu.guildId !== interaction.guild.id || (interaction.isButton() && !menu.roleIds.includes(roleId))) {
+        await interaction.reply({ content: t('rolemenu.gone'), ephemeral: true });
+        return;
+    }
+
+    try {
+        const member = await interaction.guild.members.fetch(interaction.user.id);
+        const held = menu.roleIds.filter(id => member.roles.cache.has(id));
+
+        let wanted;
+        if (interaction.isStringSelectMenu()) {
+            wanted = interaction.values.filter(id => menu.roleIds.includes(id));
+        } else if (held.includes(roleId)) {
+            wanted = held.filter(id => id !== roleId);
+        } else {
+            wanted = menu.exclusive ? [roleId] : [...held, roleId];
+        }
+
+        const { rolesToAdd, rolesToRemove, refused } = planPick(menu, member, wanted, t);
+        if (rolesToAdd.length > 0) await member.roles.add(rolesToAdd, `Role menu ${menu.id}`);
+        if (rolesToRemove.length > 0) await member.roles.remove(rolesToRemove, `Role menu ${menu.id}`);
+
+        const lines = [
+            ...rolesToAdd.map(id => t('rolemenu.added', { role: `<@&${id}>` })),
+            ...rolesToRemove.map(id => t('rolemenu.removed', { role: `<@&${id}>` })),
+            ...refused
+        ];
+        await interaction.reply({ content: lines.join('\n') || t('rolemenu.unchanged'), ephemeral: true });
+    } catch (error) {
+        console.error(`Error in role menu ${menuId}:`, error);
+        const payload = { content: t('rolemenu.pickFailed'), ephemeral: true };
+        await (interaction.replied ? interaction.followUp(payload) : interaction.reply(payload));
+    }
+}
+
+/**
+ * Returns true for component interactions that belong to a role menu.
+ */
+function isRoleMenuInteraction(interaction) {
+    return (interaction.isButton() || interaction.isStringSelectMenu()) && interaction.customId.startsWith(CUSTOM_ID_PREFIX);
+}
+
+module.exports = {
+    MAX_MENU_ROLES, createMenu, deleteMenu, listMenus, planPick, handleRoleMenuInteraction, isRoleMenuInteraction
+};
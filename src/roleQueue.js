@@ -0,0 +1,523 @@
+/**
+ * This module owns the queue of pending role updates. Role changes produced by member updates and reconciliation sweeps
+ * are pushed here as jobs and applied one at a time, paced to stay within Discord's API rate limits.
+ *
+ * A job describes the roles to grant and remove for one member: { id, guildId, memberId, add, remove, reasons,
+ * attempts, notBefore }. Jobs only hold IDs; the member is fetched when the job runs, so the queue can be saved to
+ * disk and picked up again after a restart.
+ *
+ * - Durability: the pending jobs, including the one being applied, are written to 'data/queue.json' shortly after
+ *   every change (batched by PERSIST_DELAY) and loaded again when the queue is started.
+ * - Coalescing: a new change for a member who already has a pending job is merged into that job. When both touch the
+ *   same role, the newer change wins.
+ * - Fairness: jobs are kept per guild and the guilds take turns, so a sweep of a large guild can not starve the others.
+ * - Retries: requests rejected with 429 (rate limited) or a 5xx status, and network errors, are retried with an
+ *   exponential backoff, honouring the retry delay Discord sends. A job still failing after MAX_ATTEMPTS is given up.
+ *   403 (missing permissions) and 404 (unknown member or role) are permanent failures and are not retried. Jobs that
+ *   are given up are logged and recorded in the role history and audit channel with the reason, as a message translated
+ *   when it is shown (see i18n.js).
+ * - Pausing: when a job would remove a role from more members than the guild's limit allows (see removalLimit.js),
+ *   or when a role the guild's rules depend on is deleted, the guild is paused. Its pending jobs, and any queued
+ *   after, are held until an admin resumes the guild or discards them with '/queue'; the admins are alerted (see
+ *   sendAlert in auditLog.js). Other guilds keep being served. Paused guilds are saved with the queue, so they stay
+ *   paused after a restart.
+ * - Notifications: once roles are removed, the member is told by direct message in guilds that turn this on (see
+ *   memberNotifications.js).
+ *
+ * - jobsByGuild (Map): The pending jobs of each guild, oldest first. Guilds without pending jobs are removed.
+ *
+ * - pausedGuilds (Map): For each paused guild, { reason, message, time } describing why and when it was paused: reason
+ *   in English, for the logs, and message as the catalog key and parameters to show it to admins in their language.
+ *
+ * - lastServedGuildId (string): The guild the previous job was taken from; the next job is taken from the guild after it.
+ *
+ * - activeJob (object): The job currently being applied, if any.
+ *
+ * - isProcessingQueue (boolean): A flag to indicate whether the update queue is currently being processed. This ensures that the
+ *   queue operation runs sequentially and prevents multiple concurrent processes from initiating.
+ *
+ * - waitTimer: The timer waking the queue when the only pending jobs are waiting for their retry delay.
+ *
+ * - queueEvents (EventEmitter): Emits 'grantsDropped' (guildId, memberId, roleIds) when roles a job was to grant are
+ *   not granted after all, because the job was given up or discarded. Temporary roles use it to forget their expiry
+ *   (see tempRoles.js).
+ */
+const EventEmitter = require('events');
+const { isDryRun, dataFilePath } = require('./config');
+const { recordRoleChange, recordFailedRoleChange, sendAlert } = require('./auditLog');
+const { readJsonFile, writeJsonFileAtomic } = require('./storage/jsonFile');
+const { incrementCounter } = require('./metrics');
+const { getRemovalLimit, findExceededRole, recordRemovals, resetRemovals } = require('./removalLimit');
+const { notifyRoleRemoval } = require('./memberNotifications');
+const { defaultTranslator, getTranslator, translateMessage } = require('./i18n');
+
+const QUEUE_FILE = dataFilePath('queue.json');
+const JOB_INTERVAL = 1000 / 50; // Pace between two jobs
+const PERSIST_DELAY = 1000;
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+const jobsByGuild = new Map();
+const pausedGuilds = new Map();
+let lastServedGuildId = null;
+let activeJob = null;
+let client = null;
+let isProcessingQueue = false;
+let waitTimer = null;
+let persistTimer = null;
+let nextJobId = 1;
+const queueEvents = new EventEmitter();
+
+/**
+ * Writes the pending jobs to the queue file soon, batching the writes of changes made in quick succession.
+ */
+function persistSoon() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(() => {
+        persistTimer = null;
+        persistNow();
+    }, PERSIST_DELAY);
+}
+
+/**
+ * Writes the pending jobs to the queue file right away, e.g. before the process exits.
+ */
+function persistNow() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    const jobs = [...(activeJob ? [activeJob] : []), ...[...jobsByGuild.values()].flat()];
+    try {
+        writeJsonFileAtomic(QUEUE_FILE, { jobs, paused: Object.fromEntries(pausedGuilds) });
+    } catch (error) {
+        console.error('Failed to save the role update queue:', error);
+    }
+}
+
+/**
+ * Applies a change to a job's pending roles. Where the change touches a role the job already grants or removes,
+ * the change wins.
+ */
+function mergeChanges(job, add, remove, reasons) {
+    job.add = job.add.filter(roleId => !remove.includes(roleId));
+    job.remove = job.remove.filter(roleId => !add.includes(roleId));
+    add.filter(roleId => !job.add.includes(roleId)).forEach(roleId => job.add.push(roleId));
+    remove.filter(roleId => !job.remove.includes(roleId)).forEach(roleId => job.remove.push(roleId));
+    add.forEach(roleId => delete job.reasons[roleId]);
+    Object.assign(job.reasons, reasons);
+}
+
+/**
+ * Adds a job to its guild's pending jobs, merging it into a pending job for the same member if there is one.
+ * With `first` set, the job is placed ahead of the guild's other jobs, as done for retries.
+ */
+function addJob(job, first = false) {
+    if (!jobsByGuild.has(job.guildId)) jobsByGuild.set(job.guildId, []);
+    const jobs = jobsByGuild.get(job.guildId);
+
+    const pendingIndex = jobs.findIndex(pending => pending.memberId === job.memberId);
+    if (pendingIndex !== -1) {
+        const [pending] = jobs.splice(pendingIndex, 1);
+        if (first) {
+            // The pending job is newer than the job being retried, so its changes win
+            mergeChanges(job, pending.add, pending.remove, pending.reasons);
+        } else {
+            mergeChanges(pending, job.add, job.remove, job.reasons);
+            job = pending;
+        }
+    }
+
+    if (first) {
+        jobs.unshift(job);
+    } else {
+        jobs.splice(pendingIndex === -1 ? jobs.length : pendingIndex, 0, job);
+    }
+    persistSoon();
+}
+
+/**
+ * Takes the next job that is due, visiting the guilds in turn starting after the guild served last. The jobs of
+ * paused guilds are held.
+ */
+function takeNextJob(now) {
+    const guildIds = [...jobsByGuild.keys()].filter(guildId => !pausedGuilds.has(guildId));
+    const start = guildIds.indexOf(lastServedGuildId) + 1;
+
+    for (let offset = 0; offset < guildIds.length; offset++) {
+        const guildId = guildIds[(start + offset) % guildIds.length];
+        const jobs = jobsByGuild.get(guildId);
+        const index = jobs.findIndex(job => job.notBefore <= now);
+        if (index === -1) continue;
+
+        const [job] = jobs.splice(index, 1);
+        if (jobs.length === 0) jobsByGuild.delete(guildId);
+        lastServedGuildId = guildId;
+        return job;
+    }
+    return null;
+}
+
+/**
+ * Returns the time at which the earliest pending job of a guild that is not paused is due, or null when nothing is pending.
+ */
+function nextDueTime() {
+    const times = [...jobsByGuild.entries()]
+        .filter(([guildId]) => !pausedGuilds.has(guildId))
+        .flatMap(([, jobs]) => jobs.map(job => job.notBefore));
+    return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Decides whether a failed request is worth retrying, returning { retry, delay, kind, reason }.
+ * The delay is the one Discord asked for, when it sent one. The kind is a short name for the metrics, and the reason a
+ * message, { key, params }, to record (see i18n.js).
+ */
+function classifyError(error) {
+    const status = error.status;
+    if (error.permanent) {
+        return { retry: false, kind: 'guild_unavailable', reason: { key: 'failures.guildLeft', params: {} } };
+    }
+    if (error.retryAfter !== undefined) {
+        return { retry: true, delay: error.retryAfter, kind: 'rate_limited', reason: { key: 'failures.rateLimited', params: {} } };
+    }
+    if (status === 429) {
+        const retryAfter = error.rawError && error.rawError.retry_after;
+        return {
+            retry: true, delay: retryAfter ? retryAfter * 1000 : null, kind: 'rate_limited', reason: { key: 'failures.rateLimited', params: {} }
+        };
+    }
+    if (status >= 500) {
+        return { retry: true, delay: null, kind: 'server_error', reason: { key: 'failures.serverError', params: { status } } };
+    }
+    if (status === 403) {
+        return { retry: false, kind: 'forbidden', reason: { key: 'failures.forbidden', params: {} } };
+    }
+    if (status === 404) {
+        return { retry: false, kind: 'not_found', reason: { key: 'failures.notFound', params: {} } };
+    }
+    if (status) {
+        return { retry: false, kind: 'rejected', reason: { key: 'failures.rejected', params: { status, error: error.message } } };
+    }
+    // Network errors have no status
+    return { retry: true, delay: null, kind: 'network_error', reason: { key: 'failures.network', params: { error: error.message } } };
+}
+
+/**
+ * Grants and then removes the given roles on a member, logging each change that was made.
+ * In dry-run mode, the intended changes are only logged and the member is left untouched.
+ */
+async function applyRoleChanges(member, rolesToAdd, rolesToRemove, dryRun) {
+    if (dryRun) {
+        if (rolesToAdd.length > 0) {
+            console.log(`[Dry run] Would grant roles: ${rolesToAdd.join(', ')} to ${member.displayName}`);
+        }
+        if (rolesToRemove.length > 0) {
+            console.log(`[Dry run] Would remove roles: ${rolesToRemove.join(', ')} from ${member.displayName}`);
+        }
+        return;
+    }
+
+    if (rolesToAdd.length > 0) {
+        await member.roles.add(rolesToAdd);
+        console.log(`Granted roles: ${rolesToAdd.join(', ')} to ${member.displayName}`);
+    }
+    if (rolesToRemove.length > 0) {
+        await member.roles.remove(rolesToRemove);
+        console.log(`Removed roles: ${rolesToRemove.join(', ')} from ${member.displayName}`);
+    }
+}
+
+/**
+ * Runs a job: fetches the member, drops the changes that no longer apply (roles already granted or removed in the
+ * meantime), applies the rest and records them. A job that would go past the guild's removal limit is put back and
+ * the guild is paused instead.
+ */
+async function runJob(job) {
+    const guild = client.guilds.cache.get(job.guildId);
+    if (!guild) {
+        const error = new Error('the bot is no longer in the guild');
+        error.permanent = true;
+        throw error;
+    }
+
+    const member = await guild.members.fetch(job.memberId);
+    const rolesToAdd = job.add.filter(roleId => !member.roles.cache.has(roleId));
+    const rolesToRemove = job.remove.filter(roleId => member.roles.cache.has(roleId));
+    if (rolesToAdd.length === 0 && rolesToRemove.length === 0) return;
+
+    const dryRun = isDryRun(job.guildId);
+    const exceededRoleId = dryRun ? null : findExceededRole(job.guildId, rolesToRemove);
+    if (exceededRoleId) {
+        const role = guild.roles.cache.get(exceededRoleId);
+        const { removals, minutes } = getRemovalLimit(job.guildId);
+        addJob(job, true);
+        pauseGuild(job.guildId, {
+            key: minutes === 1 ? 'alerts.removalLimitOneMinute' : 'alerts.removalLimit',
+            params: { role: role ? role.name : exceededRoleId, removals, minutes }
+        }, 'removal_limit');
+        return;
+    }
+
+    await applyRoleChanges(member, rolesToAdd, rolesToRemove, dryRun);
+    if (!dryRun) {
+        recordRemovals(job.guildId, rolesToRemove);
+        incrementCounter('role_grants_total', {}, rolesToAdd.length);
+        incrementCounter('role_removals_total', {}, rolesToRemove.length);
+    }
+    await recordRoleChange(member, rolesToRemove, rolesToAdd, job.reasons, dryRun);
+    if (!dryRun) await notifyRoleRemoval(member, rolesToRemove, job.reasons);
+}
+
+/**
+ * Handles a job that failed: schedules a retry with backoff, or gives the job up and records why.
+ */
+async function handleJobFailure(job, error) {
+    const { retry, delay, kind, reason } = classifyError(error);
+    job.attempts++;
+
+    if (retry && job.attempts < MAX_ATTEMPTS) {
+        incrementCounter('role_update_retries_total', { reason: kind });
+        const backoff = Math.min(RETRY_BASE_DELAY * 2 ** (job.attempts - 1), RETRY_MAX_DELAY);
+        job.notBefore = Date.now() + Math.max(delay || 0, backoff);
+        console.warn(`Role update for member ${job.memberId} in guild ${job.guildId} failed (${translateMessage(reason)}), `
+            + `retrying in ${Math.round((job.notBefore - Date.now()) / 1000)}s (attempt ${job.attempts} of ${MAX_ATTEMPTS}).`);
+        addJob(job, true);
+        return;
+    }
+
+    const failure = retry ? { key: 'failures.gaveUp', params: { attempts: job.attempts, reason } } : reason;
+    incrementCounter('role_update_failures_total', { reason: kind });
+    console.error(`Failed to update roles of member ${job.memberId} in guild ${job.guildId}: ${translateMessage(failure)}`);
+    const guild = client.guilds.cache.get(job.guildId) || null;
+    await recordFailedRoleChange(job.guildId, guild, job.memberId, job.remove, job.add, job.reasons, failure);
+
+    const member = guild && guild.members.cache.get(job.memberId);
+    reportDroppedGrants(job, job.add.filter(roleId => !(member && member.roles.cache.has(roleId))));
+}
+
+/**
+ * Emits 'grantsDropped' for the roles of a job that will not be granted.
+ */
+function reportDroppedGrants(job, roleIds = job.add) {
+    if (roleIds.length > 0) queueEvents.emit('grantsDropped', job.guildId, job.memberId, roleIds);
+}
+
+/**
+ * Processes queued role removal and grant jobs sequentially to ensure efficient management of API requests within Discord's rate limits.
+ * This function is designed to handle role update operations by queuing them and processing sequentially,
+ * preventing the bot from exceeding Discord's API rate limits and ensuring reliable operation under varying loads.
+ *
+ * Operation:
+ * 1. Checks if the queue has been started and is not already being processed. If it is, it exits to avoid concurrent
+ *    executions that could lead to errors or rate limit issues. A pending wake-up timer is cancelled, since the queue
+ *    is checked right away.
+ * 2. Sets the `isProcessingQueue` flag to true, indicating that the processing of the queue has started and is active.
+ * 3. Continuously processes the next job until no job is due:
+ *    a. Takes the next due job, taking turns between guilds and holding the jobs of paused guilds. If no job is due,
+ *       resets `isProcessingQueue` to false and, when jobs are waiting for a retry, sets a timer to resume once the
+ *       earliest of them is due.
+ *    b. Runs the job (or only logs it when the guild is in dry-run mode), recording the change in the audit channel and role history.
+ *    c. If the job fails, retries it later or gives it up, depending on the error (see handleJobFailure).
+ *    d. Uses `setTimeout` to ensure that there is a delay (JOB_INTERVAL, 50 jobs per second) before processing the next job.
+ *
+ * This method ensures that role updates are managed efficiently, maintaining consistent performance and adherence to Discord's operational constraints.
+ */
+function processQueue() {
+    if (!client || isProcessingQueue) return;
+    if (waitTimer) {
+        clearTimeout(waitTimer);
+        waitTimer = null;
+    }
+    isProcessingQueue = true;
+
+    (function processNext() {
+        const job = takeNextJob(Date.now());
+        if (!job) {
+            isProcessingQueue = false;
+            const dueTime = nextDueTime();
+            if (dueTime !== null) {
+                waitTimer = setTimeout(() => {
+                    waitTimer = null;
+                    processQueue();
+                }, Math.max(dueTime - Date.now(), JOB_INTERVAL));
+            }
+            return;
+        }
+
+        activeJob = job;
+        runJob(job)
+            .catch(error => handleJobFailure(job, error))
+            .catch(error => console.error('Failed to update roles:', error))
+            .finally(() => {
+                activeJob = null;
+                persistSoon();
+                setTimeout(processNext, JOB_INTERVAL);
+            });
+    })();
+}
+
+/**
+ * Starts applying queued jobs, once the client is ready. Jobs saved by a previous run are loaded first, ahead of any
+ * job queued since this process started.
+ *
+ * Parameters:
+ * - discordClient (Client): The logged-in client, used to fetch the guilds and members of queued jobs.
+ */
+function startQueue(discordClient) {
+    client = discordClient;
+
+    let saved = [];
+    try {
+        const queueFile = readJsonFile(QUEUE_FILE, { jobs: [] });
+        saved = queueFile.jobs;
+        Object.entries(queueFile.paused || {}).forEach(([guildId, pause]) => pausedGuilds.set(guildId, pause));
+    } catch (error) {
+        console.error('Failed to load the saved role update queue, starting with an empty queue:', error);
+    }
+
+    const queued = [...jobsByGuild.values()].flat();
+    jobsByGuild.clear();
+    [...saved, ...queued].forEach(job => {
+        nextJobId = Math.max(nextJobId, job.id + 1);
+        addJob(job);
+    });
+    if (saved.length > 0) {
+        console.log(`Loaded ${saved.length} saved role updates.`);
+    }
+    pausedGuilds.forEach((pause, guildId) => console.warn(`Role updates for guild ${guildId} are still paused: ${pause.reason}.`));
+    processQueue();
+}
+
+/**
+ * Adds a role update for a member to the queue and makes sure the queue is being processed.
+ *
+ * Parameters:
+ * - member (GuildMember): The member whose roles are changed.
+ * - rolesToRemove (array): Role IDs to remove from the member.
+ * - rolesToAdd (array): Role IDs to grant to the member.
+ * - reasons (object): Maps each removed role ID to the requirements that triggered its removal, for the audit log.
+ */
+function enqueueRoleUpdate(member, rolesToRemove = [], rolesToAdd = [], reasons = {}) {
+    enqueueMemberRoleUpdate(member.guild.id, member.id, rolesToRemove, rolesToAdd, reasons);
+}
+
+/**
+ * Same as enqueueRoleUpdate, for callers that only know the IDs of the guild and member, such as scheduled expiries.
+ */
+function enqueueMemberRoleUpdate(guildId, memberId, rolesToRemove = [], rolesToAdd = [], reasons = {}) {
+    if (rolesToRemove.length === 0 && rolesToAdd.length === 0) return;
+    addJob({
+        id: nextJobId++,
+        guildId,
+        memberId,
+        add: [...rolesToAdd],
+        remove: [...rolesToRemove],
+        reasons: { ...reasons },
+        attempts: 0,
+        notBefore: 0
+    });
+    processQueue();
+}
+
+/**
+ * Drops every pending job of a guild and lifts its pause, e.g. when the bot leaves it.
+ */
+function dropGuildJobs(guildId) {
+    const paused = pausedGuilds.delete(guildId);
+    if (jobsByGuild.delete(guildId) || paused) persistSoon();
+}
+
+/**
+ * Pauses a guild's role updates, holding its pending jobs, and alerts the guild's admins.
+ * Returns false when the guild was already paused.
+ *
+ * Parameters:
+ * - guildId (string): The guild to pause.
+ * - message (object): Why the guild is paused, shown to the admins, as { key, params } of a message in the catalogs,
+ *   e.g. { key: 'alerts.dependencyDeleted', params: { role: 'Booster', rules: 'VIP' } }.
+ * - kind (string): A short name for the reason, for the metrics.
+ */
+function pauseGuild(guildId, message, kind) {
+    if (pausedGuilds.has(guildId)) return false;
+    const reason = translateMessage(message);
+    pausedGuilds.set(guildId, { reason, message, time: new Date().toISOString() });
+    persistSoon();
+    incrementCounter('role_update_pauses_total', { reason: kind });
+    console.warn(`Paused role updates for guild ${guildId}: ${reason}.`);
+
+    const guild = client && client.guilds.cache.get(guildId);
+    if (guild) {
+        const t = getTranslator(guildId, guild.preferredLocale);
+        sendAlert(guild, t('alerts.pausedTitle'),
+            t('alerts.paused', { reason: describePause(pausedGuilds.get(guildId), t), count: getQueueLength(guildId) }));
+    }
+    return true;
+}
+
+/**
+ * Lifts a guild's pause and starts applying its held jobs, forgetting the removals counted so far so they do not
+ * pause the guild again right away. Returns false when the guild was not paused.
+ */
+function resumeGuild(guildId) {
+    if (!pausedGuilds.delete(guildId)) return false;
+    resetRemovals(guildId);
+    persistSoon();
+    console.log(`Resumed role updates for guild ${guildId}.`);
+    processQueue();
+    return true;
+}
+
+/**
+ * Drops the jobs held for a paused guild and lifts its pause. Returns the number of jobs dropped, or null when the
+ * guild was not paused.
+ */
+function discardHeldJobs(guildId) {
+    if (!pausedGuilds.has(guildId)) return null;
+    const jobs = jobsByGuild.get(guildId) || [];
+    const count = jobs.length;
+    jobsByGuild.delete(guildId);
+    resumeGuild(guildId);
+    jobs.forEach(job => reportDroppedGrants(job));
+    console.log(`Discarded ${count} held role updates for guild ${guildId}.`);
+    return count;
+}
+
+/**
+ * Returns { reason, message, time } for a paused guild, or null when its role updates are not paused.
+ */
+function getPauseState(guildId) {
+    return pausedGuilds.get(guildId) || null;
+}
+
+/**
+ * Describes why a guild was paused with the translator t.
+ */
+function describePause(pause, t = defaultTranslator) {
+    return translateMessage(pause.message, t);
+}
+
+/**
+ * Returns the number of role updates still waiting in the queue, optionally for a single guild.
+ */
+function getQueueLength(guildId) {
+    if (guildId) return (jobsByGuild.get(guildId) || []).length;
+    return [...jobsByGuild.values()].reduce((total, jobs) => total + jobs.length, 0);
+}
+
+module.exports = {
+    startQueue,
+    enqueueRoleUpdate,
+    enqueueMemberRoleUpdate,
+    processQueue,
+    dropGuildJobs,
+    getQueueLength,
+    pauseGuild,
+    resumeGuild,
+    discardHeldJobs,
+    getPauseState,
+    describePause,
+    queueEvents,
+    saveQueue: persistNow
+};
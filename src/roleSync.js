@@ -0,0 +1,123 @@
+/**
+ * This module keeps a guild's stored rules in line with its roles, so the rules do not silently keep referring to
+ * roles that were deleted or names that were changed.
+ *
+ * - disableRulesOfDeletedRoles disables every enabled rule whose managed role, or one of whose dependencies, no longer
+ *   exists, and stores why in the rule's "disabledReason". Enforcing such a rule would take the role from everyone,
+ *   since nobody can hold a deleted role. The rule is kept, so an admin can fix it with '/editrole' and enable it
+ *   again. It runs when a role is deleted, and when a guild is set up, to catch roles deleted while the bot was offline.
+ *   '/editrole toggle' uses findMissingRoles to refuse enabling a rule that still refers to a deleted role.
+ * - syncRoleName updates the stored "roleName" of the rules for a renamed role. Rules given a name of their own
+ *   with '/editrole rename' keep it.
+ *
+ * Both save their change as a new version of the rules (see storage/ruleVersions.js) and send the admins a notice
+ * listing the affected rules (see sendAlert in auditLog.js). Errors are logged rather than thrown, since they run from
+ * event handlers.
+ *
+ * The notices are written in the guild's language (see i18n.js). The "disabledReason" stored with a rule and the
+ * descriptions of the versions are stored as messages, { key, params }, and translated when they are shown.
+ */
+const { RoleManager } = require('./roleManager');
+const { storage } = require('./storage');
+const { sendAlert } = require('./auditLog');
+const { getTranslator, translateMessage } = require('./i18n');
+
+/**
+ * Returns the IDs of the roles a rule entry refers to, the managed role first.
+ */
+function referencedRoleIds(entry) {
+    try {
+        return [entry.roleId, ...RoleManager.fromConfig(entry).removalDependencies];
+    } catch (error) {
+        return [entry.roleId]; // Invalid rules are reported when they are loaded
+    }
+}
+
+/**
+ * Returns the IDs of the roles a rule entry refers to that no longer exist in the guild, the managed role first.
+ */
+function findMissingRoles(guild, entry) {
+    return referencedRoleIds(entry).filter(roleId => !guild.roles.cache.has(roleId));
+}
+
+/**
+ * Disables the guild's rules that refer to roles which no longer exist.
+ *
+ * Parameters:
+ * - guild (Guild): The guild whose rules are checked against its roles.
+ * - deletedRole (Role, optional): The role that was just deleted, used to name it in the notice.
+ *
+ * Resolves to the names of the rules that were disabled.
+ */
+async function disableRulesOfDeletedRoles(guild, deletedRole = null) {
+    const describeRole = roleId => (deletedRole && deletedRole.id === roleId ? `${deletedRole.name} (${roleId})` : roleId);
+    let affected = [];
+
+    try {
+        await storage.updateRules(guild.id, entries => {
+            affected = [];
+            const updated = entries.map(entry => {
+                const missing = findMissingRoles(guild, entry);
+                if (entry.enabled === false || missing.length === 0) return entry;
+
+                const reason = missing[0] === entry.roleId
+                    ? { key: 'alerts.roleDeleted', params: { role: describeRole(entry.roleId) } }
+                    : { key: 'alerts.dependenciesDeleted', params: { roles: missing.map(describeRole).join(', ') } };
+                affected.push({ name: entry.roleName || entry.roleId, reason });
+                return { ...entry, enabled: false, disabledReason: reason };
+            });
+            return affected.length > 0 ? updated : null;
+        }, { description: { key: 'versions.disabledDeletedRoles', params: {} } });
+    } catch (error) {
+        console.error(`Failed to disable the rules referring to deleted roles in guild ${guild.id}:`, error);
+        return [];
+    }
+
+    if (affected.length > 0) {
+        console.warn(`Disabled ${affected.length} rules referring to deleted roles in guild ${guild.id}.`);
+        const t = getTranslator(guild.id, guild.preferredLocale);
+        await sendAlert(guild, t('alerts.rulesDisabledTitle'), t('alerts.rulesDisabled', {
+            rules: affected.map(({ name, reason }) => `- ${name}: ${translateMessage(reason, t)}`).join('\n')
+        }));
+    }
+    return affected.map(({ name }) => name);
+}
+
+/**
+ * Updates the stored name of the rules for a role that was renamed, when they still carry the old name.
+ *
+ * Parameters:
+ * - oldRole (Role): The role before the update.
+ * - newRole (Role): The role after the update.
+ *
+ * Resolves to the number of rules renamed.
+ */
+async function syncRoleName(oldRole, newRole) {
+    if (oldRole.name === newRole.name) return 0;
+    let renamed = 0;
+
+    try {
+        await storage.updateRules(newRole.guild.id, entries => {
+            renamed = 0;
+            const updated = entries.map(entry => {
+                if (entry.roleId !== newRole.id || entry.roleName !== oldRole.name) return entry;
+                renamed++;
+                return { ...entry, roleName: newRole.name };
+            });
+            return renamed > 0 ? updated : null;
+        }, { description: { key: 'versions.roleRenamed', params: { oldName: oldRole.name, newName: newRole.name } } });
+    } catch (error) {
+        console.error(`Failed to rename the rules of role ${newRole.id} in guild ${newRole.guild.id}:`, error);
+        return 0;
+    }
+
+    if (renamed > 0) {
+        const t = getTranslator(newRole.guild.id, newRole.guild.preferredLocale);
+        await sendAlert(newRole.guild, t('alerts.rulesRenamedTitle'), t(renamed === 1 ? 'alerts.ruleRenamed' : 'alerts.rulesRenamed', {
+            oldName: oldRole.name, newName: newRole.name, count: renamed
+        }));
+    }
+    return renamed;
+}
+
+module.exports = { disableRulesOfDeletedRoles, syncRoleName, findMissingRoles };
@@ -0,0 +1,100 @@
+/**
+ * This module validates the roles used in rules against a guild, so every way of editing rules applies the same checks.
+ *
+ * Exports:
+ * - parseRoleIds(input): Turns a list of role IDs or role mentions separated by spaces and/or commas into an array of IDs.
+ * - validateManagedRole(guild, roleId): Checks that the bot can manage a role.
+ * - validateDependencyRoles(guild, roleIds): Checks that dependency roles exist in the guild.
+ * - validateRuleSetForGuild(guild, entries): Applies all of the above, plus the rule schema and the cycle check, to a
+ *   whole rule set, as done for rule sets written through the admin API.
+ *
+ * The checks describe problems for the user who ran a command, so they take an optional translator as their last
+ * parameter (see i18n.js) and describe them in English without one.
+ */
+const { validateRuleSet } = require('./ruleSchema');
+const { buildRules } = require('./ruleLoader');
+const { defaultTranslator } = require('./i18n');
+
+const ROLE_TOKEN_PATTERN = /^(?:<@&(\d{17,20})>|(\d{17,20}))$/;
+
+/**
+ * Parses a list of role IDs or role mentions (e.g. "123..., <@&456...> 789...") into an array of unique role IDs.
+ * Throws an Error naming the first entry that is neither a role ID nor a role mention.
+ */
+function parseRoleIds(input, t = defaultTranslator) {
+    const roleIds = [];
+    input.split(/[\s,]+/).filter(Boolean).forEach(token => {
+        const match = token.match(ROLE_TOKEN_PATTERN);
+        if (!match) {
+            throw new Error(t('validation.notRoleId', { token }));
+        }
+        const roleId = match[1] || match[2];
+        if (!roleIds.includes(roleId)) roleIds.push(roleId);
+    });
+    return roleIds;
+}
+
+/**
+ * Checks that a role can be managed by the bot: it must exist in the guild, must not be @everyone, must not be
+ * managed by an integration (such as a bot or booster role), and must sit below the bot's highest role.
+ *
+ * Returns a description of the problem, or null when the role is fine.
+ */
+function validateManagedRole(guild, roleId, t = defaultTranslator) {
+    const role = guild.roles.cache.get(roleId);
+    if (!role) return t('validation.roleMissing', { roleId });
+    if (role.id === guild.id) return t('validation.everyone');
+    if (role.managed) return t('validation.integrationRole', { role: role.name });
+
+    const botHighestRole = guild.members.me.roles.highest;
+    if (role.comparePositionTo(botHighestRole) >= 0) {
+        return t('validation.aboveBot', { role: role.name, botRole: botHighestRole.name });
+    }
+    return null;
+}
+
+/**
+ * Checks that every dependency role exists in the guild. Managed roles, such as the booster role, are allowed here
+ * since the bot only needs to read them.
+ *
+ * Returns a description of the problem, or null when all roles exist.
+ */
+function validateDependencyRoles(guild, roleIds, t = defaultTranslator) {
+    if (roleIds.length === 0) return t('validation.noDependencies');
+
+    const unknown = roleIds.filter(roleId => !guild.roles.cache.has(roleId));
+    if (unknown.length > 0) return t('validation.unknownDependencies', { roles: unknown.join(', ') });
+    return null;
+}
+
+/**
+ * Validates a complete rule set for a guild: the entries must match the rule schema, must not depend on each other in
+ * a cycle, every managed role must be one the bot can manage, and every role a condition refers to must exist.
+ *
+ * Returns the list of problems found; an empty list means the rule set can be saved.
+ */
+function validateRuleSetForGuild(guild, entries) {
+    const problems = validateRuleSet(entries);
+    if (problems.length > 0) return problems;
+
+    let rules;
+    try {
+        rules = buildRules(entries);
+    } catch (error) {
+        return [error.message];
+    }
+
+    const managedRoleIds = [...new Set(rules.map(rule => rule.roleId))];
+    const referencedRoleIds = [...new Set(rules.flatMap(rule => rule.removalDependencies))];
+    managedRoleIds.forEach(roleId => {
+        const problem = validateManagedRole(guild, roleId);
+        if (problem) problems.push(problem);
+    });
+    if (referencedRoleIds.length > 0) {
+        const problem = validateDependencyRoles(guild, referencedRoleIds);
+        if (problem) problems.push(problem);
+    }
+    return problems;
+}
+
+module.exports = { parseRoleIds, validateManagedRole, validateDependencyRoles, validateRuleSetForGuild };
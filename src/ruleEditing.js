@@ -0,0 +1,77 @@
+/**
+ * This module holds the edits that can be made to the entries of a roles file. The functions work on plain entry
+ * objects ({ roleId, roleName, dependencies, condition, mode, enabled }) and return new entries, leaving the
+ * originals untouched, so callers can validate the result before saving it.
+ *
+ * Entries either list plain "dependencies" or carry a "condition" tree (see roleManager.js). Dependencies can be added
+ * to both kinds; removing a dependency is only possible where the role appears in the top-level list of required roles.
+ */
+const { defaultTranslator } = require('./i18n');
+
+/**
+ * Returns the entry's requirements as a list of conditions that must all hold.
+ */
+function requiredParts(entry) {
+    if (!entry.condition) return [...(entry.dependencies || [])];
+    return entry.condition.all ? [...entry.condition.all] : [entry.condition];
+}
+
+/**
+ * Builds an entry from a list of required parts, keeping the plain "dependencies" format whenever every part is a role ID.
+ */
+function withRequiredParts(entry, parts) {
+    const { dependencies, condition, ...rest } = entry;
+    if (parts.every(part => typeof part === 'string')) {
+        return { ...rest, dependencies: parts };
+    }
+    return { ...rest, condition: parts.length === 1 ? parts[0] : { all: parts } };
+}
+
+/**
+ * Returns a copy of the entry that also requires the given role IDs. Roles already required are not added twice.
+ */
+function addDependencies(entry, roleIds) {
+    const parts = requiredParts(entry);
+    roleIds.forEach(roleId => {
+        if (!parts.includes(roleId)) parts.push(roleId);
+    });
+    return withRequiredParts(entry, parts);
+}
+
+/**
+ * Returns a copy of the entry that no longer requires the given role IDs.
+ * Throws an Error when one of the roles is not a top-level requirement of the entry, or when no requirement would be left,
+ * with a message from the optional translator (see i18n.js).
+ */
+function removeDependencies(entry, roleIds, t = defaultTranslator) {
+    const parts = requiredParts(entry);
+    const missing = roleIds.filter(roleId => !parts.includes(roleId));
+    if (missing.length > 0) {
+        throw new Error(t('validation.notDirectlyRequired', { roles: missing.join(', ') }));
+    }
+
+    const remaining = parts.filter(part => !roleIds.includes(part));
+    if (remaining.length === 0) {
+        throw new Error(t('validation.noDependenciesLeft'));
+    }
+    return withRequiredParts(entry, remaining);
+}
+
+/**
+ * Merges several entries for the same role into one that requires everything any of them required.
+ * The name, mode and enabled state are taken from the last entry.
+ */
+function mergeEntries(entries) {
+    const last = entries[entries.length - 1];
+    return entries.slice(0, -1).reduce(
+        (merged, entry) => requiredParts(entry).reduce(
+            (result, part) => typeof part === 'string'
+                ? addDependencies(result, [part])
+                : withRequiredParts(result, [...requiredParts(result), part]),
+            merged
+        ),
+        last
+    );
+}
+
+module.exports = { addDependencies, removeDependencies, mergeEntries };
@@ -0,0 +1,167 @@
+/**
+ * This module loads each guild's rules from the storage backend into the rule registry and keeps them up to date.
+ *
+ * Lifecycle:
+ * - Every guild the bot is in is loaded eagerly when the bot becomes ready and when it joins a guild.
+ * - Changes reported by the storage backend, including roles files created or edited by hand, schedule a debounced
+ *   reload of the affected guild.
+ * - When the bot leaves a guild, its rules and any pending reload are dropped.
+ * - A stored rule set that fails validation is never loaded. The guild keeps running on its last good rules, and the
+ *   error is logged and recorded in the rule registry so commands can report it.
+ *
+ * Constants and variables:
+ *
+ * - CONFIG_RELOAD_DEBOUNCE (number): The amount of time, in milliseconds (2000ms), set to delay the reloading of
+ *   configurations to avoid excessive reloads during rapid, consecutive file changes.
+ *
+ * - lastKnownContent (object): A map that stores the last known content of the stored roles configuration for each guild.
+ *   It's checked against the current content to determine if a reload of role configurations is necessary.
+ *
+ * - configReloadTimer (object): A map of timers, each holding a reference to the current timeout for config reloading for a guild.
+ *   This structure allows for the cancellation of the reload timer if a new change is detected before the timer expires.
+ */
+const { RoleManager } = require('./roleManager');
+const { sortByDependencies } = require('./dependencyGraph');
+const { normalizeRuleSet, validateRuleSet } = require('./ruleSchema');
+const { getRules, setRules, deleteRules, setLoadError } = require('./ruleRegistry');
+const { storage } = require('./storage');
+const { incrementCounter } = require('./metrics');
+
+const CONFIG_RELOAD_DEBOUNCE = 2000; // 2 seconds for config reload
+const lastKnownContent = {};
+const configReloadTimer = {};
+
+/**
+ * Builds the ordered RoleManager instances for a stored rule set, throwing an Error that lists every problem found.
+ */
+function buildRules(entries) {
+    const normalized = normalizeRuleSet(entries);
+    const problems = validateRuleSet(normalized);
+    if (problems.length > 0) {
+        throw new Error(problems.join(' '));
+    }
+    return sortByDependencies(normalized.map(entry => RoleManager.fromConfig(entry)));
+}
+
+/**
+ * Loads and updates the roles configuration of a guild from the configured storage backend.
+ * This function is tailored to manage role configurations for individual guilds, whether they are stored in
+ * separate files named 'roles_{guildId}.json' or in a SQLite database. It ensures the bot's role management
+ * settings are consistent with the latest configurations.
+ *
+ * Parameters:
+ * - guildId (string): The unique identifier for the guild whose roles configuration is being loaded.
+ * - checkContent (boolean): Indicates whether to check for updates in the guild's stored rules before reloading.
+ *   When set to true, the function reloads roles only if the rules have changed since the last known state.
+ *
+ * Process:
+ * 1. Reads the guild's rules from storage. If the guild has no stored rules (e.g. its roles file was deleted), its
+ *   loaded rules are cleared. If reading fails, for example because a roles file is not valid JSON, the error is
+ *   logged and recorded and the current role configuration is kept.
+ * 2. Serializes the rules and checks if they have changed from the last known content (if checkContent is true).
+ *   This check helps prevent unnecessary reprocessing of role data, optimizing performance.
+ * 3. If the content is new or checkContent is false, validates the rules against the rule schema, transforms the
+ *   entries into instances of RoleManager and orders them by their dependencies on each other so cascades can be
+ *   resolved in one pass. If validation fails, an entry carries an invalid condition tree, or the rules depend on each
+ *   other in a cycle, the error is logged and recorded and the previous configuration is kept.
+ * 4. Logs the outcome of the reload operation and clears any recorded load error.
+ *
+ * Returns a promise resolving to true when new rules were applied, so the caller can sweep the guild's members.
+ */
+async function loadRoles(guildId, checkContent = false) {
+    let entries;
+    try {
+        entries = await storage.readRules(guildId);
+    } catch (error) {
+        console.error(`Error reading the roles of guild ${guildId}, keeping the previous rules:`, error.message);
+        setLoadError(guildId, error.message);
+        incrementCounter('rule_reload_errors_total', { guild_id: guildId });
+        return false;
+    }
+
+    if (!entries) {
+        delete lastKnownContent[guildId];
+        setLoadError(guildId, null);
+        if (getRules(guildId).length > 0) {
+            setRules(guildId, []);
+            console.log(`Roles of guild ${guildId} were removed from storage, no rules are enforced anymore.`);
+        }
+        return false;
+    }
+
+    const currentContent = JSON.stringify(entries);
+    if (checkContent && currentContent === lastKnownContent[guildId]) {
+        return false;
+    }
+
+    try {
+        setRules(guildId, buildRules(entries));
+    } catch (error) {
+        console.error(`Invalid roles configuration for guild ${guildId}, keeping the previous rules:`, error.message);
+        setLoadError(guildId, error.message);
+        incrementCounter('rule_reload_errors_total', { guild_id: guildId });
+        return false;
+    }
+
+    lastKnownContent[guildId] = currentContent;
+    setLoadError(guildId, null);
+    console.log(`Roles configuration for guild ${guildId} reloaded successfully.`);
+    return true;
+}
+
+/**
+ * Debounces the reloading of role configurations for a specific guild to prevent frequent reloads in quick succession.
+ * This function ensures that reloading of the roles is delayed and only happens once per specified interval,
+ * which helps to avoid unnecessary processing and potential performance issues during rapid consecutive changes
+ * to the guild-specific roles configuration file.
+ *
+ * Parameters:
+ * - guildId (string): The unique identifier for the guild whose roles configuration is being managed.
+ * - onReloaded (function, optional): Called with the guild ID when the reload applied new rules.
+ *
+ * Uses `setTimeout` to delay the role reloading process by a duration defined in `CONFIG_RELOAD_DEBOUNCE`.
+ * If called multiple times within the debounce interval, only the last call will trigger the reloading after
+ * the interval expires, as previous timeouts are cleared with `clearTimeout`. This mechanism ensures that the
+ * role configurations are reloaded effectively without overwhelming the server with frequent file read operations.
+ */
+function debounceReloadConfig(guildId, onReloaded) {
+    if (configReloadTimer[guildId]) {
+        clearTimeout(configReloadTimer[guildId]);
+    }
+    configReloadTimer[guildId] = setTimeout(async () => {
+        delete configReloadTimer[guildId];
+        if (await loadRoles(guildId, true) && onReloaded) onReloaded(guildId);
+    }, CONFIG_RELOAD_DEBOUNCE);
+}
+
+/**
+ * Subscribes to rule changes reported by the storage backend, whether they were made through commands or by creating
+ * or editing a roles file by hand, and schedules a debounced reload of the affected guild.
+ *
+ * Parameters:
+ * - isGuildActive (function): Returns true for guilds the bot is in. Changes for other guilds are ignored.
+ * - onReloaded (function): Called with the guild ID whenever a reload applied new rules.
+ */
+function watchRuleChanges(isGuildActive, onReloaded) {
+    storage.on('change', guildId => {
+        if (!isGuildActive(guildId)) return;
+        console.log(`Detected change in the roles of guild ${guildId}, scheduling reload...`);
+        debounceReloadConfig(guildId, onReloaded);
+    });
+    storage.watch();
+}
+
+/**
+ * Drops everything kept for a guild: its loaded rules, load error, last known content and pending reload.
+ */
+function unloadGuild(guildId) {
+    if (configReloadTimer[guildId]) {
+        clearTimeout(configReloadTimer[guildId]);
+        delete configReloadTimer[guildId];
+    }
+    delete lastKnownContent[guildId];
+    deleteRules(guildId);
+    console.log(`Unloaded the roles of guild ${guildId}.`);
+}
+
+module.exports = { loadRoles, debounceReloadConfig, watchRuleChanges, unloadGuild, buildRules };
@@ -0,0 +1,62 @@
+/**
+ * This module keeps the rules currently loaded for each guild, so the event handlers, reconciliation sweeps and
+ * commands all work from the same rule set.
+ *
+ * - roles (object): An object that holds the current configurations of roles as instances of the RoleManager class for each guild,
+ *   ordered so that every rule comes after the managed roles it depends on. This object is updated whenever the roles
+ *   configuration file for a guild is reloaded.
+ *
+ * - loadErrors (object): The error that kept the latest stored rules of a guild from loading, if any. While an error is
+ *   recorded, the guild keeps running on its last good rules.
+ */
+const roles = {};
+const loadErrors = {};
+
+/**
+ * Returns the loaded rules for a guild, or an empty array when none are loaded.
+ */
+function getRules(guildId) {
+    return roles[guildId] || [];
+}
+
+/**
+ * Replaces the loaded rules for a guild.
+ */
+function setRules(guildId, rules) {
+    roles[guildId] = rules;
+}
+
+/**
+ * Forgets the loaded rules and any load error of a guild, e.g. when the bot leaves it.
+ */
+function deleteRules(guildId) {
+    delete roles[guildId];
+    delete loadErrors[guildId];
+}
+
+/**
+ * Records why the stored rules of a guild could not be loaded, or clears the record when given null.
+ */
+function setLoadError(guildId, message) {
+    if (message) {
+        loadErrors[guildId] = { message, time: new Date().toISOString() };
+    } else {
+        delete loadErrors[guildId];
+    }
+}
+
+/**
+ * Returns the recorded load error of a guild as { message, time }, or null when its latest rules loaded fine.
+ */
+function getLoadError(guildId) {
+    return loadErrors[guildId] || null;
+}
+
+/**
+ * Returns the IDs of every guild that currently has rules loaded.
+ */
+function getLoadedGuildIds() {
+    return Object.keys(roles);
+}
+
+module.exports = { getRules, setRules, deleteRules, setLoadError, getLoadError, getLoadedGuildIds };
@@ -0,0 +1,113 @@
+/**
+ * This module guards rule edits made with commands, so a mistaken edit does not silently take roles away from a
+ * large part of a guild.
+ *
+ * Before an edit is saved, reviewRuleChange works out what it would do and asks the user to confirm with buttons when:
+ * - the edit is destructive: it removes rules or puts back an older rule set ('/removerole', '/rules rollback'), or
+ * - a quick simulation shows the edit would remove roles from more members than the guild's "confirmThreshold" in
+ *   'config.json', DEFAULT_CONFIRM_THRESHOLD by default.
+ *
+ * The simulation only evaluates the members the bot has cached, which after the startup sweep is every member, so it
+ * does not need to fetch anyone. It counts the roles the edit itself would remove: roles the current rules would
+ * already remove are left out.
+ *
+ * - DEFAULT_CONFIRM_THRESHOLD (number): The number of members an edit may take roles from without asking.
+ */
+const { getGuildConfig } = require('./config');
+const { buildRules } = require('./ruleLoader');
+const { resolveRoleChanges } = require('./dependencyGraph');
+const { diffRuleSets } = require('./ruleTemplates');
+const { confirmAction } = require('./prompts');
+const { joinWithinLength } = require('./pagination');
+const { defaultTranslator, translatorFor } = require('./i18n');
+
+const DEFAULT_CONFIRM_THRESHOLD = 10;
+const MAX_DIFF_LENGTH = 1200;
+
+/**
+ * Returns the number of members a guild's rule edits may take roles from before they need confirmation.
+ */
+function getConfirmThreshold(guildId) {
+    const threshold = getGuildConfig(guildId).confirmThreshold;
+    return Number.isInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_CONFIRM_THRESHOLD;
+}
+
+/**
+ * Simulates replacing a guild's rules, without changing anyone's roles.
+ *
+ * Parameters:
+ * - guild (Guild): The guild whose cached members are evaluated.
+ * - before (array): The rule entries in place now.
+ * - after (array): The rule entries after the edit. They must be valid.
+ *
+ * Returns { membersChecked, membersAffected, rolesRemoved }, counting only the removals caused by the edit.
+ */
+function simulateRuleChange(guild, before, after) {
+    let rulesBefore;
+    try {
+        rulesBefore = buildRules(before);
+    } catch (error) {
+        rulesBefore = []; // The current rules are broken, so every removal is caused by the edit
+    }
+    const rulesAfter = buildRules(after);
+
+    const summary = { membersChecked: 0, membersAffected: 0, rolesRemoved: 0 };
+    guild.members.cache.forEach(member => {
+        if (member.user && member.user.bot) return;
+        summary.membersChecked++;
+
+        const removedBefore = resolveRoleChanges(rulesBefore, null, member.roles.cache).rolesToRemove;
+        const removed = resolveRoleChanges(rulesAfter, null, member.roles.cache).rolesToRemove
+            .filter(roleId => !removedBefore.includes(roleId));
+        if (removed.length > 0) {
+            summary.membersAffected++;
+            summary.rolesRemoved += removed.length;
+        }
+    });
+    return summary;
+}
+
+/**
+ * Describes the outcome of simulateRuleChange in one sentence, in English or with the given translator (see i18n.js).
+ */
+function describeImpact({ membersChecked, membersAffected, rolesRemoved }, t = defaultTranslator) {
+    if (membersAffected === 0) return t('ruleSafety.noImpact', { checked: membersChecked });
+    return t('ruleSafety.impact', { affected: membersAffected, checked: membersChecked, roles: rolesRemoved });
+}
+
+/**
+ * Asks the user who ran a command to confirm a rule edit when it is destructive or would remove roles from more
+ * members than the guild's threshold. The question shows the edit rule by rule and its simulated impact.
+ *
+ * Parameters:
+ * - interaction (CommandInteraction): The interaction to reply to. It may already be deferred or replied to.
+ * - change (object):
+ *   - before (array): The rule entries in place now.
+ *   - after (array): The rule entries the edit would save. They must be valid.
+ *   - summary (string): What the edit does, e.g. "Removing the rule for VIP", in the language of the interaction.
+ *   - destructive (boolean, optional): Always ask, whatever the simulated impact.
+ *
+ * Returns true when the edit may be saved. When the user cancels or does not answer in time, the reply is edited to
+ * say nothing was changed and false is returned. The question and replies follow the language of the interaction.
+ */
+async function reviewRuleChange(interaction, { before, after, summary, destructive = false }) {
+    const guild = interaction.guild;
+    const impact = simulateRuleChange(guild, before, after);
+    const threshold = getConfirmThreshold(guild.id);
+    if (!destructive && impact.membersAffected <= threshold) return true;
+
+    const t = translatorFor(interaction);
+    const changes = diffRuleSets(guild, before, after, t);
+    const reason = destructive ? '' : ` ${t('ruleSafety.overThreshold', { threshold })}`;
+    const question = [
+        t('ruleSafety.changes', { summary }),
+        `\`\`\`diff\n${joinWithinLength(changes, MAX_DIFF_LENGTH, t) || t('ruleSafety.noRuleChanges')}\n\`\`\``,
+        `${describeImpact(impact, t)}${reason}`
+    ].join('\n');
+
+    if (await confirmAction(interaction, question)) return true;
+    await interaction.editReply({ content: t('ruleSafety.cancelled', { summary }), components: [] });
+    return false;
+}
+
+module.exports = { simulateRuleChange, describeImpact, reviewRuleChange, getConfirmThreshold };
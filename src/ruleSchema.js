@@ -0,0 +1,99 @@
+/**
+ * This module validates the shape of a guild's rule set before it is loaded, so a malformed roles file is reported
+ * with a readable error instead of failing somewhere inside the bot.
+ *
+ * A rule set is an array of entries. Each entry is an object with:
+ * - roleId (string, required): The ID of the managed role, a Discord snowflake.
+ * - roleName (string, optional): A name for the rule, shown in commands and logs.
+ * - dependencies (array of role IDs, optional): Roles the member must all hold to keep the role.
+ * - condition (condition tree, optional): Used instead of "dependencies"; see roleManager.js.
+ * - mode (string, optional): "remove", "grant" or "sync".
+ * - enabled (boolean, optional): Whether the rule is enforced.
+ * - disabledReason (object, optional): Why the bot disabled the rule, e.g. because a role it refers to was deleted,
+ *   as a message { key, params } (see i18n.js and roleSync.js). Cleared when the rule is enabled again with
+ *   '/editrole toggle'.
+ * - maxLifetime (string, optional): How long members keep the role after it was granted, e.g. "30d"; see duration.js.
+ *
+ * Unknown keys are rejected, so a typo such as "dependancies" is reported instead of silently ignored.
+ *
+ * Older versions of '/addrole' split dependencies on commas only, so files written by them can hold several
+ * space-separated IDs in one string (e.g. "123... 456..."). normalizeRuleSet splits such strings before validation.
+ */
+const { ROLE_MODES, SNOWFLAKE_PATTERN, validateCondition } = require('./roleManager');
+const { parseDuration } = require('./duration');
+
+const ENTRY_KEYS = ['roleId', 'roleName', 'dependencies', 'condition', 'mode', 'enabled', 'disabledReason', 'maxLifetime'];
+
+/**
+ * Collects the problems found in a single rule entry.
+ */
+function validateEntry(entry, location) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return [`${location} must be an object.`];
+    }
+
+    const problems = [];
+    const unknownKeys = Object.keys(entry).filter(key => !ENTRY_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        problems.push(`${location} has unknown keys: ${unknownKeys.join(', ')}.`);
+    }
+
+    if (typeof entry.roleId !== 'string' || !SNOWFLAKE_PATTERN.test(entry.roleId)) {
+        problems.push(`${location}.roleId must be a role ID.`);
+    }
+    if (entry.roleName !== undefined && typeof entry.roleName !== 'string') {
+        problems.push(`${location}.roleName must be a string.`);
+    }
+    if (entry.dependencies !== undefined) {
+        if (!Array.isArray(entry.dependencies) || entry.dependencies.some(id => typeof id !== 'string' || !SNOWFLAKE_PATTERN.test(id))) {
+            problems.push(`${location}.dependencies must be an array of role IDs.`);
+        }
+    }
+    if (entry.condition !== undefined) {
+        try {
+            validateCondition(entry.condition, `${location}.condition`);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+    if (entry.mode !== undefined && !ROLE_MODES.includes(entry.mode)) {
+        problems.push(`${location}.mode must be one of ${ROLE_MODES.join(', ')}.`);
+    }
+    if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+        problems.push(`${location}.enabled must be true or false.`);
+    }
+    if (entry.disabledReason !== undefined && !(entry.disabledReason && typeof entry.disabledReason.key === 'string')) {
+        problems.push(`${location}.disabledReason must be a message with a key.`);
+    }
+    if (entry.maxLifetime !== undefined) {
+        try {
+            parseDuration(entry.maxLifetime);
+        } catch (error) {
+            problems.push(`${location}.maxLifetime: ${error.message}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Returns a copy of the rule set in which dependency strings holding several role IDs are split into separate IDs.
+ * Anything that is not shaped like a rule set is returned unchanged, for validateRuleSet to report.
+ */
+function normalizeRuleSet(entries) {
+    if (!Array.isArray(entries)) return entries;
+    return entries.map(entry => {
+        if (!entry || !Array.isArray(entry.dependencies)) return entry;
+        const dependencies = entry.dependencies.flatMap(id => (typeof id === 'string' ? id.split(/[\s,]+/).filter(Boolean) : [id]));
+        return { ...entry, dependencies };
+    });
+}
+
+/**
+ * Validates a rule set, returning the list of problems found. An empty list means the rule set is valid.
+ */
+function validateRuleSet(entries) {
+    if (!Array.isArray(entries)) return ['The rules must be an array of rule entries.'];
+    return entries.flatMap((entry, index) => validateEntry(entry, `Rule ${index + 1}`));
+}
+
+module.exports = { normalizeRuleSet, validateRuleSet };
@@ -0,0 +1,188 @@
+/**
+ * This module converts a guild's rules to and from a portable template, so the same setup can be copied between
+ * guilds whose roles have the same names but different IDs.
+ *
+ * A template looks like:
+ *   {
+ *     "format": "role-rules-template", "version": 1,
+ *     "exportedFrom": "My Server", "exportedAt": "2024-04-12T10:00:00.000Z",
+ *     "rules": [{ "role": "Tier 3 Verified", "roleName": "Tier 3 Verified", "dependencies": ["Booster", "Member"], "mode": "sync" }]
+ *   }
+ *
+ * Each rule is a rule entry (see ruleSchema.js) in which "roleId" is replaced by "role" and every role ID, in
+ * "dependencies" or in a "condition" tree, is replaced by the role's name. Roles that no longer exist in the exported
+ * guild are kept by ID.
+ *
+ * On import, each reference is resolved against the target guild: a role ID that exists there is used as is;
+ * otherwise the role with exactly that name is used, falling back to a case-insensitive match. A name matching no
+ * role, or several roles, can not be resolved. Rules with unresolved references are not imported, and are reported.
+ *
+ * The problems found on import and the descriptions of rule changes are written with an optional translator, so they
+ * can be shown in the language of the reply (see i18n.js).
+ */
+const { RoleManager, formatCondition } = require('./roleManager');
+const { defaultTranslator } = require('./i18n');
+
+const TEMPLATE_FORMAT = 'role-rules-template';
+const TEMPLATE_VERSION = 1;
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+/**
+ * Returns a copy of a condition tree with every role reference passed through `mapReference`.
+ */
+function mapCondition(condition, mapReference) {
+    if (typeof condition === 'string') return mapReference(condition);
+    if (condition.not !== undefined) return { not: mapCondition(condition.not, mapReference) };
+    const [operator] = Object.keys(condition);
+    return { [operator]: condition[operator].map(child => mapCondition(child, mapReference)) };
+}
+
+/**
+ * Returns a copy of a rule entry with the role, its dependencies and its condition passed through `mapReference`.
+ * `roleKey` and `targetKey` name the key holding the managed role before and after ("roleId" or "role").
+ */
+function mapEntry(entry, mapReference, roleKey, targetKey) {
+    const { [roleKey]: managedRole, dependencies, condition, ...rest } = entry;
+    const mapped = { [targetKey]: mapReference(managedRole), ...rest };
+    if (dependencies) mapped.dependencies = dependencies.map(mapReference);
+    if (condition) mapped.condition = mapCondition(condition, mapReference);
+    return mapped;
+}
+
+/**
+ * Builds a template from the stored rule entries of a guild.
+ *
+ * Returns { template, missing }, where missing lists the IDs of referenced roles that no longer exist in the guild
+ * and were therefore exported by ID.
+ */
+function exportTemplate(guild, entries) {
+    const missing = new Set();
+    const toName = roleId => {
+        const role = guild.roles.cache.get(roleId);
+        if (role) return role.name;
+        missing.add(roleId);
+        return roleId;
+    };
+
+    const template = {
+        format: TEMPLATE_FORMAT,
+        version: TEMPLATE_VERSION,
+        exportedFrom: guild.name,
+        exportedAt: new Date().toISOString(),
+        rules: entries.map(entry => mapEntry(entry, toName, 'roleId', 'role'))
+    };
+    return { template, missing: [...missing] };
+}
+
+/**
+ * Resolves a role reference from a template to a role ID of the guild, returning { roleId } or { problem }.
+ */
+function resolveReference(guild, reference, t) {
+    if (typeof reference !== 'string' || reference === '') return { problem: t('templates.notRoleName') };
+    if (SNOWFLAKE_PATTERN.test(reference) && guild.roles.cache.has(reference)) return { roleId: reference };
+
+    let matches = guild.roles.cache.filter(role => role.name === reference);
+    if (matches.size === 0) matches = guild.roles.cache.filter(role => role.name.toLowerCase() === reference.toLowerCase());
+
+    if (matches.size === 1) return { roleId: matches.first().id };
+    if (matches.size > 1) return { problem: t('templates.ambiguous', { count: matches.size }) };
+    return { problem: t('templates.roleMissing') };
+}
+
+/**
+ * Converts a template to rule entries for a guild.
+ *
+ * Throws an Error when the file is not a template this version understands.
+ *
+ * Returns { entries, skipped }, where skipped lists { rule, unresolved: [{ reference, problem }] } for every rule that
+ * was left out because some of its roles could not be resolved.
+ */
+function importTemplate(guild, template, t = defaultTranslator) {
+    if (!template || template.format !== TEMPLATE_FORMAT || !Array.isArray(template.rules)) {
+        throw new Error(t('templates.notTemplate'));
+    }
+    if (template.version > TEMPLATE_VERSION) {
+        throw new Error(t('templates.newerVersion', { version: template.version }));
+    }
+
+    const entries = [];
+    const skipped = [];
+    template.rules.forEach((rule, index) => {
+        const unresolved = [];
+        const toId = reference => {
+            const { roleId, problem } = resolveReference(guild, reference, t);
+            if (problem && !unresolved.some(item => item.reference === reference)) unresolved.push({ reference, problem });
+            return roleId || reference;
+        };
+
+        let entry;
+        try {
+            entry = mapEntry(rule, toId, 'role', 'roleId');
+        } catch (error) {
+            skipped.push({ rule: t('templates.ruleNumber', { number: index + 1 }), unresolved: [{ reference: 'condition', problem: t('templates.malformed') }] });
+            return;
+        }
+
+        if (unresolved.length > 0) {
+            skipped.push({ rule: typeof rule.role === 'string' ? rule.role : t('templates.ruleNumber', { number: index + 1 }), unresolved });
+        } else {
+            entries.push(entry);
+        }
+    });
+    return { entries, skipped };
+}
+
+/**
+ * Describes a rule entry in one line with role names, e.g. "Booster AND Member (sync)". Entries that are not valid
+ * rules, e.g. from a roles file edited by hand, are shown as they are stored.
+ */
+function describeEntry(guild, entry, t = defaultTranslator) {
+    const nameOf = roleId => {
+        const role = guild.roles.cache.get(roleId);
+        return role ? role.name : roleId;
+    };
+    let rule;
+    try {
+        rule = RoleManager.fromConfig(entry);
+    } catch (error) {
+        return t('templates.invalidEntry', { entry: JSON.stringify(entry) });
+    }
+    const condition = rule.removalDependencies.length > 0 ? formatCondition(rule.condition, nameOf) : t('templates.noDependencies');
+    const details = [
+        entry.mode || 'remove',
+        entry.enabled === false && t('templates.disabled'),
+        entry.maxLifetime && t('templates.expiresAfter', { duration: entry.maxLifetime })
+    ];
+    return `${condition} (${details.filter(Boolean).join(', ')})`;
+}
+
+/**
+ * Lists the differences between two rule sets of a guild, one line per managed role, prefixed with "+" (added),
+ * "-" (removed) or "~" (changed). Roles whose rules are unchanged are left out.
+ */
+function diffRuleSets(guild, before, after, t = defaultTranslator) {
+    const byRole = entries => entries.reduce((groups, entry) => {
+        const roleId = entry && entry.roleId;
+        (groups[roleId] = groups[roleId] || []).push(entry);
+        return groups;
+    }, {});
+    const beforeByRole = byRole(before);
+    const afterByRole = byRole(after);
+    const roleIds = [...new Set([...Object.keys(beforeByRole), ...Object.keys(afterByRole)])];
+    const nameOf = roleId => {
+        const role = guild.roles.cache.get(roleId);
+        return role ? role.name : roleId;
+    };
+    const describeAll = entries => entries.map(entry => describeEntry(guild, entry, t)).join('; ');
+
+    return roleIds.flatMap(roleId => {
+        const old = beforeByRole[roleId];
+        const updated = afterByRole[roleId];
+        if (!old) return [`+ ${nameOf(roleId)}: ${describeAll(updated)}`];
+        if (!updated) return [`- ${nameOf(roleId)}: ${describeAll(old)}`];
+        if (JSON.stringify(old) === JSON.stringify(updated)) return [];
+        return [`~ ${nameOf(roleId)}: ${describeAll(old)} -> ${describeAll(updated)}`];
+    });
+}
+
+module.exports = { exportTemplate, importTemplate, diffRuleSets, describeEntry };
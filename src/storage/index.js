@@ -0,0 +1,48 @@
+/**
+ * This module creates the storage backend that holds every guild's rules, based on the "storage" section of
+ * 'config.json':
+ *
+ *   "storage": { "type": "json", "directory": "roles", "versionsDirectory": "data/versions" }
+ *   "storage": { "type": "sqlite", "path": "data/roles.sqlite" }
+ *
+ * Paths are relative to the project root. Without a "storage" section, the JSON backend is used with the 'roles'
+ * directory, which matches how the bot stored rules before storage backends existed. The JSON backend keeps the
+ * versions of the rules in "versionsDirectory", by default 'versions' in the data directory.
+ *
+ * Every backend provides:
+ * - readRules(guildId): Resolves to the guild's rule entries, or null when the guild has none stored.
+ * - updateRules(guildId, mutate, change): Applies `mutate(currentRules)` and saves its result atomically, with edits
+ *   for the same guild never interleaving. Returning null or undefined from `mutate` leaves the rules unchanged.
+ *   Every saved change is recorded as a version, with the author and description given in `change` (see
+ *   ruleVersions.js).
+ * - listVersions(guildId): Resolves to the recorded versions of the guild's rules, newest first.
+ * - readVersion(guildId, version): Resolves to one recorded version, or null when it is not kept (anymore).
+ * - listGuildIds(): Resolves to the IDs of every guild with stored rules.
+ * - watch(): Starts reporting changes made outside the bot, where the backend supports it.
+ * - The 'change' event, emitted with a guild ID whenever that guild's rules changed.
+ */
+const path = require('path');
+const { config, dataFilePath } = require('../config');
+const JsonStorage = require('./jsonStorage');
+const SqliteStorage = require('./sqliteStorage');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+/**
+ * Creates a storage backend from a storage configuration object.
+ */
+function createStorage(storageConfig = {}) {
+    const type = storageConfig.type || 'json';
+    if (type === 'json') {
+        return new JsonStorage(path.resolve(PROJECT_ROOT, storageConfig.directory || 'roles'),
+            storageConfig.versionsDirectory ? path.resolve(PROJECT_ROOT, storageConfig.versionsDirectory) : dataFilePath('versions'));
+    }
+    if (type === 'sqlite') {
+        return new SqliteStorage(path.resolve(PROJECT_ROOT, storageConfig.path || 'data/roles.sqlite'));
+    }
+    throw new Error(`Unknown storage type "${type}" in config.json. Use "json" or "sqlite".`);
+}
+
+const storage = createStorage(config.storage);
+
+module.exports = { storage, createStorage };
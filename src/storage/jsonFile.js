@@ -0,0 +1,29 @@
+/**
+ * Helpers for reading and writing JSON files safely.
+ *
+ * Files are written to a temporary file next to the target first and then renamed over it. A rename within the same
+ * directory is atomic, so readers (including file watchers) only ever see the old or the new content, never a
+ * half-written file.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads and parses a JSON file, returning `fallback` when the file does not exist.
+ */
+function readJsonFile(filePath, fallback = null) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Writes data to a JSON file atomically, creating the directory if needed.
+ */
+function writeJsonFileAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(data, null, 4));
+    fs.renameSync(temporaryPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFileAtomic };
@@ -0,0 +1,115 @@
+/**
+ * Storage backend that keeps each guild's rules in its own JSON file, 'roles_{guildId}.json', inside a directory.
+ * This is the original format of the bot, so existing roles files keep working and can still be edited by hand.
+ *
+ * - Writes go through writeJsonFileAtomic, so a reload triggered halfway through a write never sees a partial file.
+ * - Edits for the same guild are serialized: each call to updateRules waits for the previous one to finish before
+ *   reading the file, so two admins editing rules at the same time can not overwrite each other's changes.
+ * - watch() watches the directory and emits 'change' for files edited by hand. Watching the directory rather than the
+ *   files themselves keeps working after a file is replaced by an atomic rename.
+ * - Every change saved through updateRules is recorded as a version (see ruleVersions.js) in
+ *   'versions_{guildId}.json' inside a separate versions directory, 'data/versions' by default, so the bot's own
+ *   records do not end up next to the hand-edited roles files.
+ *
+ * Events:
+ * - 'change' (guildId): The rules of a guild were changed, by this process or by someone editing a file.
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+const { MAX_VERSIONS, buildVersions } = require('./ruleVersions');
+
+const ROLES_FILE_PATTERN = /^roles_(.+)\.json$/;
+
+class JsonStorage extends EventEmitter {
+    constructor(directory, versionsDirectory) {
+        super();
+        this.directory = directory;
+        this.versionsDirectory = versionsDirectory;
+        this.locks = new Map();
+        this.watcher = null;
+    }
+
+    filePath(guildId) {
+        return path.join(this.directory, `roles_${guildId}.json`);
+    }
+
+    versionsPath(guildId) {
+        return path.join(this.versionsDirectory, `versions_${guildId}.json`);
+    }
+
+    async readRules(guildId) {
+        return readJsonFile(this.filePath(guildId));
+    }
+
+    /**
+     * Reads the guild's rules, passes them to `mutate` and saves what it returns, recording it as a new version
+     * described by `change` ({ author, description }). When `mutate` returns null or undefined, nothing is written.
+     * Resolves to the saved rules, or null when nothing was written.
+     */
+    updateRules(guildId, mutate, change = {}) {
+        const previous = this.locks.get(guildId) || Promise.resolve();
+        const update = previous.catch(() => {}).then(() => {
+            const current = readJsonFile(this.filePath(guildId), []);
+            const updated = mutate(current);
+            if (!updated) return null;
+
+            writeJsonFileAtomic(this.filePath(guildId), updated);
+            this.recordVersion(guildId, current, updated, change);
+            this.emit('change', guildId);
+            return updated;
+        });
+
+        this.locks.set(guildId, update);
+        update.catch(() => {}).then(() => {
+            if (this.locks.get(guildId) === update) this.locks.delete(guildId);
+        });
+        return update;
+    }
+
+    recordVersion(guildId, previous, rules, change) {
+        try {
+            const versions = readJsonFile(this.versionsPath(guildId), { versions: [] }).versions;
+            versions.push(...buildVersions(versions[versions.length - 1], previous, rules, change));
+            writeJsonFileAtomic(this.versionsPath(guildId), { versions: versions.slice(-MAX_VERSIONS) });
+        } catch (error) {
+            // The rules are already saved, so a broken versions file must not fail the change
+            console.error(`Failed to record a version of the rules of guild ${guildId}:`, error.message);
+        }
+    }
+
+    async listVersions(guildId) {
+        return readJsonFile(this.versionsPath(guildId), { versions: [] }).versions.reverse();
+    }
+
+    async readVersion(guildId, version) {
+        return (await this.listVersions(guildId)).find(entry => entry.version === version) || null;
+    }
+
+    async listGuildIds() {
+        if (!fs.existsSync(this.directory)) return [];
+        return fs.readdirSync(this.directory)
+            .map(file => file.match(ROLES_FILE_PATTERN))
+            .filter(Boolean)
+            .map(match => match[1]);
+    }
+
+    watch() {
+        if (this.watcher) return;
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.watcher = fs.watch(this.directory, (eventType, filename) => {
+            const match = filename && filename.match(ROLES_FILE_PATTERN);
+            if (match) this.emit('change', match[1]);
+        });
+    }
+
+    close() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,44 @@
+/**
+ * This module builds the version records the storage backends keep of each guild's rule set, so every change can be
+ * traced back to its author and undone.
+ *
+ * A version is { version, time, author, description, rules }:
+ * - version (number): Counts up from 1 per guild.
+ * - author (object|null): { id, tag } of the user who made the change, or null when it was not made by a user.
+ * - description (object): What the change did, as a message { key, params } translated when it is shown (see i18n.js),
+ *   e.g. { key: 'versions.addedRule', params: { role: 'VIP' } } for "Added a rule for VIP".
+ * - rules (array): The complete rule set as saved by the change.
+ *
+ * - MAX_VERSIONS (number): The number of versions kept per guild. Older versions are dropped.
+ */
+const MAX_VERSIONS = 50;
+
+/**
+ * Returns the versions to record for a change, following the latest recorded version.
+ *
+ * When the rules the change started from differ from the latest version, they were changed without going through
+ * the bot (a roles file edited by hand, or rules saved before versions were recorded), so they are recorded first as
+ * a version of their own. That way the rules as they were before the change can always be rolled back to.
+ *
+ * Parameters:
+ * - latest (object|null): The latest recorded version of the guild.
+ * - previous (array): The rules the change started from.
+ * - rules (array): The rules saved by the change.
+ * - change (object): { author, description }, where author is a User (or anything with an id and tag) or null.
+ */
+function buildVersions(latest, previous, rules, change = {}) {
+    const time = new Date().toISOString();
+    let number = latest ? latest.version : 0;
+    const versions = [];
+
+    if (previous.length > 0 && (!latest || JSON.stringify(latest.rules) !== JSON.stringify(previous))) {
+        versions.push({ version: ++number, time, author: null, description: { key: 'versions.changedOutside', params: {} }, rules: previous });
+    }
+
+    const author = change.author ? { id: change.author.id, tag: change.author.tag } : null;
+    const description = change.description || { key: 'versions.changed', params: {} };
+    versions.push({ version: ++number, time, author, description, rules });
+    return versions;
+}
+
+module.exports = { MAX_VERSIONS, buildVersions };
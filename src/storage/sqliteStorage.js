@@ -0,0 +1,126 @@
+/**
+ * Storage backend that keeps every guild's rules in a SQLite database, using better-sqlite3.
+ *
+ * Each rule is one row of the 'rules' table, holding the guild ID, the rule's position in the guild's rule list, the
+ * managed role ID and the full rule entry as JSON. Every call to updateRules runs as one transaction that reads the
+ * guild's rules, applies the edit and writes them back, so concurrent edits can never interleave.
+ *
+ * Every change saved through updateRules is recorded as a version (see ruleVersions.js) in the 'rule_versions'
+ * table, within the same transaction, with its author, description and rules as JSON.
+ *
+ * Events:
+ * - 'change' (guildId): The rules of a guild were changed by this process.
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { MAX_VERSIONS, buildVersions } = require('./ruleVersions');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS rules (
+        guild_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        role_id TEXT NOT NULL,
+        entry TEXT NOT NULL,
+        PRIMARY KEY (guild_id, position)
+    );
+    CREATE TABLE IF NOT EXISTS rule_versions (
+        guild_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        time TEXT NOT NULL,
+        author TEXT,
+        description TEXT NOT NULL,
+        rules TEXT NOT NULL,
+        PRIMARY KEY (guild_id, version)
+    );
+`;
+
+class SqliteStorage extends EventEmitter {
+    constructor(databasePath) {
+        super();
+        // Loaded here so the dependency is only needed when the SQLite backend is configured
+        const Database = require('better-sqlite3');
+
+        fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+        this.db = new Database(databasePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.selectRules = this.db.prepare('SELECT entry FROM rules WHERE guild_id = ? ORDER BY position');
+        this.deleteRules = this.db.prepare('DELETE FROM rules WHERE guild_id = ?');
+        this.insertRule = this.db.prepare('INSERT INTO rules (guild_id, position, role_id, entry) VALUES (?, ?, ?, ?)');
+        this.selectGuildIds = this.db.prepare('SELECT DISTINCT guild_id FROM rules');
+        this.selectVersions = this.db.prepare('SELECT * FROM rule_versions WHERE guild_id = ? ORDER BY version DESC');
+        this.selectVersion = this.db.prepare('SELECT * FROM rule_versions WHERE guild_id = ? AND version = ?');
+        this.insertVersion = this.db.prepare(
+            'INSERT INTO rule_versions (guild_id, version, time, author, description, rules) VALUES (?, ?, ?, ?, ?, ?)');
+        this.trimVersions = this.db.prepare('DELETE FROM rule_versions WHERE guild_id = ? AND version <= ?');
+    }
+
+    static toVersion(row) {
+        if (!row) return null;
+        const { version, time, author, description, rules } = row;
+        return { version, time, author: author ? JSON.parse(author) : null, description: JSON.parse(description), rules: JSON.parse(rules) };
+    }
+
+    readRulesSync(guildId) {
+        const rows = this.selectRules.all(guildId);
+        return rows.length > 0 ? rows.map(row => JSON.parse(row.entry)) : null;
+    }
+
+    async readRules(guildId) {
+        return this.readRulesSync(guildId);
+    }
+
+    /**
+     * Reads the guild's rules, passes them to `mutate` and saves what it returns, recording it as a new version
+     * described by `change` ({ author, description }), all within one transaction. When `mutate` returns null or
+     * undefined, nothing is written. Resolves to the saved rules, or null when nothing was written.
+     */
+    async updateRules(guildId, mutate, change = {}) {
+        const updated = this.db.transaction(() => {
+            const current = this.readRulesSync(guildId) || [];
+            const result = mutate(current);
+            if (!result) return null;
+
+            this.deleteRules.run(guildId);
+            result.forEach((entry, position) => {
+                this.insertRule.run(guildId, position, entry.roleId, JSON.stringify(entry));
+            });
+
+            const latest = SqliteStorage.toVersion(this.selectVersions.get(guildId));
+            const versions = buildVersions(latest, current, result, change);
+            versions.forEach(({ version, time, author, description, rules }) => {
+                this.insertVersion.run(guildId, version, time, author && JSON.stringify(author), JSON.stringify(description),
+                    JSON.stringify(rules));
+            });
+            this.trimVersions.run(guildId, versions[versions.length - 1].version - MAX_VERSIONS);
+            return result;
+        })();
+
+        if (updated) this.emit('change', guildId);
+        return updated;
+    }
+
+    async listVersions(guildId) {
+        return this.selectVersions.all(guildId).map(row => SqliteStorage.toVersion(row));
+    }
+
+    async readVersion(guildId, version) {
+        return SqliteStorage.toVersion(this.selectVersion.get(guildId, version));
+    }
+
+    async listGuildIds() {
+        return this.selectGuildIds.all().map(row => row.guild_id);
+    }
+
+    watch() {
+        // Changes are only made through this process, which emits 'change' itself
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStorage;
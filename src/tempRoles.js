@@ -0,0 +1,161 @@
+/**
+ * This module keeps track of temporary roles and removes them once they expire.
+ *
+ * A temporary role is either granted with '/temprole' for a chosen duration, or granted in any way for a role whose
+ * rule sets a "maxLifetime". Each one is recorded as { guildId, memberId, roleId, expiresAt, source, grantedBy }, where
+ * source is "command" or "rule". The records are saved to 'data/temproles.json', so expiries survive restarts.
+ *
+ * A single timer waits for the next expiry. When it fires, every expired role is removed through the role update
+ * queue, so removals are rate-limited, retried and recorded in the audit log like dependency removals. Roles whose
+ * expiry passed while the bot was offline are removed as soon as the scheduler starts.
+ *
+ * An expiry is forgotten when the queued grant of its role is given up or discarded, so a role granted by hand later
+ * is not removed by an expiry left over from a grant that never happened.
+ *
+ * - MAX_TIMER_DELAY (number): The longest time the timer waits before checking again, as setTimeout can not wait longer than ~24 days.
+ *
+ * - tempRoles (array): The records of every temporary role not yet expired.
+ *
+ * - expiryTimer: The timer waiting for the next expiry.
+ */
+const { readJsonFile, writeJsonFileAtomic } = require('./storage/jsonFile');
+const { dataFilePath } = require('./config');
+const { enqueueMemberRoleUpdate, queueEvents } = require('./roleQueue');
+
+const TEMP_ROLES_FILE = dataFilePath('temproles.json');
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000; // 1 day
+
+let tempRoles = [];
+let expiryTimer = null;
+let started = false;
+
+function saveTempRoles() {
+    try {
+        writeJsonFileAtomic(TEMP_ROLES_FILE, { tempRoles });
+    } catch (error) {
+        console.error('Failed to save temporary roles:', error);
+    }
+}
+
+function findIndex(guildId, memberId, roleId) {
+    return tempRoles.findIndex(record => record.guildId === guildId && record.memberId === memberId && record.roleId === roleId);
+}
+
+/**
+ * Queues the removal of every expired role and waits for the next expiry.
+ */
+function expireDueRoles() {
+    if (expiryTimer) {
+        clearTimeout(expiryTimer);
+        expiryTimer = null;
+    }
+
+    const now = Date.now();
+    const expired = tempRoles.filter(record => record.expiresAt <= now);
+    if (expired.length > 0) {
+        tempRoles = tempRoles.filter(record => record.expiresAt > now);
+        saveTempRoles();
+        expired.forEach(record => {
+            console.log(`Temporary role ${record.roleId} of member ${record.memberId} in guild ${record.guildId} expired.`);
+            enqueueMemberRoleUpdate(record.guildId, record.memberId, [record.roleId], [], { [record.roleId]: [{ expired: true }] });
+        });
+    }
+
+    if (tempRoles.length > 0) {
+        const nextExpiry = Math.min(...tempRoles.map(record => record.expiresAt));
+        expiryTimer = setTimeout(expireDueRoles, Math.min(Math.max(nextExpiry - now, 0), MAX_TIMER_DELAY));
+    }
+}
+
+/**
+ * Loads the saved temporary roles and starts removing them as they expire. Called once the client is ready.
+ */
+function startTempRoleScheduler() {
+    try {
+        tempRoles = [...readJsonFile(TEMP_ROLES_FILE, { tempRoles: [] }).tempRoles, ...tempRoles];
+    } catch (error) {
+        console.error('Failed to load the saved temporary roles:', error);
+    }
+    started = true;
+    expireDueRoles();
+}
+
+/**
+ * Records that a member's role expires at the given time, replacing an earlier expiry of the same role.
+ *
+ * Parameters:
+ * - guildId, memberId, roleId (string): Who holds which role.
+ * - expiresAt (number): When the role expires, as a timestamp in milliseconds.
+ * - source (string): "command" for '/temprole', "rule" for a rule's maxLifetime.
+ * - grantedBy (string, optional): The ID of the user who granted the role.
+ */
+function scheduleExpiry(guildId, memberId, roleId, expiresAt, source, grantedBy = null) {
+    const index = findIndex(guildId, memberId, roleId);
+    if (index !== -1) tempRoles.splice(index, 1);
+    tempRoles.push({ guildId, memberId, roleId, expiresAt, source, grantedBy });
+    saveTempRoles();
+    if (started) expireDueRoles();
+}
+
+/**
+ * Forgets the expiry of a member's role, e.g. when the role was removed before it expired.
+ */
+function cancelExpiry(guildId, memberId, roleId) {
+    const index = findIndex(guildId, memberId, roleId);
+    if (index === -1) return;
+    tempRoles.splice(index, 1);
+    saveTempRoles();
+}
+
+/**
+ * Returns the recorded expiry of a member's role, or null when the role is not temporary.
+ */
+function getExpiry(guildId, memberId, roleId) {
+    const index = findIndex(guildId, memberId, roleId);
+    return index === -1 ? null : tempRoles[index];
+}
+
+/**
+ * Keeps the expiries in line with a member's role changes, called after a member's roles settled:
+ * - Roles that were removed no longer expire.
+ * - Roles that were granted and are managed by a rule with a maxLifetime are scheduled to expire. A role that already
+ *   has an expiry, e.g. from '/temprole', keeps it.
+ *
+ * Parameters:
+ * - member (GuildMember): The member whose roles changed.
+ * - heldBefore (Set): The role IDs the member held before the change.
+ * - rules (array): The RoleManager instances loaded for the member's guild.
+ */
+function trackRoleChanges(member, heldBefore, rules) {
+    const guildId = member.guild.id;
+    const current = member.roles.cache;
+
+    heldBefore.forEach(roleId => {
+        if (!current.has(roleId)) cancelExpiry(guildId, member.id, roleId);
+    });
+
+    rules.forEach(rule => {
+        if (!rule.enabled || !rule.maxLifetime) return;
+        if (!current.has(rule.roleId) || heldBefore.has(rule.roleId)) return;
+        if (getExpiry(guildId, member.id, rule.roleId)) return;
+        scheduleExpiry(guildId, member.id, rule.roleId, Date.now() + rule.maxLifetime, 'rule');
+    });
+}
+
+queueEvents.on('grantsDropped', (guildId, memberId, roleIds) => {
+    roleIds.forEach(roleId => cancelExpiry(guildId, memberId, roleId));
+});
+
+/**
+ * Forgets every temporary role of a guild, e.g. when the bot leaves it.
+ */
+function dropGuildTempRoles(guildId) {
+    const remaining = tempRoles.filter(record => record.guildId !== guildId);
+    if (remaining.length === tempRoles.length) return;
+    tempRoles = remaining;
+    saveTempRoles();
+}
+
+module.exports = {
+    startTempRoleScheduler, scheduleExpiry, cancelExpiry, getExpiry, trackRoleChanges, dropGuildTempRoles
+};
@@ -0,0 +1,103 @@
+/**
+ * Command-line tool that imports existing roles files into the configured storage backend.
+ *
+ * Usage:
+ *   node src/tools/migrateStorage.js [--to json|sqlite] [--legacy-guild <guildId>] [--overwrite]
+ *
+ * Options:
+ * - --to: The backend to import into. Defaults to the backend configured in 'config.json'.
+ * - --legacy-guild: The guild the legacy root 'roles.json' belongs to. That file predates per-guild files and does not
+ *   say which guild it is for, so it is only imported when this option is given.
+ * - --overwrite: Replace rules already stored for a guild. By default such guilds are skipped.
+ *
+ * Every 'roles/roles_{guildId}.json' file is imported, except 'roles_undefined.json', which older versions of the bot
+ * created by mistake. Entries are checked with RoleManager before being imported, so broken files are reported instead
+ * of being copied into the new backend.
+ */
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { createStorage } = require('../storage');
+const { RoleManager } = require('../roleManager');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const ROLES_DIRECTORY = path.join(PROJECT_ROOT, 'roles');
+const LEGACY_ROLES_FILE = path.join(PROJECT_ROOT, 'roles.json');
+
+function parseArguments(argv) {
+    const options = { to: null, legacyGuild: null, overwrite: false };
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        if (argument === '--to') options.to = argv[++index];
+        else if (argument === '--legacy-guild') options.legacyGuild = argv[++index];
+        else if (argument === '--overwrite') options.overwrite = true;
+        else throw new Error(`Unknown argument "${argument}".`);
+    }
+    return options;
+}
+
+/**
+ * Collects the rule files to import as { guildId, filePath } pairs.
+ */
+function findSources(options) {
+    const sources = fs.existsSync(ROLES_DIRECTORY)
+        ? fs.readdirSync(ROLES_DIRECTORY)
+            .map(file => ({ match: file.match(/^roles_(.+)\.json$/), file }))
+            .filter(({ match }) => match && match[1] !== 'undefined')
+            .map(({ match, file }) => ({ guildId: match[1], filePath: path.join(ROLES_DIRECTORY, file) }))
+        : [];
+
+    if (fs.existsSync(LEGACY_ROLES_FILE)) {
+        if (options.legacyGuild) {
+            sources.push({ guildId: options.legacyGuild, filePath: LEGACY_ROLES_FILE });
+        } else {
+            console.log('Skipping roles.json: pass --legacy-guild <guildId> to import it.');
+        }
+    }
+    return sources;
+}
+
+async function migrate(options) {
+    const targetConfig = options.to ? { ...config.storage, type: options.to } : config.storage;
+    const target = createStorage(targetConfig);
+    const summary = { imported: 0, skipped: 0, failed: 0 };
+
+    for (const { guildId, filePath } of findSources(options)) {
+        const label = `${path.basename(filePath)} -> guild ${guildId}`;
+        try {
+            const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            entries.forEach(entry => RoleManager.fromConfig(entry));
+
+            const saved = await target.updateRules(guildId, current => {
+                if (current.length > 0 && !options.overwrite) return null;
+                return entries;
+            }, { description: { key: 'versions.migrated', params: { file: path.basename(filePath) } } });
+
+            if (saved) {
+                summary.imported++;
+                console.log(`Imported ${entries.length} rules: ${label}`);
+            } else {
+                summary.skipped++;
+                console.log(`Skipped, rules already stored (use --overwrite to replace them): ${label}`);
+            }
+        } catch (error) {
+            summary.failed++;
+            console.error(`Failed to import ${label}: ${error.message}`);
+        }
+    }
+
+    target.close();
+    console.log(`Migration finished: ${summary.imported} imported, ${summary.skipped} skipped, ${summary.failed} failed.`);
+    return summary;
+}
+
+if (require.main === module) {
+    migrate(parseArguments(process.argv.slice(2)))
+        .then(summary => process.exit(summary.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate };
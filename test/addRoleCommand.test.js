@@ -0,0 +1,128 @@
+const { configureServer } = require('./support/environment');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient, FakeInteraction } = require('./support/fakeDiscord');
+const { handle } = require('../src/commands/addRoleCommand');
+const { storage } = require('../src/storage');
+
+const client = new FakeClient();
+
+/**
+ * Sets up a guild with a few roles and a moderator whose highest role sits between the managed roles and the bot.
+ */
+function setup() {
+    const guild = client.addGuild();
+    const roles = {
+        member: guild.addRole({ name: 'Member', position: 1 }),
+        booster: guild.addRole({ name: 'Booster', position: 2 }),
+        vip: guild.addRole({ name: 'VIP', position: 3 }),
+        lounge: guild.addRole({ name: 'Lounge', position: 4 }),
+        moderator: guild.addRole({ name: 'Moderator', position: 50 }),
+        staff: guild.addRole({ name: 'Staff', position: 60 }),
+        integration: guild.addRole({ name: 'Integration', position: 5, managed: true }),
+        aboveBot: guild.addRole({ name: 'Above Bot', position: 200 })
+    };
+    const moderator = guild.addMember({ username: 'mod', roleIds: [roles.moderator.id] });
+    const run = (options, answers, locale) => {
+        const interaction = new FakeInteraction({ guild, member: moderator, commandName: 'addrole', options, answers, locale });
+        return handle(interaction).then(() => interaction);
+    };
+    return { guild, roles, run };
+}
+
+test('adds a rule with the role name and the default mode', async () => {
+    const { guild, roles, run } = setup();
+
+    const interaction = await run({ role: roles.vip, dependencies: `${roles.member.id}, <@&${roles.booster.id}>` });
+
+    assert.match(interaction.lastContent, /Role VIP added/);
+    assert.deepEqual(await storage.readRules(guild.id), [
+        { roleId: roles.vip.id, roleName: 'VIP', dependencies: [roles.member.id, roles.booster.id], mode: 'remove' }
+    ]);
+});
+
+test('refuses dependencies that are not role IDs or mentions', async () => {
+    const { guild, roles, run } = setup();
+
+    const interaction = await run({ role: roles.vip, dependencies: 'booster' });
+
+    assert.match(interaction.lastContent, /"booster" is not a role ID or role mention/);
+    assert.equal(interaction.replies[0].ephemeral, true);
+    assert.equal(await storage.readRules(guild.id), null);
+});
+
+test('refuses dependencies that do not exist in the guild', async () => {
+    const { guild, roles, run } = setup();
+
+    const interaction = await run({ role: roles.vip, dependencies: '399999999999999999' });
+
+    assert.match(interaction.lastContent, /dependency roles do not exist in this server: 399999999999999999/);
+    assert.equal(await storage.readRules(guild.id), null);
+});
+
+test('refuses roles the bot or the moderator can not manage', async () => {
+    const { guild, roles, run } = setup();
+    const dependencies = roles.member.id;
+
+    assert.match((await run({ role: roles.integration, dependencies })).lastContent, /managed by an integration/);
+    assert.match((await run({ role: roles.aboveBot, dependencies })).lastContent, /not below the bot's highest role/);
+    assert.match((await run({ role: roles.staff, dependencies })).lastContent, /not below your highest role \(Moderator\)/);
+    assert.match((await run({ role: guild.roles.everyone, dependencies })).lastContent, /@everyone role can not be managed/);
+    assert.equal(await storage.readRules(guild.id), null);
+});
+
+test('refuses dependencies above the moderator\'s highest role', async () => {
+    const { guild, roles, run } = setup();
+
+    const interaction = await run({ role: roles.vip, dependencies: `${roles.member.id} ${roles.staff.id}` });
+
+    assert.match(interaction.lastContent, /Role VIP was not added: Role Staff is not below your highest role \(Moderator\)/);
+    assert.equal(await storage.readRules(guild.id), null);
+});
+
+test('asks before changing a role that already has a rule', async () => {
+    const { guild, roles, run } = setup();
+    await run({ role: roles.vip, dependencies: roles.member.id, mode: 'sync' });
+
+    const merged = await run({ role: roles.vip, dependencies: roles.booster.id }, ['merge']);
+    assert.match(merged.replies[0].content, /already has a rule/);
+    assert.match(merged.lastContent, /Role VIP merged/);
+    const [entry] = await storage.readRules(guild.id);
+    assert.deepEqual(entry.dependencies.sort(), [roles.member.id, roles.booster.id].sort());
+    assert.equal(entry.mode, 'sync');
+
+    const replaced = await run({ role: roles.vip, dependencies: roles.booster.id }, ['replace']);
+    assert.match(replaced.lastContent, /Role VIP replaced/);
+    assert.deepEqual((await storage.readRules(guild.id)).map(entry => entry.dependencies), [[roles.booster.id]]);
+
+    const cancelled = await run({ role: roles.vip, dependencies: roles.member.id }, ['cancel']);
+    assert.match(cancelled.lastContent, /left unchanged/);
+
+    const expired = await run({ role: roles.vip, dependencies: roles.member.id }, []);
+    assert.match(expired.lastContent, /No answer was given in time/);
+    assert.deepEqual((await storage.readRules(guild.id)).map(entry => entry.dependencies), [[roles.booster.id]]);
+});
+
+test('refuses rules that would create a dependency cycle', async () => {
+    const { guild, roles, run } = setup();
+    await run({ role: roles.vip, dependencies: roles.lounge.id });
+
+    const interaction = await run({ role: roles.lounge, dependencies: roles.vip.id });
+
+    assert.match(interaction.lastContent, /Dependency cycle detected between roles/);
+    assert.deepEqual((await storage.readRules(guild.id)).map(entry => entry.roleId), [roles.vip.id]);
+});
+
+test('replies in the language of the server, or else of the user, applying the server\'s message overrides', async t => {
+    const { guild, roles, run } = setup();
+
+    const added = await run({ role: roles.vip, dependencies: roles.member.id }, [], 'de');
+    assert.match(added.lastContent, /^Die Rolle VIP wurde mit ID \d+, Abhängigkeiten \d+ und Modus remove hinzugefügt/);
+    const refused = await run({ role: roles.lounge, dependencies: 'booster' }, [], 'de');
+    assert.match(refused.lastContent, /"booster" ist keine Rollen-ID/);
+
+    configureServer(t, { guildId: guild.id, locale: 'en', messages: { 'addrole.unchanged': 'Nothing to do for {role}.' } });
+    const cancelled = await run({ role: roles.vip, dependencies: roles.member.id }, ['cancel'], 'de');
+    assert.match(cancelled.replies[0].content, /already has a rule/);
+    assert.equal(cancelled.lastContent, 'Nothing to do for VIP.');
+});
@@ -0,0 +1,141 @@
+const { GUILD_ID } = require('./support/environment');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { FakeClient } = require('./support/fakeDiscord');
+const { startAdminApi } = require('../src/adminApi');
+const { config } = require('../src/config');
+const { storage } = require('../src/storage');
+
+const TOKEN = 'test-admin-token';
+
+const client = new FakeClient();
+const guild = client.addGuild({ id: GUILD_ID });
+const booster = guild.addRole({ name: 'Booster', position: 1 });
+const vip = guild.addRole({ name: 'VIP', position: 2 });
+const aboveBot = guild.addRole({ name: 'Above Bot', position: 200 });
+
+/**
+ * Finds a port nobody listens on, so the test does not clash with a running bot.
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+let server = null;
+let baseUrl = null;
+
+test.before(async () => {
+    const port = await freePort();
+    config.adminApi = { enabled: true, port };
+    process.env.ADMIN_API_TOKEN = TOKEN;
+    server = startAdminApi(client);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${port}`;
+});
+
+test.after(async () => {
+    delete config.adminApi;
+    delete process.env.ADMIN_API_TOKEN;
+    if (server) await new Promise(resolve => server.close(resolve));
+    storage.close();
+});
+
+function request(path, { token = TOKEN, method = 'GET', body } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+}
+
+test('refuses requests without the right bearer token', async () => {
+    for (const token of [null, 'wrong-token', `${TOKEN}x`]) {
+        const response = await request('/health', { token });
+        assert.equal(response.status, 401);
+        assert.deepEqual(await response.json(), { error: 'A valid bearer token is required.' });
+    }
+
+    const rules = await request(`/guilds/${GUILD_ID}/rules`, { token: 'wrong-token', method: 'PUT', body: [] });
+    assert.equal(rules.status, 401);
+    assert.equal(await storage.readRules(GUILD_ID), null);
+});
+
+test('does not start when disabled or without a token', () => {
+    const token = process.env.ADMIN_API_TOKEN;
+    delete process.env.ADMIN_API_TOKEN;
+    assert.equal(startAdminApi(client), null);
+    process.env.ADMIN_API_TOKEN = token;
+
+    config.adminApi.enabled = false;
+    assert.equal(startAdminApi(client), null);
+    config.adminApi.enabled = true;
+});
+
+test('reports the health of the bot, answering 503 until it is connected', async () => {
+    const before = await request('/health');
+    assert.equal(before.status, 503);
+    assert.equal((await before.json()).ready, false);
+
+    await client.login('token');
+    const after = await request('/health');
+    assert.equal(after.status, 200);
+    const health = await after.json();
+    assert.equal(health.gateway.status, 'Ready');
+    assert.deepEqual(health.guilds.map(entry => entry.id), [GUILD_ID]);
+});
+
+test('replaces the rules of a guild with a valid rule set', async () => {
+    const entries = [{ roleId: vip.id, roleName: 'VIP', dependencies: [booster.id] }];
+
+    const response = await request(`/guilds/${GUILD_ID}/rules`, { method: 'PUT', body: entries });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await storage.readRules(GUILD_ID), entries);
+    assert.deepEqual((await storage.listVersions(GUILD_ID))[0].description, { key: 'versions.replacedByApi', params: {} });
+
+    const read = await request(`/guilds/${GUILD_ID}/rules`);
+    assert.deepEqual((await read.json()).rules.map(entry => entry.roleId), [vip.id]);
+});
+
+test('refuses invalid rule sets without saving them', async () => {
+    const saved = await storage.readRules(GUILD_ID);
+    const put = body => request(`/guilds/${GUILD_ID}/rules`, { method: 'PUT', body });
+
+    const notJson = await put('{ not json');
+    assert.equal(notJson.status, 400);
+    assert.match((await notJson.json()).error, /not valid JSON/);
+
+    const notArray = await put({ roleId: vip.id });
+    assert.equal(notArray.status, 400);
+    assert.match((await notArray.json()).error, /must be an array/);
+
+    const unmanageable = await put([{ roleId: aboveBot.id, roleName: 'Above Bot', dependencies: [booster.id] }]);
+    assert.equal(unmanageable.status, 400);
+    assert.match((await unmanageable.json()).problems.join('\n'), /not below the bot's highest role/);
+
+    const unknownDependency = await put([{ roleId: vip.id, roleName: 'VIP', dependencies: ['399999999999999999'] }]);
+    assert.equal(unknownDependency.status, 400);
+    assert.match((await unknownDependency.json()).problems.join('\n'), /do not exist in this server: 399999999999999999/);
+
+    const cycle = await put([
+        { roleId: vip.id, roleName: 'VIP', dependencies: [booster.id] },
+        { roleId: booster.id, roleName: 'Booster', dependencies: [vip.id] }
+    ]);
+    assert.equal(cycle.status, 400);
+
+    assert.deepEqual(await storage.readRules(GUILD_ID), saved);
+});
+
+test('answers unknown guilds, endpoints and methods with an error', async () => {
+    const unknownGuild = await request('/guilds/399999999999999999/rules');
+    assert.equal(unknownGuild.status, 404);
+    assert.equal((await request('/nothing')).status, 404);
+    assert.equal((await request('/health', { method: 'POST' })).status, 405);
+    assert.equal((await request(`/guilds/${GUILD_ID}/rules`, { method: 'DELETE' })).status, 405);
+});
@@ -0,0 +1,208 @@
+const { GUILD_ID, writeRulesFile } = require('./support/environment');
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient, FakeInteraction, snowflake } = require('./support/fakeDiscord');
+const { createBot } = require('../src/index');
+const commands = require('../src/commands');
+const { getRules } = require('../src/ruleRegistry');
+const { storage } = require('../src/storage');
+const { saveQueue, getPauseState, getQueueLength, resumeGuild } = require('../src/roleQueue');
+const { createMenu } = require('../src/roleMenus');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Moves the mocked clock forward in steps, letting the bot's promises and file watcher events run between the steps.
+ */
+async function advance(milliseconds, step = 50) {
+    for (let elapsed = 0; elapsed < milliseconds; elapsed += step) {
+        mock.timers.tick(Math.min(step, milliseconds - elapsed));
+        for (let i = 0; i < 3; i++) await flush();
+    }
+}
+
+mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+
+const client = createBot(new FakeClient());
+const guild = client.addGuild({ id: GUILD_ID });
+const booster = guild.addRole({ name: 'Booster', position: 1 });
+const vip = guild.addRole({ name: 'VIP', position: 2 });
+const lounge = guild.addRole({ name: 'Lounge', position: 3 });
+const moderator = guild.addRole({ name: 'Moderator', position: 50 });
+const owner = guild.members.cache.get(guild.ownerId);
+
+writeRulesFile(GUILD_ID, [
+    { roleId: lounge.id, roleName: 'Lounge', dependencies: [vip.id] },
+    { roleId: vip.id, roleName: 'VIP', dependencies: [booster.id] }
+]);
+
+test.after(() => {
+    storage.close();
+    saveQueue();
+});
+
+test('on startup, commands are registered, rules loaded and drifted members corrected', async () => {
+    const drifted = guild.addMember({ username: 'alice', roleIds: [vip.id, lounge.id] });
+
+    await client.login('token');
+    await advance(200);
+
+    assert.deepEqual(guild.registeredCommands.map(command => command.name), commands.map(command => command.data.name));
+    assert.deepEqual(getRules(GUILD_ID).map(rule => rule.roleId), [vip.id, lounge.id]);
+    assert.equal(drifted.hasRoles(vip.id), false);
+    assert.equal(drifted.hasRoles(lounge.id), false);
+});
+
+test('losing a dependency removes the role and every role depending on it once the member settles', async () => {
+    const member = guild.addMember({ username: 'bob', roleIds: [booster.id, vip.id, lounge.id] });
+
+    member.setRoles([vip.id, lounge.id]);
+    await advance(1000);
+    assert.equal(member.hasRoles(vip.id, lounge.id), true);
+
+    await advance(1000);
+    assert.equal(member.hasRoles(vip.id), false);
+    assert.equal(member.hasRoles(lounge.id), false);
+});
+
+test('members without the permission can not run commands', async () => {
+    const member = guild.addMember({ username: 'carol' });
+    const interaction = new FakeInteraction({
+        guild, member, commandName: 'addrole', options: { role: lounge, dependencies: booster.id }
+    });
+
+    client.emit('interactionCreate', interaction);
+    await advance(50);
+
+    assert.match(interaction.lastContent, /You need the edit permission/);
+    assert.equal(interaction.replies[0].ephemeral, true);
+});
+
+test('errors of a command are reported to the member, after its reply when it already gave one', async t => {
+    const listroles = commands.find(command => command.data.name === 'listroles');
+    const run = async handle => {
+        t.mock.method(listroles, 'handle', handle);
+        const interaction = new FakeInteraction({ guild, member: owner, commandName: 'listroles', administrator: true });
+        client.emit('interactionCreate', interaction);
+        await advance(50);
+        return interaction;
+    };
+
+    const before = await run(async () => { throw new Error('boom'); });
+    assert.deepEqual(before.replies, [{ content: 'The command failed due to an internal error.', ephemeral: true }]);
+
+    const after = await run(async interaction => {
+        await interaction.reply({ content: 'Working on it' });
+        throw new Error('boom');
+    });
+    assert.deepEqual(after.replies.map(reply => reply.content), ['Working on it', 'The command failed due to an internal error.']);
+});
+
+test('members without the permission get no suggestions', async () => {
+    const member = guild.addMember({ username: 'carl' });
+    const suggest = (user, administrator) => {
+        const interaction = new FakeInteraction({ guild, member: user, commandName: 'rolemenu', subcommand: 'delete', administrator, focused: '' });
+        client.emit('interactionCreate', interaction);
+        return advance(50).then(() => interaction.choices);
+    };
+    const channel = { id: snowflake(), guild, send: async () => ({ id: snowflake() }) };
+    await createMenu(channel, { title: 'Colors', roleIds: [vip.id], style: 'buttons', exclusive: false, createdBy: owner.id });
+
+    assert.deepEqual(await suggest(member, false), []);
+    assert.match((await suggest(owner, true))[0].name, /: Colors$/);
+});
+
+test('rules added with a command are applied after the reload', async () => {
+    const member = guild.addMember({ username: 'dave', roleIds: [booster.id, vip.id, lounge.id] });
+    const interaction = new FakeInteraction({
+        guild, member: owner, commandName: 'addrole', administrator: true, answers: ['replace'],
+        options: { role: lounge, dependencies: `${vip.id} ${moderator.id}` }
+    });
+
+    client.emit('interactionCreate', interaction);
+    await advance(50);
+    assert.match(interaction.lastContent, /Role Lounge replaced/);
+    assert.equal(member.hasRoles(lounge.id), true);
+
+    // The reload is debounced, then the guild is swept with the new rules
+    await advance(2500);
+    assert.deepEqual(getRules(GUILD_ID).find(rule => rule.roleId === lounge.id).removalDependencies, [vip.id, moderator.id]);
+    assert.equal(member.hasRoles(lounge.id), false);
+    assert.equal(member.hasRoles(vip.id), true);
+});
+
+test('renaming a role updates the stored name of its rules', async () => {
+    const oldRole = { ...lounge };
+    lounge.name = 'Members Lounge';
+    client.emit('roleUpdate', oldRole, lounge);
+    await advance(50);
+
+    assert.equal((await storage.readRules(GUILD_ID)).find(entry => entry.roleId === lounge.id).roleName, 'Members Lounge');
+    assert.deepEqual((await storage.listVersions(GUILD_ID))[0].description, {
+        key: 'versions.roleRenamed', params: { oldName: 'Lounge', newName: 'Members Lounge' }
+    });
+});
+
+test('deleting a role the rules depend on pauses role updates until they are resumed', async () => {
+    const member = guild.addMember({ username: 'erin', roleIds: [vip.id, lounge.id] });
+
+    guild.roles.cache.delete(booster.id);
+    client.emit('roleDelete', booster);
+    assert.match(getPauseState(GUILD_ID).reason, /Role Booster, which the rules for VIP depend on, was deleted/);
+
+    member.setRoles([vip.id]);
+    await advance(2500);
+    assert.ok(getQueueLength(GUILD_ID) > 0);
+    assert.equal(member.hasRoles(vip.id), true);
+
+    resumeGuild(GUILD_ID);
+    await advance(100);
+    assert.equal(member.hasRoles(vip.id), false);
+});
+
+test('deleting a role disables the rules referring to it', async () => {
+    const vipEntry = (await storage.readRules(GUILD_ID)).find(entry => entry.roleId === vip.id);
+    assert.equal(vipEntry.enabled, false);
+    assert.deepEqual(vipEntry.disabledReason, { key: 'alerts.dependenciesDeleted', params: { roles: `Booster (${booster.id})` } });
+
+    // Once the rules are reloaded, members lacking the deleted role keep the roles that depended on it
+    assert.equal(getRules(GUILD_ID).find(rule => rule.roleId === vip.id).enabled, false);
+    const member = guild.addMember({ username: 'frank', roleIds: [vip.id] });
+    member.setRoles([vip.id, moderator.id]);
+    await advance(2500);
+    assert.equal(member.hasRoles(vip.id), true);
+});
+
+test('a rule referring to a deleted role can not be enabled again', async () => {
+    const interaction = new FakeInteraction({
+        guild, member: owner, commandName: 'editrole', subcommand: 'toggle', administrator: true, options: { role: vip, enabled: true }
+    });
+    client.emit('interactionCreate', interaction);
+    await advance(50);
+
+    assert.equal(interaction.lastContent,
+        `Rule for role VIP was not changed: it refers to roles that no longer exist: ${booster.id}. Fix the rule before enabling it.`);
+    assert.equal((await storage.readRules(GUILD_ID)).find(entry => entry.roleId === vip.id).enabled, false);
+});
+
+test('deleting a role only disabled rules depend on does not pause role updates', async () => {
+    const stage = guild.addRole({ name: 'Stage', position: 4 });
+    const event = guild.addRole({ name: 'Event', position: 5 });
+    await storage.updateRules(GUILD_ID, entries => [
+        ...entries, { roleId: event.id, roleName: 'Event', dependencies: [stage.id], enabled: false }
+    ]);
+    await advance(2500);
+    assert.equal(getRules(GUILD_ID).find(rule => rule.roleId === event.id).enabled, false);
+
+    guild.roles.cache.delete(stage.id);
+    client.emit('roleDelete', stage);
+    await advance(50);
+    assert.equal(getPauseState(GUILD_ID), null);
+});
+
+test('leaving a guild drops its rules', async () => {
+    client.emit('guildDelete', guild);
+
+    assert.deepEqual(getRules(GUILD_ID), []);
+});
@@ -0,0 +1,84 @@
+require('./support/environment');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RoleManager } = require('../src/roleManager');
+const { sortByDependencies, resolveRoleChanges } = require('../src/dependencyGraph');
+
+const MEMBER = '300000000000000001';
+const BOOSTER = '300000000000000002';
+const VIP = '300000000000000003';
+const VIP_LOUNGE = '300000000000000004';
+const ANNOUNCER = '300000000000000005';
+
+const buildRules = entries => sortByDependencies(entries.map(entry => RoleManager.fromConfig(entry)));
+
+test('a role is removed when the member loses one of its dependencies', () => {
+    const rules = buildRules([{ roleId: VIP, dependencies: [MEMBER, BOOSTER] }]);
+
+    const result = resolveRoleChanges(rules, new Set([MEMBER, BOOSTER, VIP]), new Set([MEMBER, VIP]));
+
+    assert.deepEqual(result.rolesToRemove, [VIP]);
+    assert.deepEqual(result.rolesToAdd, []);
+    assert.deepEqual(result.reasons[VIP], [{ roleId: BOOSTER, required: true }]);
+});
+
+test('removals cascade through roles that depend on removed roles', () => {
+    const rules = buildRules([
+        { roleId: VIP_LOUNGE, dependencies: [VIP] },
+        { roleId: VIP, dependencies: [BOOSTER] }
+    ]);
+
+    const result = resolveRoleChanges(rules, new Set([BOOSTER, VIP, VIP_LOUNGE]), new Set([VIP, VIP_LOUNGE]));
+
+    assert.deepEqual(result.rolesToRemove, [VIP, VIP_LOUNGE]);
+    assert.deepEqual(result.reasons[VIP_LOUNGE], [{ roleId: VIP, required: true }]);
+});
+
+test('only roles held before the change are removed by member updates', () => {
+    const rules = buildRules([{ roleId: VIP, dependencies: [BOOSTER] }]);
+
+    // A moderator granted VIP to a member without the booster role in the same update
+    const result = resolveRoleChanges(rules, new Set([]), new Set([VIP]));
+    assert.deepEqual(result.rolesToRemove, []);
+
+    // A sweep has no earlier state and corrects every held role
+    const sweep = resolveRoleChanges(rules, null, new Set([VIP]));
+    assert.deepEqual(sweep.rolesToRemove, [VIP]);
+});
+
+test('sync rules grant roles once their condition becomes satisfied', () => {
+    const rules = buildRules([
+        { roleId: VIP, dependencies: [BOOSTER], mode: 'sync' },
+        { roleId: VIP_LOUNGE, dependencies: [VIP], mode: 'grant' }
+    ]);
+
+    const result = resolveRoleChanges(rules, new Set([MEMBER]), new Set([MEMBER, BOOSTER]));
+
+    assert.deepEqual(result.rolesToAdd, [VIP, VIP_LOUNGE]);
+    assert.deepEqual(result.rolesToRemove, []);
+});
+
+test('disabled rules are skipped', () => {
+    const rules = buildRules([{ roleId: VIP, dependencies: [BOOSTER], enabled: false }]);
+
+    const result = resolveRoleChanges(rules, new Set([BOOSTER, VIP]), new Set([VIP]));
+
+    assert.deepEqual(result.rolesToRemove, []);
+});
+
+test('rules are ordered so dependencies come first', () => {
+    const rules = buildRules([
+        { roleId: ANNOUNCER, dependencies: [VIP_LOUNGE] },
+        { roleId: VIP_LOUNGE, dependencies: [VIP] },
+        { roleId: VIP, dependencies: [BOOSTER] }
+    ]);
+
+    assert.deepEqual(rules.map(rule => rule.roleId), [VIP, VIP_LOUNGE, ANNOUNCER]);
+});
+
+test('dependency cycles are refused', () => {
+    assert.throws(() => buildRules([
+        { roleId: VIP, dependencies: [VIP_LOUNGE] },
+        { roleId: VIP_LOUNGE, dependencies: [VIP] }
+    ]), /Dependency cycle detected between roles/);
+});
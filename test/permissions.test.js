@@ -0,0 +1,133 @@
+const { configureServer } = require('./support/environment');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient, FakeInteraction } = require('./support/fakeDiscord');
+const { hasPermission, checkRoleHierarchy, setGrant } = require('../src/permissions');
+const { handle: handlePermissions } = require('../src/commands/permissionsCommand');
+const { handle: handleEditRole } = require('../src/commands/editRoleCommand');
+const registerCommandHandler = require('../src/commandHandler');
+const { storage } = require('../src/storage');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const client = new FakeClient();
+registerCommandHandler(client);
+
+/**
+ * Sets up a guild with a helper role below a moderator role, and a member holding each.
+ */
+function setup() {
+    const guild = client.addGuild();
+    const roles = {
+        member: guild.addRole({ name: 'Member', position: 1 }),
+        vip: guild.addRole({ name: 'VIP', position: 2 }),
+        helper: guild.addRole({ name: 'Helper', position: 10 }),
+        moderator: guild.addRole({ name: 'Moderator', position: 50 })
+    };
+    const helper = guild.addMember({ username: 'helper', roleIds: [roles.helper.id] });
+    const moderator = guild.addMember({ username: 'mod', roleIds: [roles.moderator.id] });
+    const interaction = (member, options = {}) => new FakeInteraction({ guild, member, commandName: 'listroles', ...options });
+    return { guild, roles, helper, moderator, interaction };
+}
+
+test('only administrators hold every scope without a grant', () => {
+    const { helper, interaction } = setup();
+
+    for (const scope of ['view', 'edit', 'sweep', 'admin']) {
+        assert.equal(hasPermission(interaction(helper), scope), false);
+        assert.equal(hasPermission(interaction(helper, { administrator: true }), scope), true);
+    }
+});
+
+test('grants made with /permissions apply to roles and users, and edit and sweep include view', async () => {
+    const { guild, roles, helper, moderator, interaction } = setup();
+    const grant = (subcommand, scope, target) => handlePermissions(new FakeInteraction({
+        guild, member: moderator, commandName: 'permissions', subcommand, administrator: true, options: { scope, target }
+    }));
+
+    await grant('grant', 'edit', roles.helper);
+    assert.equal(hasPermission(interaction(helper), 'edit'), true);
+    assert.equal(hasPermission(interaction(helper), 'view'), true);
+    assert.equal(hasPermission(interaction(helper), 'sweep'), false);
+    assert.equal(hasPermission(interaction(helper), 'admin'), false);
+    assert.equal(hasPermission(interaction(moderator), 'view'), false);
+
+    await grant('grant', 'sweep', moderator);
+    assert.equal(hasPermission(interaction(moderator), 'sweep'), true);
+    assert.equal(hasPermission(interaction(moderator), 'edit'), false);
+
+    await grant('revoke', 'edit', roles.helper);
+    assert.equal(hasPermission(interaction(helper), 'view'), false);
+});
+
+test('grants from config.json are combined with the stored ones and can not be revoked with the command', async t => {
+    const { guild, roles, helper, moderator, interaction } = setup();
+    configureServer(t, { guildId: guild.id, permissions: { view: { roles: [roles.helper.id] } } });
+
+    assert.equal(hasPermission(interaction(helper), 'view'), true);
+    assert.equal(hasPermission(interaction(helper), 'edit'), false);
+
+    const revoke = new FakeInteraction({
+        guild, member: moderator, commandName: 'permissions', subcommand: 'revoke', administrator: true,
+        options: { scope: 'view', target: roles.helper }
+    });
+    await handlePermissions(revoke);
+    assert.match(revoke.lastContent, /had not been granted the view commands with \/permissions/);
+    assert.equal(hasPermission(interaction(helper), 'view'), true);
+
+    const list = new FakeInteraction({ guild, member: moderator, commandName: 'permissions', subcommand: 'list', administrator: true });
+    await handlePermissions(list);
+    assert.match(list.lastContent, new RegExp(`\\*\\*view\\*\\*: <@&${roles.helper.id}> \\(config\\.json\\)`));
+    assert.match(list.lastContent, /\*\*edit\*\*: administrators only/);
+});
+
+test('the command handler refuses members without the scope a command or subcommand requires', async () => {
+    const { guild, roles, helper } = setup();
+    setGrant(guild.id, 'view', 'roles', roles.helper.id, true);
+    const run = async (commandName, subcommand = null) => {
+        const interaction = new FakeInteraction({ guild, member: helper, commandName, subcommand });
+        client.emit('interactionCreate', interaction);
+        for (let i = 0; i < 5; i++) await flush();
+        return interaction;
+    };
+
+    assert.doesNotMatch((await run('listroles')).lastContent, /permission/);
+    assert.match((await run('rolemenu', 'create')).lastContent, /You need the edit permission/);
+    assert.match((await run('sweep')).lastContent, /You need the sweep permission/);
+    assert.match((await run('queue', 'resume')).lastContent, /You need the sweep permission/);
+    assert.match((await run('permissions', 'list')).lastContent, /Only administrators can use this command/);
+});
+
+test('members can only edit rules for roles, and add dependencies, below their highest role', async () => {
+    const { guild, roles, helper, moderator } = setup();
+    await storage.updateRules(guild.id, () => [{ roleId: roles.vip.id, roleName: 'VIP', dependencies: [roles.member.id] }]);
+    const edit = (member, role, dependencies) => {
+        const interaction = new FakeInteraction({
+            guild, member, commandName: 'editrole', subcommand: 'adddependency', options: { role, dependencies }
+        });
+        return handleEditRole(interaction).then(() => interaction);
+    };
+
+    assert.match(checkRoleHierarchy(new FakeInteraction({ guild, member: helper, commandName: 'addrole' }), [roles.moderator.id]),
+        /Role Moderator is not below your highest role \(Helper\)/);
+    const owner = guild.members.cache.get(guild.ownerId);
+    assert.equal(checkRoleHierarchy(new FakeInteraction({ guild, member: owner, commandName: 'addrole' }), [roles.moderator.id]), null);
+
+    assert.match((await edit(helper, roles.vip, roles.moderator.id)).lastContent, /Role Moderator is not below your highest role/);
+    assert.match((await edit(moderator, roles.vip, roles.helper.id)).lastContent, /Rule for role VIP added dependencies/);
+    assert.deepEqual((await storage.readRules(guild.id))[0].dependencies, [roles.member.id, roles.helper.id]);
+});
+
+test('permission replies follow the language of the user', async () => {
+    const { guild, roles, moderator } = setup();
+    const run = (subcommand, options = {}) => {
+        const interaction = new FakeInteraction({
+            guild, member: moderator, commandName: 'permissions', subcommand, administrator: true, options, locale: 'de'
+        });
+        return handlePermissions(interaction).then(() => interaction);
+    };
+
+    assert.equal((await run('grant', { scope: 'sweep', target: roles.helper })).lastContent,
+        `<@&${roles.helper.id}> darf jetzt die Befehle des Bereichs sweep verwenden.`);
+    assert.match((await run('list')).lastContent, /\*\*view\*\*: nur Administratoren/);
+});
@@ -0,0 +1,101 @@
+require('./support/environment');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient, FakeInteraction } = require('./support/fakeDiscord');
+const { handle } = require('../src/commands/removeRoleCommand');
+const { storage } = require('../src/storage');
+
+const client = new FakeClient();
+
+/**
+ * Sets up a guild with a few roles, a moderator, and optionally some stored rules.
+ */
+async function setup(rulesFor) {
+    const guild = client.addGuild();
+    const roles = {
+        member: guild.addRole({ name: 'Member', position: 1 }),
+        booster: guild.addRole({ name: 'Booster', position: 2 }),
+        vip: guild.addRole({ name: 'VIP', position: 3 }),
+        moderator: guild.addRole({ name: 'Moderator', position: 50 }),
+        staff: guild.addRole({ name: 'Staff', position: 60 })
+    };
+    if (rulesFor) await storage.updateRules(guild.id, () => rulesFor(roles));
+
+    const moderator = guild.addMember({ username: 'mod', roleIds: [roles.moderator.id] });
+    const run = async (options, answers = ['confirm']) => {
+        const interaction = new FakeInteraction({ guild, member: moderator, commandName: 'removerole', options, answers });
+        await handle(interaction);
+        return interaction;
+    };
+    return { guild, roles, run };
+}
+
+const twoVipRules = roles => [
+    { roleId: roles.vip.id, roleName: 'VIP', dependencies: [roles.member.id, roles.booster.id] },
+    { roleId: roles.vip.id, roleName: 'VIP', dependencies: [roles.booster.id] },
+    { roleId: roles.staff.id, roleName: 'Staff', dependencies: [roles.member.id] }
+];
+
+test('tells the user when the guild has no rules', async () => {
+    const { roles, run } = await setup();
+
+    const interaction = await run({ role: roles.vip, all: true });
+
+    assert.equal(interaction.lastContent, 'No roles are stored for this guild.');
+});
+
+test('lists the rules of a role when neither dependencies nor all are given', async () => {
+    const { guild, roles, run } = await setup(twoVipRules);
+
+    const interaction = await run({ role: roles.vip });
+
+    assert.match(interaction.lastContent, /Role VIP has these rules/);
+    assert.match(interaction.lastContent, new RegExp(`- ${roles.member.id}, ${roles.booster.id}\n- ${roles.booster.id}$`));
+    assert.equal((await storage.readRules(guild.id)).length, 3);
+});
+
+test('removes the rule with the same dependencies, in any order', async () => {
+    const { guild, roles, run } = await setup(twoVipRules);
+
+    const interaction = await run({ role: roles.vip, dependencies: `<@&${roles.booster.id}> ${roles.member.id}` });
+
+    assert.match(interaction.replies[0].content, /Removing a rule for role VIP would make these changes/);
+    assert.match(interaction.lastContent, /has been successfully removed/);
+    assert.deepEqual((await storage.readRules(guild.id)).map(entry => entry.dependencies), [[roles.booster.id], [roles.member.id]]);
+});
+
+test('removes every rule of the role with all', async () => {
+    const { guild, roles, run } = await setup(twoVipRules);
+
+    const interaction = await run({ role: roles.vip, all: true });
+
+    assert.match(interaction.lastContent, /Removed all 2 rules for role VIP/);
+    assert.deepEqual((await storage.readRules(guild.id)).map(entry => entry.roleName), ['Staff']);
+});
+
+test('keeps the rules when the removal is cancelled or not confirmed in time', async () => {
+    const { guild, roles, run } = await setup(twoVipRules);
+
+    const cancelled = await run({ role: roles.vip, all: true }, ['cancel']);
+    assert.match(cancelled.lastContent, /Removing the rules for role VIP was cancelled, nothing was changed/);
+
+    await run({ role: roles.vip, all: true }, []);
+    assert.equal((await storage.readRules(guild.id)).length, 3);
+});
+
+test('reports when no rule matches', async () => {
+    const { guild, roles, run } = await setup(twoVipRules);
+
+    const interaction = await run({ role: roles.vip, dependencies: roles.member.id });
+
+    assert.match(interaction.lastContent, /No rule for role VIP with the specified dependencies was found/);
+    assert.equal((await storage.readRules(guild.id)).length, 3);
+});
+
+test('refuses invalid dependencies and roles above the moderator', async () => {
+    const { guild, roles, run } = await setup(twoVipRules);
+
+    assert.match((await run({ role: roles.vip, dependencies: 'vip' })).lastContent, /"vip" is not a role ID or role mention/);
+    assert.match((await run({ role: roles.staff, all: true })).lastContent, /not below your highest role/);
+    assert.equal((await storage.readRules(guild.id)).length, 3);
+});
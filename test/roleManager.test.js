@@ -0,0 +1,78 @@
+require('./support/environment');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RoleManager, formatCondition } = require('../src/roleManager');
+
+const MEMBER = '300000000000000001';
+const BOOSTER = '300000000000000002';
+const PATRON = '300000000000000003';
+const MUTED = '300000000000000004';
+const VIP = '300000000000000005';
+
+const memberWith = (...roleIds) => ({ roles: { cache: new Set(roleIds) } });
+
+test('a plain dependency list requires every listed role', () => {
+    const rule = RoleManager.fromConfig({ roleId: VIP, dependencies: [MEMBER, BOOSTER] });
+
+    assert.equal(rule.isSatisfiedBy(new Set([MEMBER, BOOSTER])), true);
+    assert.equal(rule.isSatisfiedBy(new Set([MEMBER])), false);
+    assert.deepEqual(rule.unmetRequirements(new Set([MEMBER])), [{ roleId: BOOSTER, required: true }]);
+});
+
+test('conditions combine all, any and not', () => {
+    const rule = RoleManager.fromConfig({
+        roleId: VIP,
+        condition: { all: [MEMBER, { any: [BOOSTER, PATRON] }, { not: MUTED }] }
+    });
+
+    assert.equal(rule.isSatisfiedBy(new Set([MEMBER, PATRON])), true);
+    assert.equal(rule.isSatisfiedBy(new Set([MEMBER])), false);
+    assert.equal(rule.isSatisfiedBy(new Set([MEMBER, BOOSTER, MUTED])), false);
+    assert.deepEqual(rule.unmetRequirements(new Set([MEMBER, BOOSTER, MUTED])), [{ roleId: MUTED, required: false }]);
+    assert.deepEqual(rule.removalDependencies.sort(), [MEMBER, BOOSTER, PATRON, MUTED].sort());
+    assert.equal(formatCondition(rule.condition), `${MEMBER} AND (${BOOSTER} OR ${PATRON}) AND NOT ${MUTED}`);
+});
+
+test('a removal is only needed when the member held the role and lost a dependency', () => {
+    const rule = RoleManager.fromConfig({ roleId: VIP, dependencies: [BOOSTER] });
+
+    assert.equal(rule.checkRemovalNeeded(memberWith(VIP, BOOSTER), memberWith(VIP)), true);
+    assert.equal(rule.checkRemovalNeeded(memberWith(BOOSTER), memberWith()), false);
+    assert.equal(rule.checkRemovalNeeded(memberWith(VIP, BOOSTER), memberWith(VIP, BOOSTER)), false);
+});
+
+test('modes decide whether roles are removed, granted or both', () => {
+    const before = memberWith(VIP, BOOSTER);
+    const after = memberWith(VIP);
+    const gained = memberWith(BOOSTER);
+
+    const remove = RoleManager.fromConfig({ roleId: VIP, dependencies: [BOOSTER] });
+    const grant = RoleManager.fromConfig({ roleId: VIP, dependencies: [BOOSTER], mode: 'grant' });
+    const sync = RoleManager.fromConfig({ roleId: VIP, dependencies: [BOOSTER], mode: 'sync' });
+
+    assert.equal(remove.checkRemovalNeeded(before, after), true);
+    assert.equal(remove.checkGrantNeeded(memberWith(), gained), false);
+    assert.equal(grant.checkRemovalNeeded(before, after), false);
+    assert.equal(grant.checkGrantNeeded(memberWith(), gained), true);
+    assert.equal(sync.checkRemovalNeeded(before, after), true);
+    assert.equal(sync.checkGrantNeeded(memberWith(), gained), true);
+});
+
+test('disabled rules never change roles', () => {
+    const rule = RoleManager.fromConfig({ roleId: VIP, dependencies: [BOOSTER], mode: 'sync', enabled: false });
+
+    assert.equal(rule.checkRemovalNeeded(memberWith(VIP, BOOSTER), memberWith(VIP)), false);
+    assert.equal(rule.checkGrantNeeded(memberWith(), memberWith(BOOSTER)), false);
+});
+
+test('invalid entries are refused', () => {
+    assert.throws(() => RoleManager.fromConfig({ roleId: VIP, dependencies: [BOOSTER], mode: 'toggle' }), /Mode for role/);
+    assert.throws(() => RoleManager.fromConfig({ roleId: VIP, condition: { all: [] } }));
+    assert.throws(() => RoleManager.fromConfig({ roleId: VIP, condition: { any: [BOOSTER, { not: 'Muted' }] } }), /any\[1\]\.not must be a role ID/);
+    assert.throws(() => RoleManager.fromConfig({ roleId: VIP, dependencies: [BOOSTER], maxLifetime: 'soon' }));
+});
+
+test('maxLifetime is parsed into milliseconds', () => {
+    const rule = RoleManager.fromConfig({ roleId: VIP, dependencies: [BOOSTER], maxLifetime: '2d' });
+    assert.equal(rule.maxLifetime, 2 * 24 * 60 * 60 * 1000);
+});
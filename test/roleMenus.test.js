@@ -0,0 +1,69 @@
+require('./support/environment');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient } = require('./support/fakeDiscord');
+const { createMenu, deleteMenu, planPick, handleRoleMenuInteraction } = require('../src/roleMenus');
+const { buildRules } = require('../src/ruleLoader');
+const { setRules } = require('../src/ruleRegistry');
+const { getTranslator } = require('../src/i18n');
+
+const client = new FakeClient();
+const guild = client.addGuild();
+const booster = guild.addRole({ name: 'Booster', position: 1 });
+const vip = guild.addRole({ name: 'VIP', position: 2 });
+const lounge = guild.addRole({ name: 'Lounge', position: 3 });
+setRules(guild.id, buildRules([{ roleId: vip.id, roleName: 'VIP', dependencies: [booster.id] }]));
+
+const menu = { id: 'menu', roleIds: [vip.id, lounge.id], exclusive: false, maxPicks: null };
+
+test('refuses roles whose rules the member does not meet', () => {
+    const member = guild.addMember({ username: 'alice' });
+
+    const plan = planPick(menu, member, [vip.id, lounge.id]);
+
+    assert.deepEqual(plan.rolesToAdd, [lounge.id]);
+    assert.deepEqual(plan.refused, ['You can not pick VIP yet: missing Booster.']);
+});
+
+test('refuses picks over the menu limit', () => {
+    const member = guild.addMember({ username: 'bob' });
+
+    const plan = planPick({ ...menu, maxPicks: 1 }, member, [vip.id, lounge.id]);
+
+    assert.deepEqual(plan.rolesToAdd, []);
+    assert.deepEqual(plan.refused, ['You can hold at most 1 roles from this menu. Remove one first.']);
+});
+
+test('menus and refusals are written in the given language', async () => {
+    const t = getTranslator(guild.id, 'de');
+    const member = guild.addMember({ username: 'carol' });
+    assert.deepEqual(planPick(menu, member, [vip.id], t).refused, ['Du kannst VIP noch nicht wählen: Booster fehlt.']);
+
+    const sent = [];
+    const channel = { id: '300000000000000000', guild, send: async message => sent.push(message) && { id: '300000000000000001' } };
+    const created = await createMenu(channel, { title: 'Rollen', roleIds: [vip.id, lounge.id], style: 'select', exclusive: true }, t);
+
+    const [message] = sent;
+    assert.match(message.embeds[0].data.description, new RegExp(`<@&${vip.id}> \\(setzt Booster voraus\\)`));
+    assert.equal(message.embeds[0].data.footer.text, 'Wähle eine der Rollen.');
+    assert.equal(message.components[0].components[0].data.placeholder, 'Wähle deine Rollen');
+    await deleteMenu(guild, created.id);
+});
+
+test('buttons for roles that are not part of the menu are refused', async () => {
+    const member = guild.addMember({ username: 'dave', roleIds: [booster.id] });
+    const channel = { id: '300000000000000000', guild, send: async () => ({ id: '300000000000000001' }) };
+    const created = await createMenu(channel, { title: 'Roles', roleIds: [lounge.id], style: 'buttons', exclusive: false });
+
+    const replies = [];
+    const click = roleId => handleRoleMenuInteraction({
+        customId: `rolemenu:${created.id}:${roleId}`, guild, user: member.user, locale: 'en-US', replied: false,
+        isButton: () => true, isStringSelectMenu: () => false, reply: async payload => replies.push(payload)
+    });
+    await click(booster.id);
+    await click(lounge.id);
+
+    assert.equal(replies[0].content, 'This role menu no longer exists.');
+    assert.deepEqual(member.roles.calls, [{ type: 'add', roleIds: [lounge.id] }]);
+    await deleteMenu(guild, created.id);
+});
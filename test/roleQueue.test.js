@@ -0,0 +1,251 @@
+const { configureServer } = require('./support/environment');
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimitError } = require('discord.js');
+const { FakeClient, apiError } = require('./support/fakeDiscord');
+const {
+    startQueue, enqueueRoleUpdate, getQueueLength, saveQueue, getPauseState, describePause, resumeGuild, discardHeldJobs
+} = require('../src/roleQueue');
+const { readHistory } = require('../src/auditLog');
+const { getTranslator } = require('../src/i18n');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Moves the mocked clock forward in steps, letting the queue's promises run between the steps.
+ */
+async function advance(milliseconds, step = 10) {
+    for (let elapsed = 0; elapsed < milliseconds; elapsed += step) {
+        mock.timers.tick(Math.min(step, milliseconds - elapsed));
+        for (let i = 0; i < 3; i++) await flush();
+    }
+}
+
+function rateLimitError(retryAfter) {
+    return new RateLimitError({
+        timeToReset: retryAfter, limit: 1, method: 'PATCH', hash: 'fake', url: '/fake', route: '/fake',
+        majorParameter: 'fake', global: false, retryAfter, sublimitTimeout: 0, scope: 'user'
+    });
+}
+
+// The queue's timers are mocked for the whole file, since jobs carry over their pending timers from one step to the next
+mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+
+const client = new FakeClient();
+const guild = client.addGuild();
+const booster = guild.addRole({ name: 'Booster', position: 1 });
+const vip = guild.addRole({ name: 'VIP', position: 2 });
+const lounge = guild.addRole({ name: 'Lounge', position: 3 });
+startQueue(client);
+
+test.after(() => saveQueue());
+
+test('queued removals are applied and recorded in the role history', async () => {
+    const member = guild.addMember({ username: 'alice', roleIds: [vip.id] });
+
+    enqueueRoleUpdate(member, [vip.id], [], { [vip.id]: [{ roleId: booster.id, required: true }] });
+    await advance(20);
+
+    assert.equal(member.hasRoles(vip.id), false);
+    const [record] = readHistory(guild.id, { memberId: member.id });
+    assert.deepEqual(record.removed.map(role => role.roleName), ['VIP']);
+    assert.deepEqual(record.removed[0].reason, [{ roleId: booster.id, roleName: 'Booster', required: true }]);
+});
+
+test('changes that no longer apply are skipped', async () => {
+    const member = guild.addMember({ username: 'bob', roleIds: [booster.id] });
+
+    enqueueRoleUpdate(member, [vip.id], [booster.id]);
+    await advance(20);
+
+    assert.deepEqual(member.roles.calls, []);
+});
+
+test('rate limited updates are retried after the delay Discord asks for', async () => {
+    const member = guild.addMember({ username: 'carol', roleIds: [vip.id] });
+    member.roles.failWith(rateLimitError(3000));
+
+    enqueueRoleUpdate(member, [vip.id]);
+    await advance(20);
+    assert.equal(member.roles.calls.length, 1);
+    assert.equal(member.hasRoles(vip.id), true);
+    assert.equal(getQueueLength(guild.id), 1);
+
+    await advance(2900);
+    assert.equal(member.roles.calls.length, 1);
+
+    await advance(200);
+    assert.equal(member.roles.calls.length, 2);
+    assert.equal(member.hasRoles(vip.id), false);
+    assert.equal(getQueueLength(guild.id), 0);
+});
+
+test('429 responses and server errors are retried with a growing backoff', async () => {
+    const member = guild.addMember({ username: 'dave', roleIds: [vip.id] });
+    const tooManyRequests = apiError(429, 'You are being rate limited.');
+    tooManyRequests.rawError.retry_after = 0.5;
+    member.roles.failWith(tooManyRequests, apiError(502, 'Bad Gateway'));
+
+    enqueueRoleUpdate(member, [vip.id]);
+    await advance(20);
+    await advance(1000); // The first retry waits the base delay, longer than the 0.5s asked for
+    assert.equal(member.roles.calls.length, 2);
+
+    await advance(1500);
+    assert.equal(member.roles.calls.length, 2);
+    await advance(600); // The second retry waits twice as long
+    assert.equal(member.roles.calls.length, 3);
+    assert.equal(member.hasRoles(vip.id), false);
+});
+
+test('updates rejected for missing permissions are given up and recorded as failed', async () => {
+    const member = guild.addMember({ username: 'erin', roleIds: [vip.id] });
+    member.roles.failWith(apiError(403, 'Missing Permissions', 50013));
+
+    enqueueRoleUpdate(member, [vip.id]);
+    await advance(5000, 100);
+
+    assert.equal(member.roles.calls.length, 1);
+    assert.equal(member.hasRoles(vip.id), true);
+    assert.equal(getQueueLength(), 0);
+    const [record] = readHistory(guild.id, { memberId: member.id });
+    assert.deepEqual(record.failed, { key: 'failures.forbidden', params: {} });
+});
+
+test('updates for members who left are given up', async () => {
+    const member = guild.addMember({ username: 'frank', roleIds: [vip.id] });
+    guild.members.cache.delete(member.id);
+
+    enqueueRoleUpdate(member, [vip.id]);
+    await advance(20);
+
+    assert.equal(getQueueLength(), 0);
+    assert.deepEqual(readHistory(guild.id, { memberId: member.id })[0].failed, { key: 'failures.notFound', params: {} });
+});
+
+test('pending changes for the same member are merged into one update', async () => {
+    const member = guild.addMember({ username: 'grace', roleIds: [vip.id, lounge.id, booster.id] });
+
+    enqueueRoleUpdate(member, [vip.id, booster.id]);
+    enqueueRoleUpdate(member, [lounge.id], [booster.id]);
+    assert.equal(getQueueLength(guild.id), 1);
+
+    await advance(100);
+    // The newer change wins where both touch the same role
+    assert.deepEqual(member.roles.calls, [{ type: 'remove', roleIds: [vip.id, lounge.id] }]);
+    assert.equal(member.hasRoles(booster.id), true);
+});
+
+test('members are told which roles were removed and why when the guild turns it on', async t => {
+    const notifying = client.addGuild({ name: 'Notifying Guild', preferredLocale: 'de' });
+    const role = notifying.addRole({ name: 'VIP', position: 2 });
+    const requirement = notifying.addRole({ name: 'Booster', position: 1 });
+    const member = notifying.addMember({ username: 'ivan', roleIds: [role.id] });
+    const quiet = guild.addMember({ username: 'judy', roleIds: [vip.id] });
+    const settings = configureServer(t, { guildId: notifying.id, notifyMembers: true });
+
+    enqueueRoleUpdate(member, [role.id], [], { [role.id]: [{ roleId: requirement.id, required: true }] });
+    enqueueRoleUpdate(quiet, [vip.id]);
+    await advance(100);
+
+    assert.equal(member.directMessages.length, 1);
+    assert.match(member.directMessages[0].content, /auf Notifying Guild diese Rollen entfernt.*\n- VIP: Booster fehlt$/s);
+    assert.deepEqual(quiet.directMessages, []);
+
+    settings.messages = { 'notifications.roleRemovedDm': '{member}, you lost: {roles}' };
+    member.roles.roleIds.add(role.id);
+    enqueueRoleUpdate(member, [role.id]);
+    await advance(100);
+    assert.equal(member.directMessages[1].content, 'ivan, you lost: - VIP: Abhängigkeiten nicht erfüllt');
+});
+
+/**
+ * Sets up a guild allowing two removals of a role within a minute, capturing the alerts sent to its alert channel.
+ */
+function limitedGuild(t) {
+    const limited = client.addGuild();
+    const role = limited.addRole({ name: 'VIP', position: 2 });
+    const alerts = [];
+    limited.channels.fetch = async () => ({ send: async message => alerts.push(message) });
+    configureServer(t, { guildId: limited.id, removalLimit: { removals: 2, minutes: 1 }, alertChannelId: '300000000000000000' });
+    const members = ['a', 'b', 'c', 'd'].map(username => limited.addMember({ username, roleIds: [role.id] }));
+    return { limited, role, alerts, members };
+}
+
+test('removing a role from more members than the limit allows pauses the guild and holds its updates', async t => {
+    const { limited, role, alerts, members } = limitedGuild(t);
+    const other = guild.addMember({ username: 'heidi', roleIds: [vip.id] });
+
+    members.forEach(member => enqueueRoleUpdate(member, [role.id]));
+    enqueueRoleUpdate(other, [vip.id]);
+    await advance(200);
+
+    assert.deepEqual(members.map(member => member.hasRoles(role.id)), [false, false, true, true]);
+    assert.match(getPauseState(limited.id).reason, /Role VIP was removed from 2 members within 1 minute,/);
+    assert.equal(getQueueLength(limited.id), 2);
+    assert.equal(alerts.length, 1);
+    assert.match(alerts[0].embeds[0].data.description, /2 pending updates are held/);
+    // Other guilds keep being served
+    assert.equal(other.hasRoles(vip.id), false);
+
+    // Updates queued while paused are held too
+    const late = limited.addMember({ username: 'e', roleIds: [role.id] });
+    enqueueRoleUpdate(late, [role.id]);
+    await advance(200);
+    assert.equal(getQueueLength(limited.id), 3);
+
+    assert.equal(resumeGuild(limited.id), true);
+    await advance(200);
+    assert.deepEqual([...members, late].map(member => member.hasRoles(role.id)), [false, false, false, false, true]);
+    assert.notEqual(getPauseState(limited.id), null); // The third removal after resuming goes past the limit again
+    discardHeldJobs(limited.id);
+});
+
+test('guilds without a removal limit are not paused however many roles are removed', async () => {
+    const unlimited = client.addGuild();
+    const role = unlimited.addRole({ name: 'VIP', position: 2 });
+    const members = Array.from({ length: 60 }, (_, i) => unlimited.addMember({ username: `m${i}`, roleIds: [role.id] }));
+
+    members.forEach(member => enqueueRoleUpdate(member, [role.id]));
+    await advance(2000);
+
+    assert.equal(getPauseState(unlimited.id), null);
+    assert.equal(members.some(member => member.hasRoles(role.id)), false);
+});
+
+test('held updates can be discarded', async t => {
+    const { limited, role, members } = limitedGuild(t);
+
+    members.forEach(member => enqueueRoleUpdate(member, [role.id]));
+    await advance(200);
+    assert.equal(discardHeldJobs(limited.id), 2);
+    await advance(200);
+
+    assert.equal(getQueueLength(limited.id), 0);
+    assert.equal(getPauseState(limited.id), null);
+    assert.deepEqual(members.map(member => member.hasRoles(role.id)), [false, false, true, true]);
+    assert.equal(discardHeldJobs(limited.id), null);
+});
+
+test('audit embeds and alerts are written in the guild\'s language, and the pause reason is kept in English', async t => {
+    const german = client.addGuild({ preferredLocale: 'de' });
+    const role = german.addRole({ name: 'VIP', position: 2 });
+    const sent = [];
+    german.channels.fetch = async () => ({ send: async message => sent.push(message) });
+    configureServer(t, { guildId: german.id, removalLimit: { removals: 1, minutes: 1 }, auditChannelId: '300000000000000000' });
+    const members = ['f', 'g'].map(username => german.addMember({ username, roleIds: [role.id] }));
+
+    members.forEach(member => enqueueRoleUpdate(member, [role.id]));
+    await advance(200);
+
+    const [audit, alert] = sent;
+    assert.equal(audit.embeds[0].data.title, 'Automatische Rollenänderung');
+    assert.equal(audit.embeds[0].data.fields[1].name, 'Entfernte Rollen');
+    assert.equal(alert.embeds[0].data.title, 'Rollenänderungen pausiert');
+    assert.match(alert.embeds[0].data.description, /^Die Rolle VIP wurde innerhalb einer Minute 1 Mitgliedern entfernt,.*1 ausstehende/);
+    const pause = getPauseState(german.id);
+    assert.match(pause.reason, /^Role VIP was removed from 1 members within 1 minute,/);
+    assert.match(describePause(pause, getTranslator(german.id, 'de')), /^Die Rolle VIP wurde/);
+    discardHeldJobs(german.id);
+});
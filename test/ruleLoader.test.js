@@ -0,0 +1,91 @@
+const { GUILD_ID, writeRulesFile } = require('./support/environment');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRoles, watchRuleChanges } = require('../src/ruleLoader');
+const { getRules, getLoadError } = require('../src/ruleRegistry');
+const { storage } = require('../src/storage');
+
+const BOOSTER = '300000000000000001';
+const VIP = '300000000000000002';
+const VIP_LOUNGE = '300000000000000003';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const settle = async () => {
+    for (let i = 0; i < 5; i++) await flush();
+};
+
+test.afterEach(() => storage.close());
+
+test('rules are loaded from storage in dependency order', async () => {
+    writeRulesFile(GUILD_ID, [
+        { roleId: VIP_LOUNGE, dependencies: [VIP] },
+        { roleId: VIP, dependencies: [BOOSTER] }
+    ]);
+
+    assert.equal(await loadRoles(GUILD_ID), true);
+    assert.deepEqual(getRules(GUILD_ID).map(rule => rule.roleId), [VIP, VIP_LOUNGE]);
+    assert.equal(getLoadError(GUILD_ID), null);
+});
+
+test('unchanged rules are not applied again', async () => {
+    writeRulesFile(GUILD_ID, [{ roleId: VIP, dependencies: [BOOSTER] }]);
+
+    assert.equal(await loadRoles(GUILD_ID, true), true);
+    assert.equal(await loadRoles(GUILD_ID, true), false);
+});
+
+test('a broken roles file keeps the last good rules and records the error', async () => {
+    writeRulesFile(GUILD_ID, [{ roleId: VIP, dependencies: [BOOSTER] }]);
+    await loadRoles(GUILD_ID);
+
+    writeRulesFile(GUILD_ID, '[{ "roleId": ');
+    assert.equal(await loadRoles(GUILD_ID), false);
+    assert.deepEqual(getRules(GUILD_ID).map(rule => rule.roleId), [VIP]);
+    assert.ok(getLoadError(GUILD_ID).message);
+});
+
+test('invalid rules and dependency cycles are not loaded', async () => {
+    writeRulesFile(GUILD_ID, [{ roleId: VIP, dependencies: [BOOSTER] }]);
+    await loadRoles(GUILD_ID);
+
+    writeRulesFile(GUILD_ID, [{ roleId: VIP, dependencies: [BOOSTER], mode: 'toggle' }]);
+    assert.equal(await loadRoles(GUILD_ID), false);
+
+    writeRulesFile(GUILD_ID, [
+        { roleId: VIP, dependencies: [VIP_LOUNGE] },
+        { roleId: VIP_LOUNGE, dependencies: [VIP] }
+    ]);
+    assert.equal(await loadRoles(GUILD_ID), false);
+    assert.match(getLoadError(GUILD_ID).message, /Dependency cycle/);
+    assert.deepEqual(getRules(GUILD_ID).map(rule => rule.roleId), [VIP]);
+
+    // Fixing the file clears the error
+    writeRulesFile(GUILD_ID, [{ roleId: VIP, dependencies: [BOOSTER], mode: 'sync' }]);
+    assert.equal(await loadRoles(GUILD_ID), true);
+    assert.equal(getLoadError(GUILD_ID), null);
+    assert.equal(getRules(GUILD_ID)[0].mode, 'sync');
+});
+
+test('rules edited through the storage backend are reloaded once the edits settle', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    writeRulesFile(GUILD_ID, [{ roleId: VIP, dependencies: [BOOSTER] }]);
+    await loadRoles(GUILD_ID);
+
+    const reloaded = [];
+    watchRuleChanges(guildId => guildId === GUILD_ID, guildId => reloaded.push(guildId));
+
+    // The file watcher reports the same edits again, which only restarts the wait
+    await storage.updateRules(GUILD_ID, rules => [...rules, { roleId: VIP_LOUNGE, dependencies: [VIP] }]);
+    await settle();
+    t.mock.timers.tick(1000);
+    await storage.updateRules(GUILD_ID, rules => rules.map(rule => ({ ...rule, mode: 'sync' })));
+    await settle();
+    t.mock.timers.tick(1999);
+    await settle();
+    assert.deepEqual(reloaded, []);
+
+    t.mock.timers.tick(1);
+    await settle();
+    assert.deepEqual(reloaded, [GUILD_ID]);
+    assert.deepEqual(getRules(GUILD_ID).map(rule => `${rule.roleId}:${rule.mode}`), [`${VIP}:sync`, `${VIP_LOUNGE}:sync`]);
+});
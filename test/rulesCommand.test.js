@@ -0,0 +1,172 @@
+const { directory, rulesDirectory, writeRulesFile } = require('./support/environment');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient, FakeInteraction } = require('./support/fakeDiscord');
+const { handle, autocomplete } = require('../src/commands/rulesCommand');
+const { handle: handleAddRole } = require('../src/commands/addRoleCommand');
+const { storage, createStorage } = require('../src/storage');
+const { exportTemplate } = require('../src/ruleTemplates');
+
+const client = new FakeClient();
+
+/**
+ * Sets up a guild with a few roles and a moderator, and a helper to run commands as the moderator.
+ */
+function setup() {
+    const guild = client.addGuild();
+    const roles = {
+        member: guild.addRole({ name: 'Member', position: 1 }),
+        booster: guild.addRole({ name: 'Booster', position: 2 }),
+        vip: guild.addRole({ name: 'VIP', position: 3 }),
+        moderator: guild.addRole({ name: 'Moderator', position: 50 })
+    };
+    const moderator = guild.addMember({ username: 'mod', roleIds: [roles.moderator.id] });
+    const run = async (commandName, subcommand, options, answers = []) => {
+        const interaction = new FakeInteraction({ guild, member: moderator, commandName, subcommand, options, answers });
+        await (commandName === 'rules' ? handle(interaction) : handleAddRole(interaction));
+        return interaction;
+    };
+    return { guild, roles, moderator, run };
+}
+
+test('every change made with a command is recorded as a version with its author', async () => {
+    const { guild, roles, run } = setup();
+
+    await run('addrole', null, { role: roles.vip, dependencies: roles.booster.id });
+    await run('addrole', null, { role: roles.booster, dependencies: roles.member.id });
+
+    const versions = await storage.listVersions(guild.id);
+    assert.deepEqual(versions.map(version => version.version), [2, 1]);
+    assert.deepEqual(versions.map(version => version.description), [
+        { key: 'versions.addedRule', params: { role: 'Booster' } },
+        { key: 'versions.addedRule', params: { role: 'VIP' } }
+    ]);
+    assert.equal(versions[0].author.tag, 'mod');
+    assert.equal(versions[0].rules.length, 2);
+    // Versions are kept with the bot's data, not next to the roles files
+    assert.ok(fs.existsSync(path.join(directory, 'data', 'versions', `versions_${guild.id}.json`)));
+    assert.equal(fs.existsSync(path.join(rulesDirectory, 'versions')), false);
+
+    const history = await run('rules', 'history', {});
+    const [embed] = history.replies[0].embeds;
+    assert.match(embed.data.description, /\*\*v2\*\* · <t:\d+:R> · by mod\nAdded a rule for Booster/);
+    assert.match(embed.data.description, /\+ Booster: Member \(remove\)/);
+});
+
+test('the history describes versions in the language of whoever reads it', async () => {
+    const { guild, roles, moderator, run } = setup();
+    await run('addrole', null, { role: roles.vip, dependencies: roles.booster.id });
+
+    const interaction = new FakeInteraction({
+        guild, member: moderator, commandName: 'rules', subcommand: 'history', locale: 'de'
+    });
+    await handle(interaction);
+    assert.match(interaction.replies[0].embeds[0].data.description, /\*\*v1\*\* · <t:\d+:R> · von mod\nRegel für VIP hinzugefügt/);
+});
+
+test('changes made outside the bot are recorded before the next change', async () => {
+    const { guild, roles, run } = setup();
+    await run('addrole', null, { role: roles.vip, dependencies: roles.booster.id });
+
+    const edited = [{ roleId: roles.vip.id, roleName: 'VIP', dependencies: [roles.member.id] }];
+    writeRulesFile(guild.id, edited);
+    await run('addrole', null, { role: roles.booster, dependencies: roles.member.id });
+
+    const versions = await storage.listVersions(guild.id);
+    assert.deepEqual(versions.map(version => version.author && version.author.tag), ['mod', null, 'mod']);
+    assert.deepEqual(versions[1].rules, edited);
+});
+
+test('the history shows rules that are not valid as they are stored', async () => {
+    const { guild, roles, run } = setup();
+    const invalid = { roleId: roles.vip.id, roleName: 'VIP', condition: { op: 'XOR', roles: [roles.member.id] } };
+    writeRulesFile(guild.id, [invalid]);
+    await storage.updateRules(guild.id, () => [{ roleId: roles.vip.id, roleName: 'VIP', dependencies: [roles.member.id] }]);
+
+    const history = await run('rules', 'history', {});
+    const [embed] = history.replies[0].embeds;
+    assert.match(embed.data.description, /\*\*v1\*\* · <t:\d+:R> · not made through a command\nChanged outside the bot/);
+    assert.ok(embed.data.description.includes(`+ VIP: invalid rule ${JSON.stringify(invalid)}`));
+    assert.ok(embed.data.description.includes(`~ VIP: invalid rule ${JSON.stringify(invalid)} -> Member (remove)`));
+});
+
+test('rolls back to an earlier version after confirmation', async () => {
+    const { guild, roles, run } = setup();
+    await run('addrole', null, { role: roles.vip, dependencies: roles.booster.id });
+    await run('addrole', null, { role: roles.booster, dependencies: roles.member.id });
+
+    const cancelled = await run('rules', 'rollback', { version: 1 }, ['cancel']);
+    assert.match(cancelled.replies[0].content, /Rolling back to version 1 would make these changes/);
+    assert.match(cancelled.replies[0].content, /- Booster/);
+    assert.equal((await storage.readRules(guild.id)).length, 2);
+
+    const confirmed = await run('rules', 'rollback', { version: 1 }, ['confirm']);
+    assert.match(confirmed.lastContent, /Rolled the rules back to version 1/);
+    assert.deepEqual((await storage.readRules(guild.id)).map(entry => entry.roleId), [roles.vip.id]);
+
+    const [latest] = await storage.listVersions(guild.id);
+    assert.equal(latest.version, 3);
+    assert.deepEqual(latest.description, { key: 'versions.rolledBack', params: { version: 1 } });
+
+    assert.match((await run('rules', 'rollback', { version: 1 })).lastContent, /already match version 1/);
+    assert.match((await run('rules', 'rollback', { version: 9 })).lastContent, /Version 9 is not kept/);
+});
+
+test('refuses to import rules for roles the bot can not manage', async () => {
+    const { guild, roles, run } = setup();
+    const nitro = guild.addRole({ name: 'Nitro', position: 4, managed: true });
+    const { template } = exportTemplate(guild, [
+        { roleId: roles.vip.id, roleName: 'VIP', dependencies: [roles.booster.id] },
+        { roleId: nitro.id, roleName: 'Nitro', dependencies: [roles.member.id] }
+    ]);
+    const json = JSON.stringify(template);
+    const file = { name: 'rules.json', size: json.length, url: `data:application/json,${encodeURIComponent(json)}` };
+
+    const refused = await run('rules', 'import', { file }, ['confirm']);
+    assert.match(refused.lastContent, /The template was not imported: Role Nitro is managed by an integration/);
+    assert.equal(await storage.readRules(guild.id), null);
+});
+
+test('asks before an edit that would take roles from more members than the threshold', async () => {
+    const { guild, roles, run } = setup();
+    for (let i = 0; i < 11; i++) guild.addMember({ username: `member${i}`, roleIds: [roles.vip.id] });
+
+    const cancelled = await run('addrole', null, { role: roles.vip, dependencies: roles.booster.id }, ['cancel']);
+    assert.match(cancelled.replies[0].content, /11 of 14 members would lose 11 roles in total/);
+    assert.match(cancelled.lastContent, /was cancelled, nothing was changed/);
+    assert.equal(await storage.readRules(guild.id), null);
+
+    const confirmed = await run('addrole', null, { role: roles.vip, dependencies: roles.booster.id }, ['confirm']);
+    assert.match(confirmed.lastContent, /Role VIP added/);
+});
+
+test('suggests the kept versions for rollback', async () => {
+    const { guild, roles, run } = setup();
+    await run('addrole', null, { role: roles.vip, dependencies: roles.booster.id });
+
+    let choices = null;
+    await autocomplete({ guild, options: { getFocused: () => '' }, respond: async answer => { choices = answer; } });
+
+    assert.deepEqual(choices, [{ name: 'v1: Added a rule for VIP (mod)', value: 1 }]);
+});
+
+test('the SQLite backend records versions in the same transaction as the rules', async () => {
+    const sqlite = createStorage({ type: 'sqlite', path: path.join(directory, 'versions.sqlite') });
+    try {
+        await sqlite.updateRules('1', () => [{ roleId: '2', dependencies: ['3'] }], {
+            author: { id: '4', tag: 'mod' }, description: { key: 'versions.addedRule', params: { role: 'VIP' } }
+        });
+        await sqlite.updateRules('1', () => []);
+
+        const versions = await sqlite.listVersions('1');
+        assert.deepEqual(versions.map(version => [version.version, version.description, version.author]), [
+            [2, { key: 'versions.changed', params: {} }, null],
+            [1, { key: 'versions.addedRule', params: { role: 'VIP' } }, { id: '4', tag: 'mod' }]
+        ]);
+        assert.deepEqual((await sqlite.readVersion('1', 1)).rules, [{ roleId: '2', dependencies: ['3'] }]);
+    } finally {
+        sqlite.close();
+    }
+});
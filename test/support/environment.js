@@ -0,0 +1,55 @@
+/**
+ * Points the bot at a throwaway configuration before any of its modules are loaded, so tests never touch the real
+ * 'config.json', rules, queue or role history. Require this module first in every test file.
+ *
+ * Everything the bot writes goes to a temporary directory, which is deleted when the test process exits. The bot's
+ * console output is silenced, unless the TEST_VERBOSE environment variable is set.
+ *
+ * Exports:
+ * - directory (string): The temporary directory.
+ * - rulesDirectory (string): Where the JSON storage backend keeps the rules files.
+ * - GUILD_ID (string): The ID of the guild configured in the test configuration.
+ * - writeRulesFile(guildId, entries): Writes a guild's rules file directly, as if edited by hand.
+ * - configureServer(t, entry): Adds a server entry to the configuration until the test `t` finishes.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GUILD_ID = '100000000000000001';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'role-bot-test-'));
+const rulesDirectory = path.join(directory, 'roles');
+const configFile = path.join(directory, 'config.json');
+
+fs.writeFileSync(configFile, JSON.stringify({
+    servers: [{ guildId: GUILD_ID, clientId: '100000000000000000' }],
+    storage: { type: 'json', directory: rulesDirectory },
+    dataDirectory: path.join(directory, 'data'),
+    historyDirectory: path.join(directory, 'history')
+}));
+process.env.CONFIG_FILE = configFile;
+process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+
+if (!process.env.TEST_VERBOSE) {
+    ['log', 'warn', 'error'].forEach(method => {
+        console[method] = () => {};
+    });
+}
+
+function writeRulesFile(guildId, entries) {
+    fs.mkdirSync(rulesDirectory, { recursive: true });
+    fs.writeFileSync(path.join(rulesDirectory, `roles_${guildId}.json`), typeof entries === 'string' ? entries : JSON.stringify(entries));
+}
+
+function configureServer(t, entry) {
+    const { config } = require('../../src/config');
+    const servers = config.servers;
+    config.servers = [...servers, entry];
+    t.after(() => {
+        config.servers = servers;
+    });
+    return entry;
+}
+
+module.exports = { directory, rulesDirectory, GUILD_ID, writeRulesFile, configureServer };
@@ -0,0 +1,325 @@
+/**
+ * In-memory stand-ins for the parts of discord.js the bot uses, so the bot can be run in tests without connecting
+ * to Discord.
+ *
+ * - FakeClient: Holds the guilds and emits the same events as a Client. login() only marks it ready and emits 'ready'.
+ * - FakeGuild: Holds roles and members. members.fetch and members.list read the members added with addMember.
+ * - FakeRole: A role with a position, compared like Role.comparePositionTo.
+ * - FakeMember: A member whose roles.add and roles.remove change its roles and emit 'guildMemberUpdate', like Discord
+ *   does after a role change. Errors queued with roles.failWith are thrown by the next calls instead.
+ * - FakeInteraction: A slash command interaction. Replies are recorded in `replies`; buttons shown by prompts.js are
+ *   answered with the ids listed in `answers`, in order, and expire when there are no answers left.
+ *   Given the text being typed as `focused`, it is an autocomplete interaction instead, whose suggestions are recorded
+ *   in `choices`.
+ *
+ * IDs are generated as snowflakes, since the bot validates role IDs by their format.
+ */
+const EventEmitter = require('events');
+const { Collection, PermissionsBitField, PermissionFlagsBits, DiscordAPIError } = require('discord.js');
+
+let lastId = 200000000000000000n;
+
+function snowflake() {
+    lastId += 1n;
+    return String(lastId);
+}
+
+/**
+ * Creates the error discord.js throws when Discord rejects a request, e.g. apiError(403, 'Missing Permissions').
+ */
+function apiError(status, message, code = 0) {
+    return new DiscordAPIError({ message, code }, code, status, 'PATCH', '/fake', {});
+}
+
+class FakeRole {
+    constructor(guild, { id = snowflake(), name, position = 1, managed = false }) {
+        this.guild = guild;
+        this.id = id;
+        this.name = name;
+        this.position = position;
+        this.managed = managed;
+    }
+
+    comparePositionTo(role) {
+        return this.position - role.position;
+    }
+
+    toString() {
+        return `<@&${this.id}>`;
+    }
+}
+
+class FakeMemberRoles {
+    constructor(member, roleIds) {
+        this.member = member;
+        this.roleIds = new Set(roleIds);
+        this.failures = [];
+        this.calls = [];
+    }
+
+    get cache() {
+        const roles = this.member.guild.roles.cache;
+        return new Collection([...this.roleIds].filter(id => roles.has(id)).map(id => [id, roles.get(id)]));
+    }
+
+    get highest() {
+        const everyone = this.member.guild.roles.cache.get(this.member.guild.id);
+        return this.cache.reduce((highest, role) => (role.position > highest.position ? role : highest), everyone);
+    }
+
+    /**
+     * Makes the next calls to add or remove throw the given errors, one per call.
+     */
+    failWith(...errors) {
+        this.failures.push(...errors);
+    }
+
+    async add(roleIds) {
+        this.change('add', [roleIds].flat(), id => this.roleIds.add(id));
+    }
+
+    async remove(roleIds) {
+        this.change('remove', [roleIds].flat(), id => this.roleIds.delete(id));
+    }
+
+    change(type, roleIds, apply) {
+        this.calls.push({ type, roleIds });
+        if (this.failures.length > 0) throw this.failures.shift();
+        this.member.update(() => roleIds.forEach(apply));
+    }
+}
+
+class FakeMember {
+    constructor(guild, { id = snowflake(), username = 'member', roleIds = [], permissions = [] }) {
+        this.guild = guild;
+        this.id = id;
+        this.user = { id, username, tag: username, bot: false };
+        this.displayName = username;
+        this.roles = new FakeMemberRoles(this, roleIds);
+        this.permissions = new PermissionsBitField(permissions);
+        this.directMessages = [];
+    }
+
+    async send(payload) {
+        this.directMessages.push(payload);
+    }
+
+    /**
+     * Changes the member's roles through `mutate` and emits 'guildMemberUpdate' with a snapshot of the old member.
+     */
+    update(mutate) {
+        const oldMember = { id: this.id, guild: this.guild, roles: { cache: this.roles.cache } };
+        mutate();
+        if (this.guild.client) this.guild.client.emit('guildMemberUpdate', oldMember, this);
+    }
+
+    /**
+     * Sets the member's roles as a moderator would by hand.
+     */
+    setRoles(roleIds) {
+        this.update(() => {
+            this.roles.roleIds = new Set(roleIds);
+        });
+    }
+
+    hasRoles(...roleIds) {
+        return roleIds.every(roleId => this.roles.roleIds.has(roleId));
+    }
+}
+
+class FakeGuild {
+    constructor({ id = snowflake(), name = 'Test Guild', client = null, botRolePosition = 100, preferredLocale = 'en-US' } = {}) {
+        this.id = id;
+        this.name = name;
+        this.preferredLocale = preferredLocale;
+        this.client = client;
+        this.registeredCommands = null;
+
+        const roles = new Collection();
+        roles.set(id, new FakeRole(this, { id, name: '@everyone', position: 0 }));
+        this.roles = { cache: roles, everyone: roles.get(id) };
+
+        const members = new Collection();
+        this.members = {
+            cache: members,
+            me: null,
+            fetch: async memberId => {
+                if (!members.has(memberId)) throw apiError(404, 'Unknown Member', 10007);
+                return members.get(memberId);
+            },
+            list: async ({ limit = 1000, after = '0' } = {}) => {
+                const sorted = [...members.values()]
+                    .filter(member => BigInt(member.id) > BigInt(after))
+                    .sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1))
+                    .slice(0, limit);
+                return new Collection(sorted.map(member => [member.id, member]));
+            }
+        };
+
+        this.commands = { set: async commands => { this.registeredCommands = commands; } };
+        this.channels = { fetch: async () => ({ send: async () => {} }) };
+
+        const botRole = this.addRole({ name: 'Bot', position: botRolePosition, managed: true });
+        this.members.me = this.addMember({ username: 'bot', roleIds: [botRole.id] });
+        this.ownerId = this.addMember({ username: 'owner' }).id;
+    }
+
+    addRole(options) {
+        const role = new FakeRole(this, options);
+        this.roles.cache.set(role.id, role);
+        return role;
+    }
+
+    addMember(options) {
+        const member = new FakeMember(this, options);
+        this.members.cache.set(member.id, member);
+        return member;
+    }
+}
+
+class FakeClient extends EventEmitter {
+    constructor() {
+        super();
+        this.guilds = { cache: new Collection() };
+        this.user = { id: snowflake(), tag: 'RoleBot#0001', setActivity() {} };
+        this.ws = { status: 5, ping: -1 };
+        this.ready = false;
+    }
+
+    isReady() {
+        return this.ready;
+    }
+
+    addGuild(options = {}) {
+        const guild = new FakeGuild({ ...options, client: this });
+        this.guilds.cache.set(guild.id, guild);
+        return guild;
+    }
+
+    async login() {
+        this.ready = true;
+        this.ws = { status: 0, ping: 20 };
+        this.emit('ready', this);
+    }
+}
+
+class FakeOptions {
+    constructor(values, subcommand, focused = null) {
+        this.values = values;
+        this.subcommand = subcommand;
+        this.focused = focused;
+    }
+
+    getFocused() {
+        return this.focused;
+    }
+
+    get(name) {
+        if (!(name in this.values)) return null;
+        const value = this.values[name];
+        if (value instanceof FakeRole) return { name, value: value.id, role: value };
+        if (value instanceof FakeMember) return { name, value: value.id, user: value.user, member: value };
+        return { name, value };
+    }
+
+    getValue(name) {
+        return name in this.values ? this.values[name] : null;
+    }
+
+    getSubcommand() {
+        return this.subcommand;
+    }
+
+    getRole(name) { return this.getValue(name); }
+
+    getString(name) { return this.getValue(name); }
+
+    getBoolean(name) { return this.getValue(name); }
+
+    getInteger(name) { return this.getValue(name); }
+
+    getAttachment(name) { return this.getValue(name); }
+
+    getChannel(name) { return this.getValue(name); }
+
+    getMember(name) { return this.getValue(name); }
+
+    getUser(name) {
+        const member = this.getValue(name);
+        return member ? member.user : null;
+    }
+}
+
+class FakeInteraction {
+    constructor({ guild, member, commandName, subcommand = null, options = {}, administrator = false, answers = [], locale = 'en-US', focused = null }) {
+        this.guild = guild;
+        this.guildId = guild.id;
+        this.locale = locale;
+        this.member = member;
+        this.user = member.user;
+        this.commandName = commandName;
+        this.options = new FakeOptions(options, subcommand, focused);
+        this.focused = focused;
+        this.choices = null;
+        this.memberPermissions = new PermissionsBitField(administrator ? [PermissionFlagsBits.Administrator] : []);
+        this.answers = [...answers];
+        this.replies = [];
+        this.replied = false;
+        this.deferred = false;
+        this.message = { awaitMessageComponent: () => this.answerPrompt() };
+    }
+
+    isAutocomplete() { return this.focused !== null; }
+
+    isButton() { return false; }
+
+    isStringSelectMenu() { return false; }
+
+    isCommand() { return this.focused === null; }
+
+    isChatInputCommand() { return this.focused === null; }
+
+    async respond(choices) {
+        this.choices = choices;
+    }
+
+    record(payload) {
+        this.replies.push(typeof payload === 'string' ? { content: payload } : payload);
+    }
+
+    async reply(payload) {
+        if (this.replied || this.deferred) throw new Error('The interaction has already been acknowledged.');
+        this.replied = true;
+        this.record(payload);
+        return this.message;
+    }
+
+    async deferReply() {
+        this.deferred = true;
+    }
+
+    async editReply(payload) {
+        this.record(payload);
+        return this.message;
+    }
+
+    async followUp(payload) {
+        this.record(payload);
+        return this.message;
+    }
+
+    /**
+     * The content of the last reply, edit or follow-up.
+     */
+    get lastContent() {
+        const last = this.replies.filter(reply => reply.content !== undefined).pop();
+        return last ? last.content : null;
+    }
+
+    async answerPrompt() {
+        if (this.answers.length === 0) throw new Error('Collector received no interactions before ending with reason: time');
+        return { customId: `prompt:${this.answers.shift()}`, user: this.user, deferUpdate: async () => {} };
+    }
+}
+
+module.exports = { FakeClient, FakeGuild, FakeRole, FakeMember, FakeInteraction, apiError, snowflake };
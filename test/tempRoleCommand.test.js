@@ -0,0 +1,74 @@
+require('./support/environment');
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient, FakeInteraction, apiError } = require('./support/fakeDiscord');
+const { handle } = require('../src/commands/tempRoleCommand');
+const { startQueue, saveQueue } = require('../src/roleQueue');
+const { startTempRoleScheduler, getExpiry } = require('../src/tempRoles');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Moves the mocked clock forward in steps, letting the queue's promises run between the steps.
+ */
+async function advance(milliseconds, step = 10) {
+    for (let elapsed = 0; elapsed < milliseconds; elapsed += step) {
+        mock.timers.tick(Math.min(step, milliseconds - elapsed));
+        for (let i = 0; i < 3; i++) await flush();
+    }
+}
+
+mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+
+const client = new FakeClient();
+const guild = client.addGuild();
+const event = guild.addRole({ name: 'Event', position: 1 });
+const owner = guild.members.cache.get(guild.ownerId);
+startQueue(client);
+startTempRoleScheduler();
+
+test.after(() => saveQueue());
+
+async function run(member, duration, locale) {
+    const interaction = new FakeInteraction({ guild, member: owner, commandName: 'temprole', options: { member, role: event, duration }, locale });
+    await handle(interaction);
+    return interaction;
+}
+
+test('grants the role and removes it again once it expires', async () => {
+    const member = guild.addMember({ username: 'alice' });
+
+    const interaction = await run(member, '1m');
+    assert.match(interaction.lastContent, /Granted role Event to alice until <t:\d+:f> \(1m\)/);
+    await advance(100);
+    assert.equal(member.hasRoles(event.id), true);
+
+    await advance(60 * 1000, 1000);
+    assert.equal(member.hasRoles(event.id), false);
+    assert.equal(getExpiry(guild.id, member.id, event.id), null);
+});
+
+test('refuses durations it can not parse', async () => {
+    const member = guild.addMember({ username: 'bob' });
+
+    const interaction = await run(member, 'soon');
+
+    assert.equal(interaction.replies[0].ephemeral, true);
+    assert.match(interaction.lastContent, /"soon" is not a valid duration/);
+    assert.equal(getExpiry(guild.id, member.id, event.id), null);
+
+    assert.match((await run(member, '0m', 'de')).lastContent, /Die Dauer muss länger als null sein/);
+});
+
+test('forgets the expiry when the grant is given up', async () => {
+    const member = guild.addMember({ username: 'carol' });
+    member.roles.failWith(apiError(403, 'Missing Permissions', 50013));
+
+    await run(member, '1h');
+    assert.ok(getExpiry(guild.id, member.id, event.id));
+    await advance(100);
+
+    assert.equal(member.hasRoles(event.id), false);
+    assert.equal(getExpiry(guild.id, member.id, event.id), null);
+});